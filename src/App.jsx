@@ -1,77 +1,107 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { Trash2, Plus, Calendar as CalendarIcon, Printer, RefreshCw, User, AlertCircle, Check, X, Download, Settings, Mail, Activity } from 'lucide-react';
-import { generateICalContent } from './utils/icalGenerator';
+import { Trash2, Plus, Calendar as CalendarIcon, Printer, RefreshCw, User, AlertCircle, Check, X, Download, Settings, Mail, Activity, Lock, Unlock, Info, Archive, UserX, ArrowLeftRight, ScrollText, Undo2, Redo2, History, Share2, Search } from 'lucide-react';
+import { generateICalContent, DEFAULT_CALENDAR, REMINDER_TYPES, resolveCalendar } from './utils/icalGenerator';
+import { getICalDates } from './utils/icalParser';
+import { scheduleToCsv, statsToCsv, importScheduleCsv } from './utils/csv';
+import { newSeed } from './utils/random';
+import { optimizeSchedule, scoreSchedule } from './utils/optimizer';
+import { DEFAULT_RULES, CONSTRAINT_MODES, resolveRules, isWeekendDay } from './utils/rules';
+import { validateSchedule, groupViolationsByCell } from './utils/validator';
+import { DEFAULT_HOLIDAYS, resolveHolidays, getSpecialDays, isHolidayType, isClosedType } from './utils/holidays';
+import { generateDates, formatDate, getWeekNumber } from './utils/dates';
+import { replanFrom, getFixedBefore } from './utils/replan';
+import { createUndoState, recordChange, undo, redo, canUndo, canRedo } from './utils/undo';
+import { createVersion, compareVersions } from './utils/versions';
+import { getSequence, createPublication, recordIssue, getRiderChanges, getStableUid, buildPublishFiles, escapeHtml } from './utils/publish';
+import { createZip } from './utils/zip';
+import { createSharePlan, encodeSharePlan, decodeSharePlan, readShareHash, getShareUrl } from './utils/share';
+import { DEFAULT_EMAIL, EMAIL_PLACEHOLDERS, resolveEmail, fillRiderTemplate, splitByEmail, isValidEmail, buildEml, buildMbox, formatShiftLine } from './utils/email';
+import { SCHEMA_VERSION, DEFAULT_EVENT_NAME, DEFAULT_EVENT_DESCRIPTION, createProjectFile, parseProjectFile, loadStoredRiders } from './utils/project';
+import { SWAP_TYPES, applySwap, validateSwap, createAuditEntry } from './utils/swap';
+import { rankReplacements, recordSubstitution, computeSubstitutionCredits, computeFairnessStats } from './utils/replacement';
+import { DEFAULT_CARRY_OVER_MONTHS, summarizePeriod, addPeriod, getHistoryWindow, sumPeriods } from './utils/history';
+import { UNAVAILABILITY_TYPES, WISH_TYPES, isRiderBlocked, isActiveOn, findUnavailability, getWish, setDateWish, resolveWishes } from './utils/availability';
+import { DEFAULT_SHIFTS, generateSchedule as buildSchedule, normalizeSchedule, getAssignment, getRidersOnDate, setAssignment, listAssignments, isLocked, setLock, listProblemCells, getWeight, getTargetWeight, computeTargets, addStats } from './utils/scheduler';
 
 /* STABLE SCHEDULER - 
   A self-contained React application for managing stable duty rosters.
   Features:
   - Rider Management (names, specific blocked dates)
+  - Named shift slots per day (e.g. morning and evening), balanced per slot type
   - Unlimited blocked dates
-  - 2-Pass Algorithm: Prioritizes Saturdays (Pass 1) then fills others (Pass 2)
+  - 2-Pass Algorithm: fills holidays and the configured anchor days first (Pass 1), then the other open days (Pass 2)
   - Consecutive day avoidance (Lookahead & Lookbehind)
-  - Consecutive weekend avoidance
+  - Consecutive weekend avoidance over the configured weekend days
   - iCal (.ics) export with configurable event name & description
 */
 
 // --- Utility Functions ---
 
-const generateDates = (startDate, endDate) => {
-  const start = new Date(startDate);
-  start.setHours(0, 0, 0, 0);
-
-  const end = new Date(endDate);
-  end.setHours(0, 0, 0, 0);
-
-  const dates = [];
-  const current = new Date(start);
+// Shown when a chosen file cannot be read or parsed at all
+const FILE_READ_ERROR = 'Filen kunne ikke leses.';
+
+const PENALTY_LABELS = {
+  unfilled: 'Ubemannede vakter',
+  consecutiveDays: 'Dager på rad',
+  weeklyCap: 'Over ukegrensen',
+  consecutiveAnchors: 'Samme ankerdag to uker på rad',
+  consecutiveWeekends: 'Helger på rad',
+  holidayBalance: 'Helligdagsbalanse',
+  anchorBalance: 'Ankerdagbalanse',
+  totalBalance: 'Totalbalanse',
+  wishes: 'Ønsker ikke oppfylt'
+};
 
-  while (current <= end) {
-    dates.push(new Date(current));
-    current.setDate(current.getDate() + 1);
-  }
-  return dates;
+const CONSTRAINT_LABELS = {
+  consecutiveDays: 'Dager på rad',
+  consecutiveAnchors: 'Samme ankerdag to uker på rad',
+  weeklyCap: 'Ukegrense',
+  consecutiveWeekends: 'Helger på rad'
 };
 
-const isWeekendDay = (date) => {
-  const day = date.getDay();
-  return day === 0 || day === 6; // Sunday or Saturday
+const PASS_LABELS = {
+  holiday: 'Helligdagspass',
+  anchor: 'Ankerdagpass',
+  fill: 'Utfyllingspass',
+  locked: 'Låst vakt'
 };
 
-const isSaturday = (date) => date.getDay() === 6;
+const MODE_LABELS = { hard: 'Absolutt', soft: 'Myk', off: 'Av' };
+
+const CUSTOM_DAY_TYPES = { special: 'Spesialdag', closed: 'Stengt' };
+
+const REMINDER_LABELS = { eveningBefore: 'Kvelden før, kl.', before: 'Minutter før' };
+
+const WISH_LABELS = { preferred: 'Ønsker', disliked: 'Helst ikke' };
+
+// What a click in the availability calendar marks
+const BRUSH_LABELS = { blocked: 'Blokkert', ...WISH_LABELS };
 
-const isFriSatSun = (date) => {
-  const day = date.getDay();
-  return day === 5 || day === 6 || day === 0;
+const DAY_STATE_CLASSES = {
+  blocked: 'bg-red-100 text-red-700 border border-red-200',
+  preferred: 'bg-emerald-100 text-emerald-800 border border-emerald-200',
+  disliked: 'bg-slate-200 text-slate-600 border border-slate-300'
 };
 
-// Timezone safe format YYYY-MM-DD
-const formatDate = (date) => {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+const WISH_ACTIVE_CLASSES = {
+  preferred: 'bg-emerald-600 text-white border-emerald-600',
+  disliked: 'bg-slate-500 text-white border-slate-500'
 };
 
+const SWAP_LABELS = { swap: 'Bytte vakter', giveaway: 'Gi bort vakt' };
 
+const UNAVAILABILITY_LABELS = { weekday: 'Fast ukedag', interval: 'Hver N. uke', range: 'Periode' };
+
+// Indexed by Date.getDay() (0 = Sunday), listed Monday first in the UI
+const WEEKDAY_SHORT = ['Søn', 'Man', 'Tir', 'Ons', 'Tor', 'Fre', 'Lør'];
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const formatWeekdays = (days) => WEEKDAY_ORDER.filter(d => days.includes(d)).map(d => WEEKDAY_SHORT[d]).join('/');
 
 const getMonthName = (date) => {
   return date.toLocaleString('nb-NO', { month: 'long', year: 'numeric' });
 };
 
-const getWeekNumber = (d) => {
-  // Copy date so don't modify original
-  d = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
-  // Set to nearest Thursday: current date + 4 - current day number
-  // Make Sunday's day number 7
-  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
-  // Get first day of year
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  // Calculate full weeks to nearest Thursday
-  const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-  // Return array of year and week number
-  return weekNo;
-};
-
 // Groups dates into weeks (arrays of 7 days, padded with nulls)
 const groupDatesByWeek = (dates) => {
   if (dates.length === 0) return [];
@@ -168,26 +198,24 @@ export default function App() {
   // --- State ---
   const STORAGE_KEY = 'stallplan_riders_v1';
   const STATE_KEY = 'stallplan_state_v1';
-  const SCHEMA_VERSION = 1;
+  const HISTORY_KEY = 'stallplan_history_v1';
+  const VERSIONS_KEY = 'stallplan_versions_v1';
 
   const defaultRiders = [
-    { id: 1, name: 'Elin', color: 'bg-blue-100 text-blue-800 border-blue-200', blockedDates: [] },
-    { id: 2, name: 'Anne', color: 'bg-green-100 text-green-800 border-green-200', blockedDates: [] },
-    { id: 3, name: 'Silvia', color: 'bg-purple-100 text-purple-800 border-purple-200', blockedDates: [] },
-    { id: 4, name: 'Hedda', color: 'bg-orange-100 text-orange-800 border-orange-200', blockedDates: [] },
-    { id: 5, name: 'Kristel', color: 'bg-yellow-100 text-yellow-800 border-yellow-200', blockedDates: [] },
-    { id: 6, name: 'Marion', color: 'bg-red-100 text-red-800 border-red-200', blockedDates: [] },
+    { id: 1, name: 'Elin', color: 'bg-blue-100 text-blue-800 border-blue-200', blockedDates: [], unavailability: [], wishes: {}, weight: 1 },
+    { id: 2, name: 'Anne', color: 'bg-green-100 text-green-800 border-green-200', blockedDates: [], unavailability: [], wishes: {}, weight: 1 },
+    { id: 3, name: 'Silvia', color: 'bg-purple-100 text-purple-800 border-purple-200', blockedDates: [], unavailability: [], wishes: {}, weight: 1 },
+    { id: 4, name: 'Hedda', color: 'bg-orange-100 text-orange-800 border-orange-200', blockedDates: [], unavailability: [], wishes: {}, weight: 1 },
+    { id: 5, name: 'Kristel', color: 'bg-yellow-100 text-yellow-800 border-yellow-200', blockedDates: [], unavailability: [], wishes: {}, weight: 1 },
+    { id: 6, name: 'Marion', color: 'bg-red-100 text-red-800 border-red-200', blockedDates: [], unavailability: [], wishes: {}, weight: 1 },
   ];
 
   const [riders, setRiders] = useState(() => {
     try {
       const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const { version, data } = JSON.parse(saved);
-        if (version === SCHEMA_VERSION) {
-          return data;
-        }
-      }
+      // Riders saved by an older version are upgraded, not replaced by the defaults
+      const stored = saved && loadStoredRiders(JSON.parse(saved));
+      if (stored) return stored;
     } catch (e) {
       console.warn('Failed to load riders from storage', e);
     }
@@ -207,7 +235,18 @@ export default function App() {
       const saved = localStorage.getItem(STATE_KEY);
       if (saved) {
         const { config } = JSON.parse(saved);
-        if (config) return config;
+        if (config) {
+          return {
+            shifts: DEFAULT_SHIFTS,
+            seed: newSeed(),
+            carryOverMonths: DEFAULT_CARRY_OVER_MONTHS,
+            ...config,
+            rules: resolveRules(config.rules),
+            holidays: resolveHolidays(config.holidays),
+            calendar: resolveCalendar(config.calendar),
+            email: resolveEmail(config.email)
+          };
+        }
       }
     } catch (e) {
       console.warn('Failed to load state', e);
@@ -224,24 +263,103 @@ export default function App() {
 
     return {
       startDate: startStr,
-      endDate: endStr
+      endDate: endStr,
+      shifts: DEFAULT_SHIFTS,
+      seed: newSeed(),
+      rules: DEFAULT_RULES,
+      holidays: DEFAULT_HOLIDAYS,
+      calendar: DEFAULT_CALENDAR,
+      email: DEFAULT_EMAIL,
+      carryOverMonths: DEFAULT_CARRY_OVER_MONTHS
     };
   });
 
-  const [eventName, setEventName] = useState('Stallvakt');
-  const [eventDescription, setEventDescription] = useState('Du er satt opp på stallvakt i dag.');
+  const [eventName, setEventName] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STATE_KEY);
+      if (saved) return JSON.parse(saved).eventName ?? DEFAULT_EVENT_NAME;
+    } catch (e) {
+      console.warn('Failed to load event name', e);
+    }
+    return DEFAULT_EVENT_NAME;
+  });
+  const [eventDescription, setEventDescription] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STATE_KEY);
+      if (saved) return JSON.parse(saved).eventDescription ?? DEFAULT_EVENT_DESCRIPTION;
+    } catch (e) {
+      console.warn('Failed to load event description', e);
+    }
+    return DEFAULT_EVENT_DESCRIPTION;
+  });
 
   const [schedule, setSchedule] = useState(() => {
     try {
       const saved = localStorage.getItem(STATE_KEY);
       if (saved) {
-        const { schedule } = JSON.parse(saved);
-        return schedule || {};
+        const { schedule, config } = JSON.parse(saved);
+        return normalizeSchedule(schedule, config?.shifts || DEFAULT_SHIFTS);
       }
     } catch { }
     return {};
   });
 
+  // Pinned cells, kept as fixed input when the schedule is regenerated
+  const [locks, setLocks] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STATE_KEY);
+      if (saved) {
+        const { locks } = JSON.parse(saved);
+        return locks || {};
+      }
+    } catch (e) {
+      console.warn('Failed to load locks', e);
+    }
+    return {};
+  });
+
+  // Sick calls: who stood in for whom, so the sick rider keeps fairness credit
+  const [substitutions, setSubstitutions] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STATE_KEY);
+      if (saved) {
+        const { substitutions } = JSON.parse(saved);
+        return substitutions || [];
+      }
+    } catch (e) {
+      console.warn('Failed to load substitutions', e);
+    }
+    return [];
+  });
+
+  // Every trade made through the swap dialog, oldest first
+  const [auditLog, setAuditLog] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STATE_KEY);
+      if (saved) {
+        const { auditLog } = JSON.parse(saved);
+        return auditLog || [];
+      }
+    } catch (e) {
+      console.warn('Failed to load audit log', e);
+    }
+    return [];
+  });
+
+  // The plan as last sent to the riders; calendar updates and cancellations are measured from it
+  const [publication, setPublication] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STATE_KEY);
+      if (saved) {
+        const { publication } = JSON.parse(saved);
+        return publication || null;
+      }
+    } catch (e) {
+      console.warn('Failed to load publication', e);
+    }
+    return null;
+  });
+
   const [view, setView] = useState(() => {
     try {
       const saved = localStorage.getItem(STATE_KEY);
@@ -258,176 +376,233 @@ export default function App() {
     localStorage.setItem(STATE_KEY, JSON.stringify({
       config,
       schedule,
+      locks,
+      substitutions,
+      auditLog,
+      publication,
+      eventName,
+      eventDescription,
       view
     }));
-  }, [config, schedule, view]);
-  const [activeRiderId, setActiveRiderId] = useState(null); // For configuration modal
-  const [showHeatMap, setShowHeatMap] = useState(false); // Controls heat map visualization
-
-  // --- Logic: The Scheduler ---
-
-  const generateSchedule = () => {
-    const dates = generateDates(config.startDate, config.endDate);
-    const newSchedule = {};
+  }, [config, schedule, locks, substitutions, auditLog, publication, eventName, eventDescription, view]);
+  // Saved periods; their counts seed the fairness of the next generation
+  const [history, setHistory] = useState(() => {
+    try {
+      const saved = localStorage.getItem(HISTORY_KEY);
+      if (saved) return JSON.parse(saved);
+    } catch (e) {
+      console.warn('Failed to load history', e);
+    }
+    return [];
+  });
 
-    // Stats tracking
-    const stats = riders.reduce((acc, r) => {
-      acc[r.id] = { total: 0, saturdays: 0 };
-      return acc;
-    }, {});
+  useEffect(() => {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  }, [history]);
 
-    const shuffle = (array) => array.sort(() => Math.random() - 0.5);
+  // Counts from the saved periods inside the carry-over window
+  const historyWindow = useMemo(
+    () => getHistoryWindow(history, config.startDate, config.carryOverMonths),
+    [history, config.startDate, config.carryOverMonths]
+  );
+  const carryOver = useMemo(
+    () => sumPeriods(historyWindow, riders, config.shifts),
+    [historyWindow, riders, config.shifts]
+  );
 
-    // --- Helpers ---
+  // Missed shifts credited to riders who called in sick
+  const substitutionCredits = useMemo(
+    () => computeSubstitutionCredits(substitutions, schedule, riders, config),
+    [substitutions, schedule, riders, config]
+  );
 
-    const checkWeekend = (referenceDate, offsetWeeks, candidateId) => {
-      // 1. Find the Friday of the *reference* date's weekend
-      const day = referenceDate.getDay(); // 0=Sun, 5=Fri, 6=Sat
-      const diffToFriday = day === 0 ? -2 : (day === 6 ? -1 : 0); // If Sun(-2), If Sat(-1), If Fri(0)
+  // Everything fairness starts from besides the plan itself
+  const fairnessBase = useMemo(
+    () => addStats(carryOver, substitutionCredits),
+    [carryOver, substitutionCredits]
+  );
 
-      const referenceFriday = new Date(referenceDate);
-      referenceFriday.setDate(referenceDate.getDate() + diffToFriday);
+  const [activeRiderId, setActiveRiderId] = useState(null); // For configuration modal
+  const [brush, setBrush] = useState('blocked'); // What a click in the modal calendar marks
+  // Dates read from a rider's own .ics file, waiting for confirmation: { riderId, fileName, dates }
+  const [icalImport, setIcalImport] = useState(null);
+  // Problems found in the last project file that could not be imported
+  const [projectErrors, setProjectErrors] = useState([]);
+  // What was fixed while importing the last project file
+  const [projectWarnings, setProjectWarnings] = useState([]);
+  // What the last spreadsheet import changed and could not match (not persisted)
+  const [csvReport, setCsvReport] = useState(null);
+  const [emailReport, setEmailReport] = useState(null);
+  const [showScoreDetails, setShowScoreDetails] = useState(false);
+  // Rule violations in the current plan, re-checked after every edit
+  const violations = useMemo(
+    () => validateSchedule({ schedule, riders, config }),
+    [schedule, riders, config]
+  );
 
-      // 2. Shift to the target weekend (Prev = -1, Next = 1)
-      const targetFriday = new Date(referenceFriday);
-      targetFriday.setDate(referenceFriday.getDate() + (offsetWeeks * 7));
+  // Decision trace from the last generation (not persisted) and the day whose trace is open
+  const [trace, setTrace] = useState({});
+  const [traceDate, setTraceDate] = useState(null);
 
-      // 3. Check Fri/Sat/Sun of that target weekend
-      const targetSat = new Date(targetFriday); targetSat.setDate(targetFriday.getDate() + 1);
-      const targetSun = new Date(targetFriday); targetSun.setDate(targetFriday.getDate() + 2);
+  const [showHeatMap, setShowHeatMap] = useState(false); // Controls heat map visualization
 
-      const datesToCheck = [targetFriday, targetSat, targetSun];
+  // "Replan from date": the chosen date and what the last replan changed (not persisted)
+  const [replanDate, setReplanDate] = useState(() => formatDate(new Date()));
+  const [replanSummary, setReplanSummary] = useState(null);
+
+  // Penalty score of the current plan, kept up to date through manual edits.
+  // After a replan the cells before its date are fixed, as they were for the optimizer.
+  const scheduleScore = useMemo(
+    () => scoreSchedule({
+      schedule, riders, config, locks, carryOver: fairnessBase,
+      fixed: replanSummary ? getFixedBefore(config, replanSummary.fromDate) : {}
+    }),
+    [schedule, riders, config, locks, fairnessBase, replanSummary]
+  );
 
-      return datesToCheck.some(d => {
-        // Don't check future beyond schedule scope if not generating it yet (though sat next week IS generated)
-        return newSchedule[formatDate(d)] === candidateId;
-      });
-    };
+  // The cell whose replacement finder is open: { date, slotId }
+  const [replacementCell, setReplacementCell] = useState(null);
 
-    const countShiftsInWeek = (currentDate, candidateId) => {
-      // Find Monday of the current week
-      const d = new Date(currentDate);
-      const day = d.getDay();
-      const diff = d.getDate() - day + (day === 0 ? -6 : 1); // adjust when day is sunday
-
-      const monday = new Date(d.setDate(diff));
-      const weekDates = [];
-      for (let i = 0; i < 7; i++) {
-        const next = new Date(monday);
-        next.setDate(monday.getDate() + i);
-        weekDates.push(next);
-      }
+  // Swap dialog form (null when closed) and whether the audit log is shown
+  const [swapDraft, setSwapDraft] = useState(null);
+  const [showAuditLog, setShowAuditLog] = useState(false);
 
-      return weekDates.reduce((count, date) => {
-        if (newSchedule[formatDate(date)] === candidateId) {
-          return count + 1;
-        }
-        return count;
-      }, 0);
-    };
+  // Undo/redo over every schedule, rider, lock and settings edit (not persisted)
+  const [undoState, setUndoState] = useState(() => createUndoState({ schedule, riders, locks, config }));
 
-    // --- PASS 1: SATURDAYS (The "Anchor" Days) ---
+  useEffect(() => {
+    setUndoState(state => recordChange(state, { schedule, riders, locks, config }));
+  }, [schedule, riders, locks, config]);
 
-    dates.filter(d => isSaturday(d)).forEach(date => {
-      const dateStr = formatDate(date);
+  // Named snapshots of the whole plan, and the two being compared ('current' is the live plan)
+  const [versions, setVersions] = useState(() => {
+    try {
+      const saved = localStorage.getItem(VERSIONS_KEY);
+      if (saved) return JSON.parse(saved);
+    } catch (e) {
+      console.warn('Failed to load versions', e);
+    }
+    return [];
+  });
 
-      // 1. Availability
-      let candidates = riders.filter(r => !r.blockedDates.includes(dateStr));
+  useEffect(() => {
+    localStorage.setItem(VERSIONS_KEY, JSON.stringify(versions));
+  }, [versions]);
 
-      // 2. Soft Constraint: Avoid Consecutive Saturdays
-      const prevSat = new Date(date);
-      prevSat.setDate(date.getDate() - 7);
-      const prevSatWorker = newSchedule[formatDate(prevSat)];
+  const [showVersions, setShowVersions] = useState(false);
 
-      let softCandidates = candidates.filter(r => r.id !== prevSatWorker);
-      if (softCandidates.length > 0) candidates = softCandidates;
+  // A plan opened from a share link ({ plan, error }, both null while it is read), and the rider picked in it
+  const [shared, setShared] = useState(() => (readShareHash(window.location.hash) === null ? null : { plan: null, error: null }));
+  const [sharedRiderId, setSharedRiderId] = useState('');
+  // The last link made with "Del" and whether it reached the clipboard, or why it could not be made (not persisted)
+  const [shareLink, setShareLink] = useState(null);
 
-      if (candidates.length === 0) {
-        newSchedule[dateStr] = null;
+  // Share links can also be pasted into an open tab, which only changes the hash
+  useEffect(() => {
+    const openShareLink = () => {
+      const encoded = readShareHash(window.location.hash);
+      setSharedRiderId('');
+      if (encoded === null) {
+        setShared(null);
         return;
       }
+      setShared({ plan: null, error: null });
+      decodeSharePlan(encoded).then(setShared);
+    };
+    openShareLink();
+    window.addEventListener('hashchange', openShareLink);
+    return () => window.removeEventListener('hashchange', openShareLink);
+  }, []);
+  const [versionName, setVersionName] = useState('');
+  const [comparePair, setComparePair] = useState(null); // { a: versionId, b: versionId }
 
-      // 3. Sort STRICTLY by Saturday count
-      candidates = shuffle(candidates).sort((a, b) => {
-        const statsA = stats[a.id];
-        const statsB = stats[b.id];
-        if (statsA.saturdays !== statsB.saturdays) {
-          return statsA.saturdays - statsB.saturdays;
-        }
-        return statsA.total - statsB.total;
-      });
-
-      const chosen = candidates[0];
-      newSchedule[dateStr] = chosen.id;
-      stats[chosen.id].total++;
-      stats[chosen.id].saturdays++;
-    });
-
-    // --- PASS 2: ALL OTHER DAYS (The "Fill") ---
-
-    dates.filter(d => !isSaturday(d)).forEach(date => {
-      const dateStr = formatDate(date);
-
-      // 1. Availability
-      let candidates = riders.filter(r => !r.blockedDates.includes(dateStr));
-
-      // 2. Hard Constraint: Consecutive Days
-      const yesterday = new Date(date);
-      yesterday.setDate(date.getDate() - 1);
-      const yesterdayWorker = newSchedule[formatDate(yesterday)];
-
-      const tomorrow = new Date(date);
-      tomorrow.setDate(date.getDate() + 1);
-      const tomorrowWorker = newSchedule[formatDate(tomorrow)];
+  // --- Logic: The Scheduler ---
 
-      let nonConsecutiveCandidates = candidates.filter(r =>
-        r.id !== yesterdayWorker && r.id !== tomorrowWorker
-      );
+  // The seed makes generation deterministic; the same seed reproduces the same plan.
+  // The greedy passes produce a starting plan that the optimizer then improves.
+  const generateSchedule = (seed = config.seed) => {
+    const nextConfig = { ...config, seed };
+    const { schedule: greedy, trace: decisions } = buildSchedule({ riders, config: nextConfig, schedule, locks, carryOver: fairnessBase });
+    const { schedule: optimized } = optimizeSchedule({ schedule: greedy, riders, config: nextConfig, locks, carryOver: fairnessBase });
+    setConfig(nextConfig);
+    setSchedule(optimized);
+    setTrace(decisions);
+    setTraceDate(null);
+    setReplanSummary(null);
+    setView('calendar');
+  };
 
-      if (nonConsecutiveCandidates.length > 0) {
-        candidates = nonConsecutiveCandidates;
-      } else {
-        candidates = candidates.filter(r => r.id !== tomorrowWorker);
-      }
+  const rerollSchedule = () => generateSchedule(newSeed());
 
-      // 2b. Soft Constraint: Max 3 Shifts Per Week
-      // Priority: Try to find someone with < 3 shifts this week.
-      const underLimitCandidates = candidates.filter(r => countShiftsInWeek(date, r.id) < 3);
-      if (underLimitCandidates.length > 0) {
-        candidates = underLimitCandidates;
-      }
+  // Keeps everything before replanDate and regenerates the rest with the current riders
+  const replanSchedule = () => {
+    const result = replanFrom({ riders, config, schedule, locks, carryOver: fairnessBase, fromDate: replanDate });
+    setSchedule(result.schedule);
+    setTrace(result.trace);
+    setTraceDate(null);
+    setReplanSummary({ fromDate: replanDate, changes: result.changes, changedRiderIds: result.changedRiderIds });
+  };
 
+  // Stores the current period's counts, sick-call credits included; saving the same period again replaces it
+  const savePeriod = () => {
+    const summary = summarizePeriod(schedule, riders, config);
+    setHistory(addPeriod(history, { ...summary, stats: addStats(summary.stats, substitutionCredits) }));
+  };
 
+  const removePeriod = (index) => {
+    setHistory(history.filter((_, i) => i !== index));
+  };
 
-      // 3. Soft Constraint: Consecutive Weekends (Lookbehind AND Lookahead)
-      if (isFriSatSun(date)) {
-        let freshWeekendCandidates = candidates.filter(r =>
-          !checkWeekend(date, -1, r.id) && !checkWeekend(date, 1, r.id)
-        );
-        if (freshWeekendCandidates.length > 0) {
-          candidates = freshWeekendCandidates;
-        }
-      }
+  // Moves through the undo history and puts that snapshot back in place
+  const stepHistory = (step) => {
+    const next = step(undoState);
+    if (next === undoState) return;
+    setUndoState(next);
+    setSchedule(next.present.schedule);
+    setRiders(next.present.riders);
+    setLocks(next.present.locks);
+    setConfig(next.present.config);
+  };
 
-      if (candidates.length === 0) {
-        newSchedule[dateStr] = null;
-        return;
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside text fields, which keep their own undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (shared || !(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        stepHistory(key === 'y' || e.shiftKey ? redo : undo);
       }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
 
-      // 4. Sort by Total Shifts
-      candidates = shuffle(candidates).sort((a, b) => {
-        return stats[a.id].total - stats[b.id].total;
-      });
+  const saveVersion = () => {
+    const name = versionName.trim() || `Utkast ${versions.length + 1}`;
+    setVersions([...versions, createVersion({ name, config, schedule, riders, locks })]);
+    setVersionName('');
+  };
 
-      const chosen = candidates[0];
-      newSchedule[dateStr] = chosen.id;
-      stats[chosen.id].total++;
-    });
+  // Brings back the saved plan, riders and period; the undo history can step back over it
+  const restoreVersion = (version) => {
+    setConfig({ ...config, ...version.config });
+    setSchedule(version.schedule);
+    setRiders(version.riders);
+    setLocks(version.locks);
+    setTrace({});
+    setTraceDate(null);
+  };
 
-    setSchedule(newSchedule);
-    setView('calendar');
+  const removeVersion = (id) => {
+    setVersions(versions.filter(v => v.id !== id));
+    if (comparePair && (comparePair.a === id || comparePair.b === id)) setComparePair(null);
   };
 
+  // The live plan, shaped like a saved version so it can be compared too
+  const currentVersion = { id: 'current', name: 'Nåværende plan', config, schedule, riders, locks };
+  const getVersionById = (id) => (id === 'current' ? currentVersion : versions.find(v => v.id === id));
+
   const handlePrint = () => {
     // Add a small timeout to allow UI updates (ripples, etc) to finish before blocking thread
     setTimeout(() => {
@@ -435,34 +610,168 @@ export default function App() {
     }, 100);
   };
 
-  const downloadICal = (riderId) => {
-    const rider = getRiderById(riderId);
-    if (!rider) return;
+  const getShiftById = (slotId) => config.shifts.find(s => s.id === slotId);
 
-    const events = Object.entries(schedule)
-      .filter(([_, scheduledRiderId]) => scheduledRiderId === riderId)
-      .map(([dateStr, scheduledRiderId]) => ({
-        date: dateStr,
-        riderId: scheduledRiderId,
-        name: rider.name,
-        eventName: eventName,
-        description: eventDescription
-      }));
+  // Raised once the plan differs from what was published, so riders' calendars take the update
+  const sequence = useMemo(
+    () => getSequence(publication, schedule, config.shifts),
+    [publication, schedule, config.shifts]
+  );
+
+  const toRiderEvent = (rider, { date, slotId }) => ({
+    date,
+    slotId,
+    riderId: rider.id,
+    name: rider.name,
+    eventName: config.shifts.length > 1 ? `${eventName} (${getShiftById(slotId)?.name})` : eventName,
+    description: eventDescription,
+    start: getShiftById(slotId)?.start,
+    end: getShiftById(slotId)?.end,
+    sequence
+  });
 
-    const icalContent = generateICalContent(events);
+  // One calendar event per slot the rider is assigned to
+  const getRiderEvents = (rider) => listAssignments(schedule, config.shifts)
+    .filter(a => a.riderId === rider.id)
+    .map(a => toRiderEvent(rider, a));
 
-    const blob = new Blob([icalContent], { type: 'text/calendar;charset=utf-8' });
+  const downloadFile = (content, filename, type = 'text/calendar;charset=utf-8') => {
+    const blob = new Blob([content], { type });
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.setAttribute('download', `${rider.name.replace(/\s+/g, '_')}_schedule.ics`);
+    link.setAttribute('download', filename);
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
   };
 
+  // Called after every file with events goes out, so the next edit gets a higher SEQUENCE than it
+  const recordExport = () => setPublication(recordIssue(publication, schedule, config.shifts));
+
+  const downloadICal = (riderId) => {
+    const rider = getRiderById(riderId);
+    if (!rider) return;
+
+    downloadFile(generateICalContent(getRiderEvents(rider), { calendar: config.calendar }), `${rider.name.replace(/\s+/g, '_')}_schedule.ics`);
+    recordExport();
+  };
+
+  // Only what changed for the rider since the last publication: new shifts, and cancellations for lost ones
+  const downloadChanges = (riderId) => {
+    const rider = getRiderById(riderId);
+    if (!rider) return;
+
+    const { added, removed } = getRiderChanges(publication, schedule, config.shifts, riderId);
+    if (added.length + removed.length === 0) return;
+    const events = [
+      ...added.map(cell => toRiderEvent(rider, cell)),
+      ...removed.map(cell => ({ ...toRiderEvent(rider, cell), cancelled: true }))
+    ];
+    // Only lost shifts: the generator sends a CANCEL as PUBLISH with cancelled events when no organizer is set
+    const method = added.length === 0 ? 'CANCEL' : 'PUBLISH';
+    downloadFile(generateICalContent(events, { method, calendar: config.calendar }), `${rider.name.replace(/\s+/g, '_')}_endringer.ics`);
+    recordExport();
+  };
+
+  // Everything the planner keeps, as one versioned JSON file
+  const exportProject = () => {
+    const project = createProjectFile({
+      riders, config, schedule, locks, substitutions, auditLog, publication, history, versions, eventName, eventDescription
+    });
+    downloadFile(JSON.stringify(project, null, 2), `stallvaktplan_${formatDate(new Date())}.json`, 'application/json');
+  };
+
+  const exportScheduleCsv = () => {
+    downloadFile(scheduleToCsv({ schedule, riders, config, locks }), `vaktplan_${config.startDate}_${config.endDate}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  // Loads a plan edited in a spreadsheet; the report lists what changed and what could not be matched
+  const importScheduleFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const result = importScheduleCsv(text, { schedule, locks, riders, config });
+      setSchedule(result.schedule);
+      setLocks(result.locks);
+      setCsvReport({ fileName: file.name, changes: result.changes, unknownNames: result.unknownNames, closedDays: result.closedDays, conflicts: result.conflicts, errors: result.errors });
+    }).catch(() => {
+      setCsvReport({ fileName: file.name, changes: [], unknownNames: [], closedDays: [], conflicts: [], errors: [FILE_READ_ERROR] });
+    });
+  };
+
+  // Replaces the whole project with the file's, upgraded to the current version; nothing changes if it has errors
+  const importProject = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const { project, errors, warnings } = parseProjectFile(text);
+      setProjectErrors(errors);
+      setProjectWarnings(warnings);
+      if (!project) return;
+      setRiders(project.riders);
+      setConfig(project.config);
+      setSchedule(project.schedule);
+      setLocks(project.locks);
+      setSubstitutions(project.substitutions);
+      setAuditLog(project.auditLog);
+      setPublication(project.publication);
+      setHistory(project.history);
+      setVersions(project.versions);
+      setEventName(project.eventName);
+      setEventDescription(project.eventDescription);
+      setTrace({});
+      setTraceDate(null);
+      setReplanSummary(null);
+    }).catch(() => {
+      setProjectErrors([FILE_READ_ERROR]);
+      setProjectWarnings([]);
+    });
+  };
+
+  // Zip for the gh-pages site: a combined feed, one feed per rider and the printable overview
+  const downloadPublishZip = () => {
+    const stableEvents = listAssignments(schedule, config.shifts).flatMap(a => {
+      const rider = getRiderById(a.riderId);
+      if (!rider) return [];
+      const event = toRiderEvent(rider, a);
+      return [{ ...event, uid: getStableUid(a.date, a.slotId), eventName: `${event.eventName}: ${rider.name}` }];
+    });
+    const riderCalendars = riders.reduce((acc, r) => {
+      acc[r.id] = generateICalContent(getRiderEvents(r), { calendar: config.calendar, name: `${eventName} – ${r.name}` });
+      return acc;
+    }, {});
+    const files = buildPublishFiles({
+      riders,
+      title: eventName,
+      stableCalendar: generateICalContent(stableEvents, { calendar: config.calendar, name: eventName }),
+      riderCalendars,
+      html: generateScheduleHTML()
+    });
+    downloadFile(createZip(files), `stallvaktplan_${config.startDate}_${config.endDate}.zip`, 'application/zip');
+    recordExport();
+  };
+
+  // Read-only link with the plan packed into the fragment; copied to the clipboard when the browser allows it
+  const createShareLink = () => {
+    encodeSharePlan(createSharePlan({ config, schedule, riders, title: eventName })).then(encoded => {
+      const url = getShareUrl(window.location.href, encoded);
+      setShareLink({ url, copied: false });
+      navigator.clipboard?.writeText(url).then(() => setShareLink({ url, copied: true })).catch(() => setShareLink({ url, copied: false }));
+    }).catch(() => {
+      setShareLink({ url: null, copied: false, error: 'Lenken kunne ikke lages. Nettleseren støtter ikke komprimering – prøv en nyere nettleser.' });
+    });
+  };
+
+  // Marks the current plan as sent out, and keeps it as a named version
+  const publishSchedule = () => {
+    const publishedAt = new Date().toISOString();
+    setPublication(createPublication(publication, schedule, config.shifts, publishedAt));
+    const name = `Publisert ${new Date(publishedAt).toLocaleDateString('no-NO', { day: 'numeric', month: 'long' })}`;
+    setVersions([...versions, createVersion({ name, config, schedule, riders, locks, savedAt: publishedAt })]);
+  };
+
   const generateScheduleHTML = () => {
     const dates = generateDates(config.startDate, config.endDate);
+    const specialDays = getSpecialDays(config);
 
     // Group by month for display
     const months = {};
@@ -475,23 +784,41 @@ export default function App() {
     let htmlRows = '';
 
     Object.entries(months).forEach(([monthName, monthDates]) => {
-      htmlRows += `<tr style="background-color: #f3f4f6;"><td colspan="3" style="font-weight: bold; padding: 10px; font-size: 1.1em;">${monthName}</td></tr>`;
+      htmlRows += `<tr style="background-color: #f3f4f6;"><td colspan="${2 + config.shifts.length}" style="font-weight: bold; padding: 10px; font-size: 1.1em;">${monthName}</td></tr>`;
       monthDates.forEach(date => {
         const dateStr = formatDate(date);
-        const riderId = schedule[dateStr];
-        const rider = getRiderById(riderId);
-        const isWknd = isWeekendDay(date);
+        const isWknd = isWeekendDay(date, config.rules);
+        const specialDay = specialDays[dateStr];
+        const isHoliday = isHolidayType(specialDay);
+
+        const rowBg = isHoliday ? '#fff1f2' : (isWknd ? '#fafafa' : '#ffffff');
+        const dateColor = isWknd || isHoliday ? '#dc2626' : '#374151'; // red for weekend and holiday dates text
+        const dayLabel = date.toLocaleDateString('nb-NO', { weekday: 'long' }) + (specialDay ? ` – <strong style="color: #be123c;">${escapeHtml(specialDay.name)}</strong>` : '');
 
-        const rowBg = isWknd ? '#fafafa' : '#ffffff';
-        const dateColor = isWknd ? '#dc2626' : '#374151'; // red for weekend dates text
+        if (isClosedType(specialDay)) {
+          htmlRows += `
+          <tr style="background-color: #f9fafb; border-bottom: 1px solid #e5e7eb;">
+            <td style="padding: 8px; color: ${dateColor};">${dateStr}</td>
+            <td style="padding: 8px; color: #6b7280;">${dayLabel}</td>
+            <td colspan="${config.shifts.length}" style="padding: 8px; color: #9ca3af;">Stengt</td>
+          </tr>
+        `;
+          return;
+        }
+
+        const slotCells = config.shifts.map(shift => {
+          const rider = getRiderById(getAssignment(schedule, dateStr, shift.id));
+          return `
+            <td style="padding: 8px; font-weight: ${rider ? 'bold' : 'normal'};">
+              ${rider ? `<span style="color: #059669;">${escapeHtml(rider.name)}</span>` : '<span style="color: #dc2626;">Ikke tildelt</span>'}
+            </td>`;
+        }).join('');
 
         htmlRows += `
           <tr style="background-color: ${rowBg}; border-bottom: 1px solid #e5e7eb;">
             <td style="padding: 8px; color: ${dateColor};">${dateStr}</td>
-            <td style="padding: 8px; color: #6b7280;">${date.toLocaleDateString('nb-NO', { weekday: 'long' })}</td>
-            <td style="padding: 8px; font-weight: ${rider ? 'bold' : 'normal'};">
-              ${rider ? `<span style="color: #059669;">${rider.name}</span>` : '<span style="color: #dc2626;">Ikke tildelt</span>'}
-            </td>
+            <td style="padding: 8px; color: #6b7280;">${dayLabel}</td>
+            ${slotCells}
           </tr>
         `;
       });
@@ -518,7 +845,9 @@ export default function App() {
             <tr>
               <th>Dato</th>
               <th>Dag</th>
-              <th>Ansvarlig</th>
+              ${config.shifts.length > 1
+                ? config.shifts.map(shift => `<th>${escapeHtml(shift.name)} (${escapeHtml(shift.start)}–${escapeHtml(shift.end)})</th>`).join('')
+                : '<th>Ansvarlig</th>'}
             </tr>
           </thead>
           <tbody>
@@ -530,68 +859,53 @@ export default function App() {
     `;
   };
 
+  // Attachments and filled-in template for one rider's message
+  const buildRiderEml = (rider, html) => {
+    const assignments = listAssignments(schedule, config.shifts).filter(a => a.riderId === rider.id);
+    const { subject, body } = fillRiderTemplate(config.email, { rider, assignments, config });
+    const { organizerName, organizerEmail } = config.calendar;
+    return buildEml({
+      to: { name: rider.name, email: (rider.email || '').trim() },
+      from: isValidEmail(organizerEmail) ? { name: organizerName, email: organizerEmail.trim() } : null,
+      subject,
+      body,
+      attachments: [
+        {
+          filename: 'stallvakt.ics',
+          contentType: 'text/calendar; charset="utf-8"; method=PUBLISH',
+          content: generateICalContent(getRiderEvents(rider), { calendar: config.calendar })
+        },
+        { filename: 'stallvaktplan.html', contentType: 'text/html; charset="utf-8"', content: html }
+      ]
+    });
+  };
+
+  const getEmlName = (rider) => `Stallvakt_${rider.name.replace(/\s+/g, '_')}.eml`;
+
   const downloadEML = (riderId) => {
     const rider = getRiderById(riderId);
     if (!rider) return;
 
-    // 1. Generate iCal Content
-    const events = Object.entries(schedule)
-      .filter(([_, scheduledRiderId]) => scheduledRiderId === riderId)
-      .map(([dateStr, scheduledRiderId]) => ({
-        date: dateStr,
-        riderId: scheduledRiderId,
-        name: rider.name,
-        eventName: eventName,
-        description: eventDescription
-      }));
-
-    const icalContent = generateICalContent(events);
-
-    // 2. Generate HTML Content
-    const htmlContent = generateScheduleHTML();
-
-    // 3. Construct EML
-    const boundary = "boundary_stallvakt_plan_12345";
-    const toEmail = ""; // We don't have email stored, user can fill in
-    const subject = `Stallvaktplan - ${rider.name}`;
-    const bodyText = `Hei ${rider.name},\\n\\nHer er din oversikt for stallvakt. Se vedlagt kalenderfil (.ics) og full oversikt (.html).`;
-
-    const emlContent = `MIME-Version: 1.0
-To: ${toEmail}
-Subject: ${subject}
-X-Unsent: 1
-Content-Type: multipart/mixed; boundary="${boundary}"
-
---${boundary}
-Content-Type: text/plain; charset="utf-8"
-Content-Transfer-Encoding: 8bit
-
-${bodyText}
-
---${boundary}
-Content-Type: text/calendar; charset="utf-8"; method=REQUEST; name="stallvakt.ics"
-Content-Transfer-Encoding: base64
-Content-Disposition: attachment; filename="stallvakt.ics"
-
-${btoa(unescape(encodeURIComponent(icalContent)))}
-
---${boundary}
-Content-Type: text/html; charset="utf-8"; name="stallvaktplan.html"
-Content-Transfer-Encoding: base64
-Content-Disposition: attachment; filename="stallvaktplan.html"
-
-${btoa(unescape(encodeURIComponent(htmlContent)))}
-
---${boundary}--`;
+    downloadFile(buildRiderEml(rider, generateScheduleHTML()), getEmlName(rider), 'message/rfc822');
+    recordExport();
+  };
 
-    const blob = new Blob([emlContent], { type: 'message/rfc822;charset=utf-8' });
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', `Stallvakt_${rider.name}.eml`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  // One draft per rider with a usable address, as a zip of .eml files or one mbox; the rest are reported
+  const downloadAllEmails = (format) => {
+    const { ready, missing } = splitByEmail(riders);
+    setEmailReport({ format, sent: ready.map(r => r.id), missing: missing.map(m => ({ riderId: m.rider.id, reason: m.reason })) });
+    if (ready.length === 0) return;
+
+    const html = generateScheduleHTML();
+    const messages = ready.map(rider => ({ rider, eml: buildRiderEml(rider, html) }));
+    const period = `${config.startDate}_${config.endDate}`;
+    if (format === 'mbox') {
+      downloadFile(buildMbox(messages.map(m => m.eml)), `stallvakt_epost_${period}.mbox`, 'application/mbox');
+    } else {
+      const files = messages.map(({ rider, eml }) => ({ name: `epost/${getEmlName(rider)}`, content: eml }));
+      downloadFile(createZip(files), `stallvakt_epost_${period}.zip`, 'application/zip');
+    }
+    recordExport();
   };
 
   // --- Handlers ---
@@ -610,7 +924,12 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
       id,
       name: `Rytter ${riders.length + 1}`,
       color: colors[riders.length % colors.length],
-      blockedDates: []
+      blockedDates: [],
+      unavailability: [],
+      wishes: {},
+      weight: 1,
+      email: '',
+      phone: ''
     }]);
   };
 
@@ -638,11 +957,102 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
     updateRider(riderId, 'blockedDates', newBlocked);
   };
 
-  const manualAssign = (dateStr) => {
-    const currentId = schedule[dateStr];
+  // Reads a rider's own calendar file and previews the dates in range it would block
+  const readICalFile = (riderId, file) => {
+    if (!file) return;
+    file.text().then(text => {
+      setIcalImport({ riderId, fileName: file.name, dates: getICalDates(text, config.startDate, config.endDate), error: null });
+    }).catch(() => {
+      setIcalImport({ riderId, fileName: file.name, dates: [], error: FILE_READ_ERROR });
+    });
+  };
+
+  // Merges the previewed dates into blockedDates; blocked dates drop any wish for the same date
+  const confirmICalImport = () => {
+    const imported = icalImport.dates.map(d => d.date);
+    setRiders(riders.map(r => {
+      if (r.id !== icalImport.riderId) return r;
+      const wishes = resolveWishes(r.wishes);
+      return {
+        ...r,
+        blockedDates: [...new Set([...r.blockedDates, ...imported])].sort(),
+        wishes: {
+          ...wishes,
+          preferredDates: wishes.preferredDates.filter(d => !imported.includes(d)),
+          dislikedDates: wishes.dislikedDates.filter(d => !imported.includes(d))
+        }
+      };
+    }));
+    setIcalImport(null);
+  };
+
+  // Marks a date as preferred or disliked; clicking the same wish again clears it
+  const toggleDateWish = (e, riderId, dateStr, wish) => {
+    if (e) e.preventDefault();
+    const rider = riders.find(r => r.id === riderId);
+    if (!rider) return;
+    const wishes = resolveWishes(rider.wishes);
+    const current = wishes.preferredDates.includes(dateStr)
+      ? 'preferred'
+      : wishes.dislikedDates.includes(dateStr) ? 'disliked' : null;
+    // A date is either blocked or wished for, not both
+    setRiders(riders.map(r => r.id === riderId ? {
+      ...r,
+      blockedDates: r.blockedDates.filter(d => d !== dateStr),
+      wishes: setDateWish(wishes, dateStr, current === wish ? null : wish)
+    } : r));
+  };
+
+  const toggleWishWeekday = (riderId, wish, day) => {
+    const rider = riders.find(r => r.id === riderId);
+    if (!rider) return;
+    const wishes = resolveWishes(rider.wishes);
+    const field = `${wish}Weekdays`;
+    const other = wish === 'preferred' ? 'dislikedWeekdays' : 'preferredWeekdays';
+    const active = wishes[field].includes(day);
+    updateRider(riderId, 'wishes', {
+      ...wishes,
+      [field]: active ? wishes[field].filter(d => d !== day) : [...wishes[field], day],
+      [other]: wishes[other].filter(d => d !== day)
+    });
+  };
+
+  const addUnavailability = (riderId, type) => {
+    const rider = riders.find(r => r.id === riderId);
+    if (!rider) return;
+    const rule = type === 'range'
+      ? { type, startDate: config.startDate, endDate: config.startDate }
+      : type === 'interval'
+        ? { type, interval: 2, startDate: config.startDate, weekdays: [] }
+        : { type, weekdays: [] };
+    updateRider(riderId, 'unavailability', [...(rider.unavailability || []), rule]);
+  };
+
+  const updateUnavailability = (riderId, index, changes) => {
+    const rider = riders.find(r => r.id === riderId);
+    if (!rider) return;
+    updateRider(riderId, 'unavailability', rider.unavailability.map((u, i) => i === index ? { ...u, ...changes } : u));
+  };
+
+  const toggleUnavailabilityDay = (riderId, index, day) => {
+    const days = riders.find(r => r.id === riderId)?.unavailability[index].weekdays || [];
+    updateUnavailability(riderId, index, { weekdays: days.includes(day) ? days.filter(d => d !== day) : [...days, day] });
+  };
+
+  const removeUnavailability = (riderId, index) => {
+    const rider = riders.find(r => r.id === riderId);
+    if (!rider) return;
+    updateRider(riderId, 'unavailability', rider.unavailability.filter((_, i) => i !== index));
+  };
+
+  const manualAssign = (dateStr, slotId) => {
+    const currentId = getAssignment(schedule, dateStr, slotId);
 
-    // Filter riders who have NOT blocked this date
-    const availableRiders = riders.filter(r => !r.blockedDates.includes(dateStr));
+    // Riders already covering another slot that day are skipped
+    const busyIds = getRidersOnDate(schedule, dateStr).filter(id => id !== currentId);
+
+    // Filter riders who have NOT blocked this date, singly or by a recurring rule
+    const availableRiders = riders.filter(r => !isRiderBlocked(r, dateStr) && !busyIds.includes(r.id));
 
     // Create a cycle list: [Rider1, Rider2, ..., null]
     // We include null to allow unassigning
@@ -654,38 +1064,565 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
     const nextIndex = (currentIndex + 1) % cycleList.length;
     const nextId = cycleList[nextIndex];
 
-    setSchedule({ ...schedule, [dateStr]: nextId });
+    setSchedule(setAssignment(schedule, dateStr, slotId, nextId));
+    // A hand-picked cell is pinned so a re-roll keeps it
+    setLocks(setLock(locks, dateStr, slotId, true));
   };
 
-  // --- Heat Map Logic ---
+  // Hands a sick rider's shift to the substitute, locks it and records the substitution
+  const assignReplacement = (substituteId) => {
+    const { date, slotId } = replacementCell;
+    const sickRiderId = getAssignment(schedule, date, slotId);
+    setSchedule(setAssignment(schedule, date, slotId, substituteId));
+    setLocks(setLock(locks, date, slotId, true));
+    if (sickRiderId !== null) {
+      setSubstitutions(recordSubstitution(substitutions, {
+        date,
+        slotId,
+        sickRiderId,
+        substituteId,
+        recordedAt: new Date().toISOString()
+      }));
+    }
+    setReplacementCell(null);
+  };
 
-  const getAvailabilityColor = (dateStr) => {
-    if (!showHeatMap) return '';
+  const openSwapDialog = () => {
+    const slotId = config.shifts[0].id;
+    setSwapDraft({
+      type: 'swap',
+      a: { date: config.startDate, slotId },
+      b: { date: config.startDate, slotId },
+      toRiderId: null,
+      reason: ''
+    });
+  };
 
-    const totalRiders = riders.length;
-    if (totalRiders === 0) return '';
+  const updateSwapDraft = (changes) => setSwapDraft({ ...swapDraft, ...changes });
 
-    const availableRiders = riders.filter(r => !r.blockedDates.includes(dateStr)).length;
-    const percentage = availableRiders / totalRiders;
+  const toSwap = (draft) => ({
+    type: draft.type,
+    a: draft.a,
+    ...(draft.type === 'swap' ? { b: draft.b } : { toRiderId: draft.toRiderId })
+  });
 
-    if (percentage >= 0.75) return 'bg-green-100/80'; // high availability
-    if (percentage >= 0.50) return 'bg-yellow-100/80'; // medium availability
-    if (percentage >= 0.25) return 'bg-orange-100/80'; // low availability
-    return 'bg-red-100/80'; // critical availability
+  // Applies a validated trade, locks the changed cells and logs it
+  const applySwapDraft = () => {
+    const swap = toSwap(swapDraft);
+    if (!validateSwap({ schedule, riders, config, swap }).ok) return;
+    const next = applySwap(schedule, swap);
+    const entry = createAuditEntry({ before: schedule, after: next, shifts: config.shifts, swap, reason: swapDraft.reason.trim() });
+    setSchedule(next);
+    setLocks(entry.changes.reduce((acc, c) => setLock(acc, c.date, c.slotId, true), locks));
+    setAuditLog([...auditLog, entry]);
+    setSwapDraft(null);
   };
 
-  const getRiderById = (id) => riders.find(r => r.id === id);
+  const openReplacementFinder = (e, dateStr, slotId) => {
+    e.stopPropagation();
+    setReplacementCell({ date: dateStr, slotId });
+  };
 
-  // --- Render Helpers ---
-  // Defined as plain functions to prevent React from unmounting/remounting (which caused scroll reset)
+  const toggleLock = (e, dateStr, slotId) => {
+    e.stopPropagation();
+    setLocks(setLock(locks, dateStr, slotId, !isLocked(locks, dateStr, slotId)));
+  };
 
-  const renderSetupView = () => (
-    <div className="max-w-4xl mx-auto space-y-8 animate-in fade-in">
+  const addShift = () => {
+    const id = `vakt-${Date.now()}`;
+    setConfig({
+      ...config,
+      shifts: [...config.shifts, { id, name: `Vakt ${config.shifts.length + 1}`, start: '16:00', end: '18:00' }]
+    });
+  };
 
-      {/* Header */}
+  const updateShift = (id, field, value) => {
+    setConfig({
+      ...config,
+      shifts: config.shifts.map(s => s.id === id ? { ...s, [field]: value } : s)
+    });
+  };
+
+  const updateRules = (changes) => {
+    setConfig({ ...config, rules: { ...config.rules, ...changes } });
+  };
+
+  const toggleRuleDay = (field, day) => {
+    const days = config.rules[field];
+    updateRules({ [field]: days.includes(day) ? days.filter(d => d !== day) : [...days, day] });
+  };
+
+  const setConstraintMode = (constraint, mode) => {
+    updateRules({ constraints: { ...config.rules.constraints, [constraint]: mode } });
+  };
+
+  const updateHolidays = (changes) => {
+    setConfig({ ...config, holidays: { ...config.holidays, ...changes } });
+  };
+
+  const addCustomDay = () => {
+    updateHolidays({
+      customDays: [...config.holidays.customDays, { date: config.startDate, name: 'Spesialdag', type: 'special' }]
+    });
+  };
+
+  const updateCustomDay = (index, field, value) => {
+    updateHolidays({
+      customDays: config.holidays.customDays.map((d, i) => i === index ? { ...d, [field]: value } : d)
+    });
+  };
+
+  const removeCustomDay = (index) => {
+    updateHolidays({ customDays: config.holidays.customDays.filter((_, i) => i !== index) });
+  };
+
+  const updateCalendar = (changes) => {
+    setConfig({ ...config, calendar: { ...config.calendar, ...changes } });
+  };
+
+  const updateEmail = (changes) => {
+    setConfig({ ...config, email: { ...config.email, ...changes } });
+  };
+
+  const addReminder = () => {
+    updateCalendar({ reminders: [...config.calendar.reminders, { type: 'eveningBefore', time: '20:00' }] });
+  };
+
+  const updateReminder = (index, changes) => {
+    updateCalendar({ reminders: config.calendar.reminders.map((r, i) => i === index ? { ...r, ...changes } : r) });
+  };
+
+  // Switching type starts over from that type's default
+  const setReminderType = (index, type) => {
+    const reminder = type === 'eveningBefore' ? { type, time: '20:00' } : { type, minutes: 60 };
+    updateCalendar({ reminders: config.calendar.reminders.map((r, i) => i === index ? reminder : r) });
+  };
+
+  const removeReminder = (index) => {
+    updateCalendar({ reminders: config.calendar.reminders.filter((_, i) => i !== index) });
+  };
+
+  const removeShift = (id) => {
+    if (config.shifts.length <= 1) return;
+    setConfig({ ...config, shifts: config.shifts.filter(s => s.id !== id) });
+  };
+
+  // --- Heat Map Logic ---
+
+  const getAvailabilityColor = (dateStr) => {
+    if (!showHeatMap) return '';
+
+    const totalRiders = riders.length;
+    if (totalRiders === 0) return '';
+
+    const availableRiders = riders.filter(r => !isRiderBlocked(r, dateStr)).length;
+    const percentage = availableRiders / totalRiders;
+
+    if (percentage >= 0.75) return 'bg-green-100/80'; // high availability
+    if (percentage >= 0.50) return 'bg-yellow-100/80'; // medium availability
+    if (percentage >= 0.25) return 'bg-orange-100/80'; // low availability
+    return 'bg-red-100/80'; // critical availability
+  };
+
+  const getRiderById = (id) => riders.find(r => r.id === id);
+
+  const describeViolation = (violation) => {
+    const name = getRiderById(violation.riderId)?.name;
+    switch (violation.rule) {
+      case 'blocked': return `${name} har blokkert denne datoen`;
+      case 'inactive': return `${name} er ikke aktiv denne datoen`;
+      case 'doubleShift': return `${name} har flere vakter samme dag`;
+      case 'consecutiveDays': return `${name} har vakt dagen før eller etter`;
+      case 'weeklyCap': return `${name} har ${violation.detail.count} vakter denne uken (maks ${violation.detail.cap})`;
+      case 'consecutiveWeekends': return `${name} hadde også vakt forrige helg`;
+      case 'consecutiveAnchors': return `${name} hadde også vakt samme ukedag forrige uke`;
+      default: return `${name}: ${violation.rule}`;
+    }
+  };
+
+  const riderNames = (ids) => ids.map(id => getRiderById(id)?.name).filter(Boolean).join(', ');
+
+  // Explains how the generator filled one slot
+  const renderTraceEntry = (dateStr, shift) => {
+    const entry = trace[dateStr]?.[shift.id];
+    const current = getRiderById(getAssignment(schedule, dateStr, shift.id));
+
+    return (
+      <div key={shift.id} className="space-y-1">
+        {config.shifts.length > 1 && <div className="font-semibold text-gray-800">{shift.name}</div>}
+        {!entry ? (
+          <div className="text-gray-500">Ingen forklaring – generer planen på nytt.</div>
+        ) : (
+          <>
+            <div className="text-gray-500">{PASS_LABELS[entry.pass]}</div>
+            {entry.blocked.length > 0 && (
+              <div><span className="text-gray-500">Blokkert:</span> {riderNames(entry.blocked)}</div>
+            )}
+            {entry.busy.length > 0 && (
+              <div><span className="text-gray-500">Har annen vakt:</span> {riderNames(entry.busy)}</div>
+            )}
+            {entry.filtered.map(({ rule, riderIds }) => (
+              <div key={rule}><span className="text-gray-500">{CONSTRAINT_LABELS[rule]}:</span> {riderNames(riderIds)}</div>
+            ))}
+            {entry.relaxed.length > 0 && (
+              <div className="text-amber-700">Lempet: {entry.relaxed.map(rule => CONSTRAINT_LABELS[rule]).join(', ')}</div>
+            )}
+            <div>
+              <span className="text-gray-500">Valgt:</span>{' '}
+              {entry.chosen !== null ? getRiderById(entry.chosen)?.name : <span className="text-red-600">Ingen tilgjengelig</span>}
+              {(current?.id ?? null) !== entry.chosen && (
+                <span className="text-gray-500"> (nå: {current ? current.name : 'ingen'})</span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Ranked stand-ins for the open replacement cell, with the rules each one would bend
+  const renderReplacementFinder = () => {
+    const { date, slotId } = replacementCell;
+    const sick = getRiderById(getAssignment(schedule, date, slotId));
+    const candidates = rankReplacements({ schedule, riders, config, date, slotId, carryOver: fairnessBase });
+
+    return (
+      <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 print:hidden">
+        <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+          <div className="p-6 border-b border-gray-100 flex justify-between items-center sticky top-0 bg-white z-10">
+            <h3 className="text-xl font-bold">
+              Erstatter for {sick?.name} {date}
+              {config.shifts.length > 1 && <span className="text-gray-500 font-normal"> ({getShiftById(slotId)?.name})</span>}
+            </h3>
+            <button type="button" onClick={() => setReplacementCell(null)}><X size={24} className="text-gray-400 hover:text-gray-600" /></button>
+          </div>
+          <div className="p-6 space-y-2">
+            <p className="text-sm text-gray-500 mb-2">
+              Best egnet først. {sick?.name} beholder vakten i rettferdighetsregnskapet, og erstatteren får den med i sitt.
+            </p>
+            {candidates.length === 0 && (
+              <p className="text-sm text-red-600">Ingen andre ryttere er tilgjengelige denne dagen.</p>
+            )}
+            {candidates.map(({ riderId, bends, total, target }) => {
+              const rider = getRiderById(riderId);
+              return (
+                <div key={riderId} className="flex items-center justify-between gap-2 p-2 rounded-lg border border-gray-200">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-800">{rider.name}</div>
+                    <div className="text-xs text-gray-500">Vakter: {total} / mål {target.toFixed(1)}</div>
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {bends.length === 0 ? (
+                        <span className="text-xs text-emerald-700">Bryter ingen regler</span>
+                      ) : bends.map(({ rule, severity }) => (
+                        <span
+                          key={rule}
+                          className={`text-xs px-1.5 py-0.5 rounded ${severity === 'error' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-800'}`}
+                        >
+                          {CONSTRAINT_LABELS[rule]}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <Button onClick={() => assignReplacement(riderId)} className="text-xs px-3 py-1.5 shrink-0">
+                    Velg
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Date and slot picker for one side of a trade, showing who holds the cell now
+  const renderSwapCellPicker = (side, label) => {
+    const cell = swapDraft[side];
+    const holder = getRiderById(getAssignment(schedule, cell.date, cell.slotId));
+    return (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={cell.date}
+            min={config.startDate}
+            max={config.endDate}
+            onChange={(e) => updateSwapDraft({ [side]: { ...cell, date: e.target.value } })}
+            className="px-2 py-1.5 border rounded-md text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+          />
+          {config.shifts.length > 1 && (
+            <select
+              value={cell.slotId}
+              onChange={(e) => updateSwapDraft({ [side]: { ...cell, slotId: e.target.value } })}
+              className="px-2 py-1.5 border rounded-md text-sm bg-white"
+            >
+              {config.shifts.map(shift => <option key={shift.id} value={shift.id}>{shift.name}</option>)}
+            </select>
+          )}
+          <span className={`text-sm ${holder ? 'font-medium text-gray-800' : 'text-gray-400'}`}>{holder ? holder.name : 'Ledig'}</span>
+        </div>
+      </div>
+    );
+  };
+
+  // Trade form with live validation of both sides
+  const renderSwapDialog = () => {
+    const swap = toSwap(swapDraft);
+    const { ok, problems } = validateSwap({ schedule, riders, config, swap });
+    const fromRiderId = getAssignment(schedule, swap.a.date, swap.a.slotId);
+
+    return (
+      <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 print:hidden">
+        <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+          <div className="p-6 border-b border-gray-100 flex justify-between items-center sticky top-0 bg-white z-10">
+            <h3 className="text-xl font-bold">Bytt vakt</h3>
+            <button type="button" onClick={() => setSwapDraft(null)}><X size={24} className="text-gray-400 hover:text-gray-600" /></button>
+          </div>
+          <div className="p-6 space-y-4">
+            <div className="flex gap-2">
+              {SWAP_TYPES.map(type => (
+                <button
+                  type="button"
+                  key={type}
+                  onClick={() => updateSwapDraft({ type })}
+                  className={`px-3 py-1.5 rounded-md text-sm font-medium border transition-colors ${swapDraft.type === type ? 'bg-emerald-600 text-white border-emerald-600' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+                >
+                  {SWAP_LABELS[type]}
+                </button>
+              ))}
+            </div>
+
+            {renderSwapCellPicker('a', swapDraft.type === 'swap' ? 'Vakt 1' : 'Vakt som gis bort')}
+            {swapDraft.type === 'swap' ? (
+              renderSwapCellPicker('b', 'Vakt 2')
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Til</label>
+                <select
+                  value={swapDraft.toRiderId === fromRiderId ? '' : (swapDraft.toRiderId ?? '')}
+                  onChange={(e) => updateSwapDraft({ toRiderId: e.target.value === '' ? null : Number(e.target.value) })}
+                  className="w-full px-2 py-1.5 border rounded-md text-sm bg-white"
+                >
+                  <option value="">Velg rytter</option>
+                  {riders.filter(r => r.id !== fromRiderId).map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Begrunnelse</label>
+              <input
+                type="text"
+                value={swapDraft.reason}
+                onChange={(e) => updateSwapDraft({ reason: e.target.value })}
+                placeholder="F.eks. byttet etter avtale"
+                className="w-full px-3 py-2 border rounded-md text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+              />
+            </div>
+
+            {problems.length > 0 && (
+              <ul className="space-y-1 text-sm">
+                {problems.map((v, i) => (
+                  <li key={i} className={`flex items-start gap-2 ${v.severity === 'error' ? 'text-red-700' : 'text-amber-700'}`}>
+                    <AlertCircle size={14} className="mt-0.5 shrink-0" />
+                    <span>{v.date}: {describeViolation(v)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {ok && problems.length === 0 && (
+              <p className="text-sm text-emerald-700 flex items-center gap-2"><Check size={14} /> Byttet bryter ingen regler.</p>
+            )}
+          </div>
+          <div className="p-6 bg-gray-50 flex justify-end gap-2 sticky bottom-0 border-t border-gray-100">
+            <Button variant="secondary" onClick={() => setSwapDraft(null)}>Avbryt</Button>
+            <Button onClick={applySwapDraft} disabled={!ok}>
+              <ArrowLeftRight size={16} /> Utfør
+            </Button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderUndoControls = () => (
+    <div className="flex gap-1">
+      <Button variant="secondary" onClick={() => stepHistory(undo)} disabled={!canUndo(undoState)} title="Angre siste endring (Ctrl+Z)">
+        <Undo2 size={18} /> Angre
+      </Button>
+      <Button variant="secondary" onClick={() => stepHistory(redo)} disabled={!canRedo(undoState)} title="Gjør om (Ctrl+Shift+Z)">
+        <Redo2 size={18} />
+      </Button>
+    </div>
+  );
+
+  // One side of a version comparison: the riders per slot that day, from that version's rider list
+  const renderCompareCell = (version, shifts, assignments, otherAssignments) => (
+    <td className="px-3 py-1.5">
+      {shifts.map(shift => {
+        const riderId = assignments[shift.id] ?? null;
+        const changed = riderId !== (otherAssignments[shift.id] ?? null);
+        const name = (version.riders.find(r => r.id === riderId) || getRiderById(riderId))?.name;
+        return (
+          <div key={shift.id} className={changed ? 'font-semibold text-amber-800' : 'text-gray-700'}>
+            {shifts.length > 1 && <span className="text-xs text-gray-500">{shift.name}: </span>}
+            {name ?? '–'}
+          </div>
+        );
+      })}
+    </td>
+  );
+
+  // Saved versions with restore, and a side-by-side comparison of any two
+  const renderVersionsPanel = () => {
+    const a = comparePair && getVersionById(comparePair.a);
+    const b = comparePair && getVersionById(comparePair.b);
+    const comparison = a && b ? compareVersions(a, b) : null;
+    const options = [currentVersion, ...versions];
+
+    return (
+      <div className="mb-8 print:hidden bg-white border border-gray-200 rounded-xl p-4 space-y-4">
+        <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider flex items-center gap-2">
+          <History size={16} /> Versjoner
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={versionName}
+            onChange={(e) => setVersionName(e.target.value)}
+            placeholder={`Utkast ${versions.length + 1}`}
+            className="px-3 py-2 border rounded-md text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+          />
+          <Button variant="secondary" onClick={saveVersion}>
+            <Plus size={16} /> Lagre versjon
+          </Button>
+        </div>
+
+        {versions.length === 0 ? (
+          <p className="text-sm text-gray-500">Ingen lagrede versjoner ennå.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {versions.map(v => (
+              <li key={v.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                <span>
+                  <span className="font-medium text-gray-800">{v.name}</span>
+                  <span className="text-xs text-gray-500"> {new Date(v.savedAt).toLocaleString('no-NO')} · {v.config.startDate} – {v.config.endDate}</span>
+                </span>
+                <span className="flex gap-1">
+                  <button type="button" onClick={() => setComparePair({ a: v.id, b: 'current' })} className="px-2 py-1 text-xs rounded border border-gray-200 hover:bg-gray-50">Sammenlign</button>
+                  <button type="button" onClick={() => restoreVersion(v)} className="px-2 py-1 text-xs rounded border border-gray-200 hover:bg-gray-50">Gjenopprett</button>
+                  <button type="button" onClick={() => removeVersion(v.id)} className="p-1 text-gray-400 hover:text-red-600" title="Slett versjon"><Trash2 size={14} /></button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {comparePair && (
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              {['a', 'b'].map((side, i) => (
+                <React.Fragment key={side}>
+                  {i > 0 && <ArrowLeftRight size={14} className="text-gray-400" />}
+                  <select
+                    value={comparePair[side]}
+                    onChange={(e) => setComparePair({ ...comparePair, [side]: e.target.value })}
+                    className="px-2 py-1.5 border rounded-md text-sm bg-white"
+                  >
+                    {options.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+                  </select>
+                </React.Fragment>
+              ))}
+              {comparison && (
+                <span className="text-gray-500">{comparison.rows.filter(r => r.changed).length} dager endret</span>
+              )}
+              <button type="button" onClick={() => setComparePair(null)} className="ml-auto"><X size={18} className="text-gray-400 hover:text-gray-600" /></button>
+            </div>
+            {comparison && (
+              <div className="max-h-96 overflow-y-auto border border-gray-100 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-left text-xs text-gray-500 uppercase sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2">Dato</th>
+                      <th className="px-3 py-2">{a.name}</th>
+                      <th className="px-3 py-2">{b.name}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {comparison.rows.map(row => (
+                      <tr key={row.date} className={row.changed ? 'bg-amber-50' : ''}>
+                        <td className="px-3 py-1.5 font-mono text-xs text-gray-600">{row.date}</td>
+                        {renderCompareCell(a, comparison.shifts, row.a, row.b)}
+                        {renderCompareCell(b, comparison.shifts, row.b, row.a)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // --- Render Helpers ---
+  // Defined as plain functions to prevent React from unmounting/remounting (which caused scroll reset)
+
+  const renderSetupView = () => {
+    const totalWeight = riders.reduce((sum, r) => sum + getTargetWeight(r, config), 0);
+
+    return (
+    <div className="max-w-4xl mx-auto space-y-8 animate-in fade-in">
+
+      {/* Header */}
       <div className="text-center py-8">
         <h1 className="text-4xl font-bold text-gray-800 mb-2">Stallvaktplan</h1>
         <p className="text-gray-600">Planlegg rettferdige vaktlister for stallen.</p>
+        <div className="flex flex-wrap justify-center gap-2 mt-4">
+          {renderUndoControls()}
+          <Button variant="secondary" onClick={exportProject} title="Last ned hele prosjektet som en sikkerhetskopi">
+            <Download size={18} /> Eksporter prosjekt
+          </Button>
+          <label
+            className="px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 bg-white text-gray-700 border border-gray-300 hover:bg-gray-50 cursor-pointer"
+            title="Erstatt alt med innholdet i en prosjektfil"
+          >
+            <Archive size={18} /> Importer prosjekt
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                importProject(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+        {projectErrors.length > 0 && (
+          <div className="max-w-lg mx-auto mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-left text-sm">
+            <div className="flex justify-between items-start gap-2">
+              <p className="font-medium text-red-800 flex items-center gap-2"><AlertCircle size={16} /> Prosjektfilen ble ikke importert</p>
+              <button type="button" onClick={() => setProjectErrors([])}><X size={16} className="text-red-400 hover:text-red-600" /></button>
+            </div>
+            <ul className="mt-1 list-disc list-inside text-red-700">
+              {projectErrors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+        {projectWarnings.length > 0 && (
+          <div className="max-w-lg mx-auto mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-left text-sm">
+            <div className="flex justify-between items-start gap-2">
+              <p className="font-medium text-amber-800 flex items-center gap-2"><AlertCircle size={16} /> Prosjektfilen ble importert med endringer</p>
+              <button type="button" onClick={() => setProjectWarnings([])}><X size={16} className="text-amber-400 hover:text-amber-600" /></button>
+            </div>
+            <ul className="mt-1 list-disc list-inside text-amber-700">
+              {projectWarnings.map((warning, i) => <li key={i}>{warning}</li>)}
+            </ul>
+          </div>
+        )}
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -715,6 +1652,50 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                   />
                 </div>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Vakter per dag</label>
+                <div className="space-y-2">
+                  {config.shifts.map(shift => (
+                    <div key={shift.id} className="p-2 bg-gray-50 rounded-md border border-gray-100 space-y-1">
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="text"
+                          value={shift.name}
+                          onChange={(e) => updateShift(shift.id, 'name', e.target.value)}
+                          className="flex-1 min-w-0 px-2 py-1 border rounded-md text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeShift(shift.id)}
+                          disabled={config.shifts.length <= 1}
+                          className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30 disabled:hover:text-gray-400"
+                          title="Fjern vakt"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                      <div className="flex items-center gap-1 text-xs text-gray-500">
+                        <input
+                          type="time"
+                          value={shift.start}
+                          onChange={(e) => updateShift(shift.id, 'start', e.target.value)}
+                          className="flex-1 min-w-0 px-1 py-0.5 border rounded"
+                        />
+                        –
+                        <input
+                          type="time"
+                          value={shift.end}
+                          onChange={(e) => updateShift(shift.id, 'end', e.target.value)}
+                          className="flex-1 min-w-0 px-1 py-0.5 border rounded"
+                        />
+                      </div>
+                    </div>
+                  ))}
+                  <Button variant="ghost" onClick={addShift} className="w-full justify-center text-xs px-2 py-1">
+                    <Plus size={14} /> Legg til vakt
+                  </Button>
+                </div>
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Hendelsesnavn (for kalender)</label>
                 <input
@@ -735,7 +1716,284 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                   placeholder="Detaljer om vakten..."
                 />
               </div>
-              <Button onClick={generateSchedule} className="w-full justify-center mt-4">
+              <div className="pt-4 border-t border-gray-100 space-y-3 text-sm">
+                <h4 className="font-semibold text-gray-800">Kalender</h4>
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.calendar.allDay}
+                    onChange={(e) => updateCalendar({ allDay: e.target.checked })}
+                    className="rounded text-emerald-600 focus:ring-emerald-500"
+                  />
+                  Heldagshendelser
+                </label>
+                {!config.calendar.allDay && (
+                  <p className="text-xs text-gray-500">Vaktene legges inn med start- og sluttid, norsk tid.</p>
+                )}
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Sted</label>
+                  <input
+                    type="text"
+                    value={config.calendar.location}
+                    onChange={(e) => updateCalendar({ location: e.target.value })}
+                    placeholder="Adressen til stallen"
+                    className="w-full px-2 py-1 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Arrangør</label>
+                  <div className="space-y-1">
+                    <input
+                      type="text"
+                      value={config.calendar.organizerName}
+                      onChange={(e) => updateCalendar({ organizerName: e.target.value })}
+                      placeholder="Navn"
+                      className="w-full px-2 py-1 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                    />
+                    <input
+                      type="email"
+                      value={config.calendar.organizerEmail}
+                      onChange={(e) => updateCalendar({ organizerEmail: e.target.value })}
+                      placeholder="E-post"
+                      className="w-full px-2 py-1 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Påminnelser</label>
+                  {config.calendar.reminders.map((reminder, index) => (
+                    <div key={index} className="flex items-center gap-1 mb-1">
+                      <select
+                        value={reminder.type}
+                        onChange={(e) => setReminderType(index, e.target.value)}
+                        className="flex-1 min-w-0 px-1 py-0.5 border rounded text-xs bg-white"
+                      >
+                        {REMINDER_TYPES.map(type => <option key={type} value={type}>{REMINDER_LABELS[type]}</option>)}
+                      </select>
+                      {reminder.type === 'eveningBefore' ? (
+                        <input
+                          type="time"
+                          value={reminder.time}
+                          onChange={(e) => updateReminder(index, { time: e.target.value })}
+                          className="w-24 px-1 py-0.5 border rounded text-xs"
+                        />
+                      ) : (
+                        <input
+                          type="number"
+                          min="0"
+                          value={reminder.minutes}
+                          onChange={(e) => updateReminder(index, { minutes: Number(e.target.value) })}
+                          className="w-20 px-1 py-0.5 border rounded text-xs"
+                        />
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removeReminder(index)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Fjern påminnelse"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  ))}
+                  <Button variant="ghost" onClick={addReminder} className="w-full justify-center text-xs px-2 py-1">
+                    <Plus size={14} /> Legg til påminnelse
+                  </Button>
+                </div>
+              </div>
+              <div className="pt-4 border-t border-gray-100 space-y-3 text-sm">
+                <h4 className="font-semibold text-gray-800">E-post</h4>
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Emne</label>
+                  <input
+                    type="text"
+                    value={config.email.subject}
+                    onChange={(e) => updateEmail({ subject: e.target.value })}
+                    className="w-full px-2 py-1 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Melding</label>
+                  <textarea
+                    value={config.email.body}
+                    onChange={(e) => updateEmail({ body: e.target.value })}
+                    className="w-full px-2 py-1 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                    rows={6}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  Flettefelt: {EMAIL_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}. Avsender er arrangøren over, når e-posten er fylt inn.
+                </p>
+                <Button variant="ghost" onClick={() => updateEmail(DEFAULT_EMAIL)} className="w-full justify-center text-xs px-2 py-1">
+                  <RefreshCw size={14} /> Tilbakestill tekst
+                </Button>
+              </div>
+              <div className="pt-4 border-t border-gray-100 space-y-4 text-sm">
+                <h4 className="font-semibold text-gray-800">Regler</h4>
+                {[
+                  { field: 'anchorDays', label: 'Ankerdager (fordeles først)' },
+                  { field: 'weekendDays', label: 'Helgedager' }
+                ].map(({ field, label }) => (
+                  <div key={field}>
+                    <label className="block font-medium text-gray-700 mb-1">{label}</label>
+                    <div className="flex flex-wrap gap-1">
+                      {WEEKDAY_ORDER.map(day => {
+                        const active = config.rules[field].includes(day);
+                        return (
+                          <button
+                            type="button"
+                            key={day}
+                            onClick={() => toggleRuleDay(field, day)}
+                            className={`px-2 py-1 rounded text-xs font-medium border transition-colors ${active ? 'bg-emerald-600 text-white border-emerald-600' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+                          >
+                            {WEEKDAY_SHORT[day]}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Maks vakter per uke</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={7}
+                    value={config.rules.weeklyCap}
+                    onChange={(e) => updateRules({ weeklyCap: Math.max(1, Number(e.target.value)) })}
+                    className="w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                  />
+                </div>
+                <div className="space-y-2">
+                  {Object.entries(CONSTRAINT_LABELS).map(([constraint, label]) => (
+                    <div key={constraint} className="flex items-center justify-between gap-2">
+                      <span className="text-gray-700">{label}</span>
+                      <select
+                        value={config.rules.constraints[constraint]}
+                        onChange={(e) => setConstraintMode(constraint, e.target.value)}
+                        className="px-2 py-1 border rounded-md text-xs bg-white focus:ring-2 focus:ring-emerald-500 outline-none"
+                      >
+                        {CONSTRAINT_MODES.map(mode => (
+                          <option key={mode} value={mode}>{MODE_LABELS[mode]}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500">
+                  Absolutt: brytes aldri, vakten står heller tom. Myk: følges når det går.
+                </p>
+              </div>
+              <div className="pt-4 border-t border-gray-100 space-y-3 text-sm">
+                <h4 className="font-semibold text-gray-800">Helligdager</h4>
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.holidays.norwegian}
+                    onChange={(e) => updateHolidays({ norwegian: e.target.checked })}
+                    className="rounded text-emerald-600 focus:ring-emerald-500"
+                  />
+                  Norske helligdager
+                </label>
+                {config.holidays.customDays.map((day, index) => (
+                  <div key={index} className="p-2 bg-gray-50 rounded-md border border-gray-100 space-y-1">
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="date"
+                        value={day.date}
+                        onChange={(e) => updateCustomDay(index, 'date', e.target.value)}
+                        className="flex-1 min-w-0 px-1 py-0.5 border rounded text-xs"
+                      />
+                      <select
+                        value={day.type}
+                        onChange={(e) => updateCustomDay(index, 'type', e.target.value)}
+                        className="px-1 py-0.5 border rounded text-xs bg-white"
+                      >
+                        {Object.entries(CUSTOM_DAY_TYPES).map(([type, label]) => (
+                          <option key={type} value={type}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => removeCustomDay(index)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Fjern dag"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                    <input
+                      type="text"
+                      value={day.name}
+                      onChange={(e) => updateCustomDay(index, 'name', e.target.value)}
+                      className="w-full px-2 py-1 border rounded-md text-xs focus:ring-2 focus:ring-emerald-500 outline-none"
+                    />
+                  </div>
+                ))}
+                <Button variant="ghost" onClick={addCustomDay} className="w-full justify-center text-xs px-2 py-1">
+                  <Plus size={14} /> Legg til egen dag
+                </Button>
+                <p className="text-xs text-gray-500">
+                  Helligdager og spesialdager fordeles først og telles for seg. Stengte dager får ingen vakt.
+                </p>
+              </div>
+              <div className="pt-4 border-t border-gray-100 space-y-3 text-sm">
+                <h4 className="font-semibold text-gray-800">Historikk</h4>
+                <div>
+                  <label className="block font-medium text-gray-700 mb-1">Ta med tidligere perioder (måneder)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={24}
+                    value={config.carryOverMonths}
+                    onChange={(e) => setConfig({ ...config, carryOverMonths: Math.max(0, Number(e.target.value)) })}
+                    className="w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none"
+                  />
+                </div>
+                {history.length === 0 ? (
+                  <p className="text-xs text-gray-500">Ingen lagrede perioder ennå.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {history.map((period, index) => (
+                      <li key={`${period.startDate}-${period.endDate}`} className={`flex items-center justify-between gap-2 px-2 py-1 rounded-md border text-xs ${historyWindow.includes(period) ? 'bg-emerald-50 border-emerald-100 text-emerald-800' : 'bg-gray-50 border-gray-100 text-gray-500'}`}>
+                        <span>{period.startDate} – {period.endDate}</span>
+                        <button
+                          type="button"
+                          onClick={() => removePeriod(index)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Fjern periode"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-xs text-gray-500">
+                  Grønne perioder telles med når vaktlisten genereres. 0 slår det av.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Frø (seed)</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    value={config.seed}
+                    onChange={(e) => setConfig({ ...config, seed: Number(e.target.value) })}
+                    className="flex-1 min-w-0 px-3 py-2 border rounded-md focus:ring-2 focus:ring-emerald-500 outline-none font-mono"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setConfig({ ...config, seed: newSeed() })}
+                    className="p-2 text-gray-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-md transition-colors"
+                    title="Nytt tilfeldig frø"
+                  >
+                    <RefreshCw size={16} />
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Samme frø gir nøyaktig samme plan.</p>
+              </div>
+              <Button onClick={() => generateSchedule()} className="w-full justify-center mt-4">
                 <CalendarIcon size={18} /> Generer Vaktliste
               </Button>
 
@@ -789,7 +2047,54 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                       >
                         <CalendarIcon size={12} />
                         {rider.blockedDates.length} blokkerte datoer
+                        {(rider.unavailability || []).length > 0 && `, ${rider.unavailability.length} faste`}
                       </button>
+                      <label className="flex items-center gap-1" title="Arbeidsandel: 1 = full andel, 0.5 = halv andel. Prosenten tar hensyn til aktiv periode">
+                        Andel
+                        <input
+                          type="number"
+                          min={0.1}
+                          step={0.25}
+                          value={rider.weight ?? 1}
+                          onChange={(e) => updateRider(rider.id, 'weight', Number(e.target.value))}
+                          className="w-14 px-1 py-0.5 border rounded bg-white text-gray-700 focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                        <span>({totalWeight > 0 ? Math.round(getTargetWeight(rider, config) / totalWeight * 100) : 0} %)</span>
+                      </label>
+                    </div>
+                    <div className="flex flex-wrap gap-1 text-xs mt-1">
+                      <input
+                        type="email"
+                        value={rider.email || ''}
+                        onChange={(e) => updateRider(rider.id, 'email', e.target.value)}
+                        placeholder="E-post"
+                        className={`flex-1 min-w-0 px-1 py-0.5 border rounded bg-white text-gray-700 ${rider.email && !isValidEmail(rider.email) ? 'border-red-400' : ''}`}
+                      />
+                      <input
+                        type="tel"
+                        value={rider.phone || ''}
+                        onChange={(e) => updateRider(rider.id, 'phone', e.target.value)}
+                        placeholder="Telefon"
+                        className="w-32 px-1 py-0.5 border rounded bg-white text-gray-700"
+                      />
+                    </div>
+                    <div className="flex flex-wrap items-center gap-1 text-xs text-gray-500 mt-1">
+                      Aktiv
+                      <input
+                        type="date"
+                        value={rider.activeFrom || ''}
+                        onChange={(e) => updateRider(rider.id, 'activeFrom', e.target.value)}
+                        className="px-1 py-0.5 border rounded bg-white text-gray-700"
+                        title="Første dag rytteren kan ta vakter (tom = fra start)"
+                      />
+                      –
+                      <input
+                        type="date"
+                        value={rider.activeTo || ''}
+                        onChange={(e) => updateRider(rider.id, 'activeTo', e.target.value)}
+                        className="px-1 py-0.5 border rounded bg-white text-gray-700"
+                        title="Siste dag rytteren kan ta vakter (tom = til slutt)"
+                      />
                     </div>
                   </div>
 
@@ -841,7 +2146,22 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                 </span>
               </div>
 
-              <div className="flex justify-end mb-4">
+              <div className="flex justify-end gap-2 mb-4">
+                <label
+                  className="px-2 py-1 rounded-lg text-xs font-medium text-gray-600 hover:bg-gray-100 flex items-center gap-2 cursor-pointer"
+                  title="Hent ferier og fravær fra rytterens egen kalender (Google, Outlook, iCloud)"
+                >
+                  <CalendarIcon size={14} /> Importer .ics
+                  <input
+                    type="file"
+                    accept=".ics,text/calendar"
+                    className="hidden"
+                    onChange={(e) => {
+                      readICalFile(activeRiderId, e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
                 <Button
                   variant="ghost"
                   onClick={() => updateRider(activeRiderId, 'blockedDates', [])}
@@ -851,6 +2171,169 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                 </Button>
               </div>
 
+              {/* Preview of an imported calendar file */}
+              {icalImport && icalImport.riderId === activeRiderId && (
+                <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm space-y-2">
+                  <div className="font-medium text-blue-900">{icalImport.fileName}</div>
+                  {icalImport.error ? (
+                    <p className="text-red-700 flex items-center gap-2"><AlertCircle size={16} /> {icalImport.error}</p>
+                  ) : icalImport.dates.length === 0 ? (
+                    <p className="text-blue-800">Ingen hendelser i perioden {config.startDate} – {config.endDate}.</p>
+                  ) : (
+                    <>
+                      <p className="text-blue-800">
+                        {icalImport.dates.length} datoer i perioden blir blokkert:
+                      </p>
+                      <ul className="max-h-40 overflow-y-auto text-xs text-blue-900 space-y-0.5">
+                        {icalImport.dates.map(({ date, summaries }) => (
+                          <li key={date}>
+                            <span className="font-mono">{date}</span>
+                            {summaries.length > 0 && <span className="text-blue-700"> – {summaries.join(', ')}</span>}
+                            {getRiderById(activeRiderId)?.blockedDates.includes(date) && <span className="text-gray-500"> (allerede blokkert)</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                  <div className="flex justify-end gap-2">
+                    <Button variant="secondary" onClick={() => setIcalImport(null)} className="text-xs px-2 py-1">Avbryt</Button>
+                    <Button onClick={confirmICalImport} disabled={icalImport.dates.length === 0} className="text-xs px-2 py-1">
+                      <Check size={14} /> Blokker datoene
+                    </Button>
+                  </div>
+                </div>
+              )}
+
+              {/* Wished and unwanted weekdays */}
+              <div className="mb-6 space-y-2 text-sm">
+                <h4 className="font-semibold text-gray-800">Ønskedager</h4>
+                {WISH_TYPES.map(wish => (
+                  <div key={wish} className="flex items-center gap-2">
+                    <span className="w-20 text-xs text-gray-600">{WISH_LABELS[wish]}</span>
+                    <div className="flex flex-wrap gap-1">
+                      {WEEKDAY_ORDER.map(day => {
+                        const active = resolveWishes(getRiderById(activeRiderId)?.wishes)[`${wish}Weekdays`].includes(day);
+                        return (
+                          <button
+                            type="button"
+                            key={day}
+                            onClick={() => toggleWishWeekday(activeRiderId, wish, day)}
+                            className={`px-2 py-1 rounded text-xs font-medium border transition-colors ${active ? WISH_ACTIVE_CLASSES[wish] : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+                          >
+                            {WEEKDAY_SHORT[day]}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+                <p className="text-xs text-gray-500">
+                  Ønsker følges når det ikke går ut over rettferdigheten.
+                </p>
+              </div>
+
+              {/* Recurring unavailability */}
+              <div className="mb-6 space-y-2 text-sm">
+                <h4 className="font-semibold text-gray-800">Faste fravær</h4>
+                {(getRiderById(activeRiderId)?.unavailability || []).map((rule, index) => (
+                  <div key={index} className="p-2 bg-amber-50 rounded-md border border-amber-100 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-xs font-medium text-amber-800">{UNAVAILABILITY_LABELS[rule.type]}</span>
+                      <button
+                        type="button"
+                        onClick={() => removeUnavailability(activeRiderId, index)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Fjern regel"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                    {rule.type !== 'range' && (
+                      <div className="flex flex-wrap gap-1">
+                        {WEEKDAY_ORDER.map(day => {
+                          const active = (rule.weekdays || []).includes(day);
+                          return (
+                            <button
+                              type="button"
+                              key={day}
+                              onClick={() => toggleUnavailabilityDay(activeRiderId, index, day)}
+                              className={`px-2 py-1 rounded text-xs font-medium border transition-colors ${active ? 'bg-amber-600 text-white border-amber-600' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+                            >
+                              {WEEKDAY_SHORT[day]}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    )}
+                    {rule.type === 'interval' && (
+                      <div className="flex items-center gap-1 text-xs text-gray-600">
+                        Hver
+                        <input
+                          type="number"
+                          min={1}
+                          value={rule.interval}
+                          onChange={(e) => updateUnavailability(activeRiderId, index, { interval: Math.max(1, Number(e.target.value)) })}
+                          className="w-12 px-1 py-0.5 border rounded"
+                        />
+                        . uke fra uken med
+                        <input
+                          type="date"
+                          value={rule.startDate}
+                          onChange={(e) => updateUnavailability(activeRiderId, index, { startDate: e.target.value })}
+                          className="flex-1 min-w-0 px-1 py-0.5 border rounded"
+                        />
+                      </div>
+                    )}
+                    {rule.type === 'range' && (
+                      <div className="flex items-center gap-1 text-xs text-gray-600">
+                        <input
+                          type="date"
+                          value={rule.startDate}
+                          onChange={(e) => updateUnavailability(activeRiderId, index, { startDate: e.target.value })}
+                          className="flex-1 min-w-0 px-1 py-0.5 border rounded"
+                        />
+                        til
+                        <input
+                          type="date"
+                          value={rule.endDate}
+                          onChange={(e) => updateUnavailability(activeRiderId, index, { endDate: e.target.value })}
+                          className="flex-1 min-w-0 px-1 py-0.5 border rounded"
+                        />
+                      </div>
+                    )}
+                  </div>
+                ))}
+                <div className="flex flex-wrap gap-2">
+                  {UNAVAILABILITY_TYPES.map(type => (
+                    <Button
+                      key={type}
+                      variant="ghost"
+                      onClick={() => addUnavailability(activeRiderId, type)}
+                      className="text-xs px-2 py-1"
+                    >
+                      <Plus size={14} /> {UNAVAILABILITY_LABELS[type]}
+                    </Button>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500">
+                  Datoer som dekkes av en fast regel vises i gult i kalenderen under.
+                </p>
+              </div>
+
+              <div className="flex items-center gap-2 mb-4 text-xs">
+                <span className="text-gray-600">Klikk merker:</span>
+                {Object.entries(BRUSH_LABELS).map(([type, label]) => (
+                  <button
+                    type="button"
+                    key={type}
+                    onClick={() => setBrush(type)}
+                    className={`px-2 py-1 rounded font-medium border transition-colors ${brush === type ? DAY_STATE_CLASSES[type] : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
               {/* Grouped Month View for Selection */}
               <div className="space-y-6">
                 {Object.entries(
@@ -888,19 +2371,31 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
 
                               const dStr = formatDate(date);
                               const isBlocked = getRiderById(activeRiderId)?.blockedDates.includes(dStr);
+                              const isInactive = !isActiveOn(getRiderById(activeRiderId), dStr);
+                              const isRuleBlocked = !isBlocked && (isInactive || findUnavailability(getRiderById(activeRiderId), dStr) !== null);
+                              const wish = isBlocked || isRuleBlocked ? null : getWish(getRiderById(activeRiderId), dStr);
                               const dayNum = date.getDate();
 
                               return (
                                 <button
                                   type="button"
                                   key={dStr}
-                                  onClick={(e) => toggleBlockedDate(e, activeRiderId, dStr)}
+                                  onClick={(e) => brush === 'blocked'
+                                    ? toggleBlockedDate(e, activeRiderId, dStr)
+                                    : toggleDateWish(e, activeRiderId, dStr, brush)}
+                                  title={isInactive ? 'Utenfor aktiv periode' : isRuleBlocked ? 'Blokkert av fast fravær' : (wish ? WISH_LABELS[wish] : undefined)}
                                   className={`
                                      aspect-square text-sm rounded-md flex items-center justify-center transition-all
                                      ${isBlocked
-                                      ? 'bg-red-100 text-red-700 font-bold border border-red-200'
-                                      : 'hover:bg-gray-100 text-gray-700'}
-                                     ${isWeekendDay(date) && !isBlocked ? 'bg-gray-50' : ''}
+                                      ? `${DAY_STATE_CLASSES.blocked} font-bold`
+                                      : isInactive
+                                        ? 'bg-gray-100 text-gray-300'
+                                        : isRuleBlocked
+                                          ? 'bg-amber-100 text-amber-800 border border-amber-200'
+                                          : wish
+                                            ? DAY_STATE_CLASSES[wish]
+                                            : 'hover:bg-gray-100 text-gray-700'}
+                                     ${isWeekendDay(date, config.rules) && !isBlocked && !isRuleBlocked && !wish ? 'bg-gray-50' : ''}
                                    `}
                                 >
                                   {dayNum}
@@ -922,7 +2417,8 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
         </div>
       )}
     </div>
-  );
+    );
+  };
 
   const renderCalendarView = () => {
     const dates = generateDates(config.startDate, config.endDate);
@@ -935,27 +2431,103 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
       months[key].push(date);
     });
 
-    // Calculate fairness stats for display
-    const stats = {};
-    riders.forEach(r => stats[r.id] = { total: 0, saturdays: 0 });
-    Object.entries(schedule).forEach(([dateStr, riderId]) => {
-      if (riderId && stats[riderId]) {
-        stats[riderId].total++;
-        const date = new Date(dateStr);
-        if (isSaturday(date)) stats[riderId].saturdays++;
-      }
-    });
+    // Calculate fairness stats for display; sick riders keep credit for the shifts they missed
+    const { stats, cumulative } = computeFairnessStats({ schedule, riders, config, substitutions, carryOver });
+    const specialDays = getSpecialDays(config);
+    const anchorLabel = formatWeekdays(config.rules.anchorDays) || 'Anker';
+    const targets = computeTargets(riders, riders.reduce((sum, r) => sum + stats[r.id].total, 0), config);
+    const violationsByCell = groupViolationsByCell(violations);
+    const problemCells = listProblemCells(trace, config.shifts);
+    const problemDates = new Set(problemCells.map(p => p.date));
+    // Shifts each rider gained and lost since the plan was last published
+    const riderChanges = riders.reduce((acc, r) => {
+      acc[r.id] = getRiderChanges(publication, schedule, config.shifts, r.id);
+      return acc;
+    }, {});
 
     return (
       <div className="max-w-6xl mx-auto">
         {/* Toolbar - Hidden when printing */}
         <div className="mb-8 flex flex-wrap gap-4 items-center justify-between print:hidden bg-white p-4 rounded-xl shadow-sm border border-gray-200">
-          <Button variant="secondary" onClick={() => setView('setup')}>
-            <User size={18} /> Rediger Ryttere
-          </Button>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={() => setView('setup')}>
+              <User size={18} /> Rediger Ryttere
+            </Button>
+            {renderUndoControls()}
+          </div>
 
           <div className="flex gap-2">
-            <Button variant="secondary" onClick={generateSchedule} title="Re-roll logic">
+            {Object.keys(locks).length > 0 && (
+              <Button variant="secondary" onClick={() => setLocks({})} title="Fjern alle låser">
+                <Unlock size={18} /> Lås opp alle
+              </Button>
+            )}
+            <span className="self-center text-xs text-gray-500 font-mono" title="Frøet planen ble generert med">
+              Frø: {config.seed}
+            </span>
+            <div className="flex items-center gap-1">
+              <input
+                type="date"
+                value={replanDate}
+                min={config.startDate}
+                max={config.endDate}
+                onChange={(e) => setReplanDate(e.target.value)}
+                className="px-2 py-1.5 border rounded-md text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+              />
+              <Button variant="secondary" onClick={replanSchedule} title="Behold alt før datoen og planlegg resten på nytt med dagens ryttere">
+                <CalendarIcon size={18} /> Planlegg fra dato
+              </Button>
+            </div>
+            <Button variant="secondary" onClick={openSwapDialog} title="Bytt eller gi bort en vakt mellom to ryttere">
+              <ArrowLeftRight size={18} /> Bytt vakt
+            </Button>
+            <Button
+              variant={showAuditLog ? 'primary' : 'secondary'}
+              onClick={() => setShowAuditLog(!showAuditLog)}
+              title="Vis logg over byttede vakter"
+            >
+              <ScrollText size={18} /> Logg ({auditLog.length})
+            </Button>
+            <Button
+              variant={showVersions ? 'primary' : 'secondary'}
+              onClick={() => setShowVersions(!showVersions)}
+              title="Lagre, gjenopprett og sammenlign navngitte versjoner av planen"
+            >
+              <History size={18} /> Versjoner ({versions.length})
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={publishSchedule}
+              title={publication
+                ? `Sist publisert ${new Date(publication.publishedAt).toLocaleString('no-NO')}. Endringer sendes som oppdaterte og avlyste kalenderhendelser.`
+                : 'Merk planen som sendt ut til rytterne'}
+            >
+              <Check size={18} /> {publication ? 'Publiser på nytt' : 'Publiser'}
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={downloadPublishZip}
+              title="Zip med felles kalender, én kalender per rytter og oversikten. Pakk ut i public/ før deploy, så kan rytterne abonnere på faste lenker."
+            >
+              <Download size={18} /> Publiseringsmappe
+            </Button>
+            <Button variant="secondary" onClick={createShareLink} title="Lag en lenke der rytterne kan se planen uten å kunne endre den">
+              <Share2 size={18} /> Del lenke
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={() => downloadAllEmails('eml')}
+              title="Zip med én ferdig e-post (.eml) per rytter, med kalenderfil og oversikt vedlagt"
+            >
+              <Mail size={18} /> E-post til alle
+            </Button>
+            <Button variant="secondary" onClick={() => downloadAllEmails('mbox')} title="Alle e-postene i én mbox-fil, for import i Thunderbird o.l.">
+              <Mail size={18} /> mbox
+            </Button>
+            <Button variant="secondary" onClick={savePeriod} title="Lagre tellingene for perioden, så neste periode tar hensyn til dem">
+              <Archive size={18} /> {history.some(p => p.startDate === config.startDate && p.endDate === config.endDate) ? 'Oppdater historikk' : 'Lagre i historikk'}
+            </Button>
+            <Button variant="secondary" onClick={rerollSchedule} title="Re-roll med nytt frø (låste vakter beholdes)">
               <RefreshCw size={18} /> Generer på nytt
             </Button>
             <Button
@@ -965,6 +2537,24 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
             >
               <Activity size={18} /> {showHeatMap ? 'Skjul Heat Map' : 'Vis Heat Map'}
             </Button>
+            <Button variant="secondary" onClick={exportScheduleCsv} title="Last ned planen som regneark (CSV)">
+              <Download size={18} /> CSV
+            </Button>
+            <label
+              className="px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 bg-white text-gray-700 border border-gray-300 hover:bg-gray-50 cursor-pointer"
+              title="Last inn en plan som er redigert i et regneark (kolonnene Dato, Vakt og Rytter)"
+            >
+              <Archive size={18} /> Importer CSV
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  importScheduleFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
             <Button onClick={handlePrint}>
               <Printer size={18} /> Skriv ut Plan
             </Button>
@@ -973,7 +2563,39 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
 
         {/* Stats Summary - Hidden when printing */}
         <div className="mb-8 print:hidden">
-          <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-3">Rettferdighetssjekk (Lørdager prioritert)</h3>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">Rettferdighetssjekk ({anchorLabel} prioritert)</h3>
+            <button
+              type="button"
+              onClick={() => setShowScoreDetails(!showScoreDetails)}
+              className={`text-sm font-medium px-3 py-1 rounded-full border ${scheduleScore.total === 0 ? 'bg-emerald-50 text-emerald-700 border-emerald-200' : 'bg-amber-50 text-amber-700 border-amber-200'}`}
+              title="Straffepoeng for planen (lavere er bedre). Klikk for detaljer"
+            >
+              Poengsum: {scheduleScore.total}
+            </button>
+            <button
+              type="button"
+              onClick={() => downloadFile(statsToCsv({ stats, riders, config, anchorLabel }), `statistikk_${config.startDate}_${config.endDate}.csv`, 'text/csv;charset=utf-8')}
+              className="text-sm font-medium px-3 py-1 rounded-full border border-gray-200 bg-white text-gray-600 hover:bg-gray-50 flex items-center gap-1"
+              title="Last ned tallene per rytter som regneark (CSV)"
+            >
+              <Download size={14} /> Statistikk CSV
+            </button>
+          </div>
+          {showScoreDetails && (
+            <div className="mb-3 bg-white p-3 rounded-lg border border-gray-200 text-sm">
+              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+                {Object.entries(scheduleScore.breakdown).map(([rule, { count, penalty }]) => (
+                  <div key={rule} className="flex flex-col">
+                    <span className="text-gray-500 text-xs">{PENALTY_LABELS[rule]}</span>
+                    <span className="font-medium text-gray-800">
+                      {count} <span className="text-gray-400 font-normal">→ {penalty} p</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
           <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
             {riders.map(r => (
               <div key={r.id} className="bg-white p-3 rounded-lg border border-gray-200 text-sm flex flex-col justify-between">
@@ -981,8 +2603,48 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                   <div className="font-bold text-gray-800">{r.name}</div>
                   <div className="flex justify-between text-gray-500 mt-1">
                     <span>Totalt: {stats[r.id].total}</span>
-                    <span className="font-bold text-emerald-700">Lør: {stats[r.id].saturdays}</span>
+                    <span className="font-bold text-emerald-700">{anchorLabel}: {stats[r.id].anchors}</span>
                   </div>
+                  <div
+                    className={`text-xs mt-0.5 ${Math.abs(stats[r.id].total - targets[r.id]) >= 1 ? 'text-amber-700' : 'text-gray-400'}`}
+                    title={`Andel ${getWeight(r)}${r.activeFrom || r.activeTo ? `, aktiv ${r.activeFrom || 'start'} – ${r.activeTo || 'slutt'}` : ''}`}
+                  >
+                    Mål: {targets[r.id].toFixed(1)} / Faktisk: {stats[r.id].total}
+                  </div>
+                  {Object.values(specialDays).some(isHolidayType) && (
+                    <div className="text-xs text-rose-700 mt-0.5">Helligdager: {stats[r.id].holidays}</div>
+                  )}
+                  <div className="text-xs text-gray-500 mt-0.5">Helgevakter: {stats[r.id].weekends}</div>
+                  {substitutionCredits[r.id].total > 0 && (
+                    <div className="text-xs text-blue-700 mt-0.5" title="Vakter rytteren mistet ved sykdom telles med i totalen">
+                      Syk: {substitutionCredits[r.id].total} godskrevet
+                    </div>
+                  )}
+                  {historyWindow.length > 0 && (
+                    <div
+                      className="text-xs text-gray-500 mt-1 pt-1 border-t border-gray-100"
+                      title={`Denne perioden pluss ${historyWindow.length} lagrede perioder`}
+                    >
+                      Samlet: {cumulative[r.id].total} totalt · {cumulative[r.id].anchors} {anchorLabel.toLowerCase()} · {cumulative[r.id].weekends} helg
+                    </div>
+                  )}
+                  {(stats[r.id].wishes.preferredDays > 0 || stats[r.id].wishes.dislikedDays > 0) && (
+                    <div className="text-xs text-emerald-700 mt-0.5" title="Vakter på ønskedager, og uønskede dager som ble unngått">
+                      Ønsker: {stats[r.id].wishes.preferred} ønskedager
+                      {stats[r.id].wishes.dislikedDays > 0 &&
+                        `, ${stats[r.id].wishes.dislikedDays - stats[r.id].wishes.disliked} av ${stats[r.id].wishes.dislikedDays} uønskede unngått`}
+                    </div>
+                  )}
+                  {config.shifts.length > 1 && (
+                    <div className="mt-1 space-y-0.5 text-xs text-gray-500">
+                      {config.shifts.map(shift => (
+                        <div key={shift.id} className="flex justify-between">
+                          <span>{shift.name}: {stats[r.id].slots[shift.id].total}</span>
+                          <span>{anchorLabel}: {stats[r.id].slots[shift.id].anchors}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 <div className="mt-3 flex flex-col gap-2">
                   <button
@@ -997,23 +2659,286 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                     type="button"
                     onClick={() => downloadEML(r.id)}
                     className="w-full py-1.5 bg-white hover:bg-gray-50 text-gray-600 hover:text-blue-700 rounded border border-gray-200 hover:border-blue-200 flex items-center justify-center gap-1.5 transition-colors text-xs font-medium"
-                    title={`Last ned e-post kladd for ${r.name}`}
+                    title={isValidEmail(r.email) ? `Last ned e-post kladd til ${r.email.trim()}` : `Last ned e-post kladd for ${r.name} (mangler e-postadresse)`}
                   >
                     <Mail size={14} /> Last ned E-post
                   </button>
+                  {riderChanges[r.id].added.length + riderChanges[r.id].removed.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => downloadChanges(r.id)}
+                      className="w-full py-1.5 bg-amber-50 hover:bg-amber-100 text-amber-800 rounded border border-amber-200 flex items-center justify-center gap-1.5 transition-colors text-xs font-medium"
+                      title={`Bare endringer siden publisering: ${riderChanges[r.id].added.length} nye, ${riderChanges[r.id].removed.length} avlyste vakter`}
+                    >
+                      <Download size={14} /> Send endringer (+{riderChanges[r.id].added.length} / −{riderChanges[r.id].removed.length})
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
           </div>
         </div>
 
+        {/* Spreadsheet Import Report - Hidden when printing */}
+        {csvReport && (
+          <div className="mb-8 print:hidden bg-blue-50 border border-blue-200 rounded-xl p-4 text-sm">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <h3 className="text-sm font-semibold text-blue-800 uppercase tracking-wider">
+                Importert {csvReport.fileName} ({csvReport.changes.length} vakter endret)
+              </h3>
+              <button type="button" onClick={() => setCsvReport(null)} title="Lukk">
+                <X size={16} className="text-blue-400 hover:text-blue-700" />
+              </button>
+            </div>
+            {csvReport.changes.length > 0 && (
+              <p className="text-xs text-blue-700 mb-2">Endrede vakter er låst, så en ny generering beholder dem.</p>
+            )}
+            {csvReport.unknownNames.length > 0 && (
+              <div className="mb-2">
+                <div className="font-medium text-amber-800">Ukjente navn (vakten er ikke endret):</div>
+                <ul className="text-amber-800">
+                  {csvReport.unknownNames.map(({ line, name }) => <li key={line}>Linje {line}: «{name}»</li>)}
+                </ul>
+              </div>
+            )}
+            {csvReport.closedDays.length > 0 && (
+              <div className="mb-2">
+                <div className="font-medium text-amber-800">Stengte dager (vakten er ikke importert):</div>
+                <ul className="text-amber-800">
+                  {csvReport.closedDays.map(c => <li key={c.line}>Linje {c.line}: {c.date} {c.dayName} – «{c.name}»</li>)}
+                </ul>
+              </div>
+            )}
+            {csvReport.conflicts.length > 0 && (
+              <div className="mb-2">
+                <div className="font-medium text-red-800">Satt opp på blokkerte dager:</div>
+                <ul className="text-red-700">
+                  {csvReport.conflicts.map(c => (
+                    <li key={c.line}>
+                      Linje {c.line}: {getRiderById(c.riderId)?.name} {c.date}
+                      {config.shifts.length > 1 && ` ${getShiftById(c.slotId)?.name}`}
+                      {c.reason === 'inactive' ? ' (ikke aktiv)' : ' (blokkert)'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {csvReport.errors.length > 0 && (
+              <div>
+                <div className="font-medium text-red-800">Linjer som ikke kunne leses:</div>
+                <ul className="text-red-700">
+                  {csvReport.errors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {shareLink && (
+          <div className="mb-8 print:hidden bg-blue-50 border border-blue-200 rounded-xl p-4 text-sm">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <h3 className="text-sm font-semibold text-blue-800 uppercase tracking-wider">
+                Delingslenke {shareLink.copied && '(kopiert)'}
+              </h3>
+              <button type="button" onClick={() => setShareLink(null)} title="Lukk">
+                <X size={16} className="text-blue-400 hover:text-blue-700" />
+              </button>
+            </div>
+            {shareLink.error ? (
+              <p className="text-sm text-red-700 flex items-center gap-2"><AlertCircle size={16} /> {shareLink.error}</p>
+            ) : (
+              <>
+                <input
+                  type="text"
+                  readOnly
+                  value={shareLink.url}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full px-2 py-1 border rounded-md bg-white font-mono text-xs text-gray-700"
+                />
+                <p className="text-xs text-blue-700 mt-2">
+                  Lenken viser planen med navn og farger, uten kontaktinfo eller blokkerte datoer. Den oppdateres ikke – del en ny lenke etter endringer.
+                  {shareLink.url.length > 8000 && ` Lenken er lang (${shareLink.url.length} tegn), og noen e-post- og chatprogrammer kan kutte den.`}
+                </p>
+              </>
+            )}
+          </div>
+        )}
+
+        {emailReport && (
+          <div className="mb-8 print:hidden bg-blue-50 border border-blue-200 rounded-xl p-4 text-sm">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <h3 className="text-sm font-semibold text-blue-800 uppercase tracking-wider">
+                E-post laget for {emailReport.sent.length} av {emailReport.sent.length + emailReport.missing.length} ryttere
+                {emailReport.sent.length > 0 && ` (${emailReport.format === 'mbox' ? 'mbox' : 'zip med .eml'})`}
+              </h3>
+              <button type="button" onClick={() => setEmailReport(null)} title="Lukk">
+                <X size={16} className="text-blue-400 hover:text-blue-700" />
+              </button>
+            </div>
+            {emailReport.missing.length > 0 && (
+              <div>
+                <div className="font-medium text-amber-800">Fikk ingen e-post (legg inn adresse under Administrer Ryttere):</div>
+                <ul className="text-amber-800">
+                  {emailReport.missing.map(({ riderId, reason }) => (
+                    <li key={riderId}>
+                      {getRiderById(riderId)?.name ?? riderId}
+                      {reason === 'invalid' ? ` – ugyldig adresse «${getRiderById(riderId)?.email}»` : ' – mangler adresse'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Replan Changes - Hidden when printing */}
+        {replanSummary && (
+          <div className="mb-8 print:hidden bg-blue-50 border border-blue-200 rounded-xl p-4">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <h3 className="text-sm font-semibold text-blue-800 uppercase tracking-wider">
+                Endret fra {replanSummary.fromDate} ({replanSummary.changes.length} vakter)
+              </h3>
+              <button type="button" onClick={() => setReplanSummary(null)} title="Lukk">
+                <X size={16} className="text-blue-400 hover:text-blue-700" />
+              </button>
+            </div>
+            {replanSummary.changedRiderIds.length === 0 ? (
+              <p className="text-sm text-blue-800">Ingen vakter ble flyttet.</p>
+            ) : (
+              <>
+                <p className="text-xs text-blue-700 mb-2">Send oppdatert kalender til disse rytterne.</p>
+                <ul className="space-y-1 text-sm">
+                  {replanSummary.changedRiderIds.map(riderId => {
+                    const rider = getRiderById(riderId);
+                    const gained = replanSummary.changes.filter(c => c.to === riderId).map(c => c.date);
+                    const lost = replanSummary.changes.filter(c => c.from === riderId).map(c => c.date);
+                    return (
+                      <li key={riderId} className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium text-gray-800">{rider ? rider.name : 'Tidligere rytter'}</span>
+                        {gained.length > 0 && <span className="text-emerald-700">+{gained.join(', ')}</span>}
+                        {lost.length > 0 && <span className="text-red-700 line-through">{lost.join(', ')}</span>}
+                        {rider && (
+                          <span className="flex gap-1 ml-auto">
+                            <button
+                              type="button"
+                              onClick={() => downloadICal(riderId)}
+                              className="px-2 py-0.5 bg-white rounded border border-blue-200 text-xs text-blue-700 hover:bg-blue-100 flex items-center gap-1"
+                            >
+                              <Download size={12} /> iCal
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => downloadEML(riderId)}
+                              className="px-2 py-0.5 bg-white rounded border border-blue-200 text-xs text-blue-700 hover:bg-blue-100 flex items-center gap-1"
+                            >
+                              <Mail size={12} /> E-post
+                            </button>
+                          </span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Named Versions - Hidden when printing */}
+        {showVersions && renderVersionsPanel()}
+
+        {/* Swap Audit Log - Hidden when printing */}
+        {showAuditLog && (
+          <div className="mb-8 print:hidden bg-white border border-gray-200 rounded-xl p-4">
+            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2 flex items-center gap-2">
+              <ScrollText size={16} /> Byttelogg
+            </h3>
+            {auditLog.length === 0 ? (
+              <p className="text-sm text-gray-500">Ingen bytter registrert ennå.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 text-sm">
+                {[...auditLog].reverse().map(entry => (
+                  <li key={entry.timestamp} className="py-2">
+                    <div className="flex flex-wrap justify-between gap-2">
+                      <span className="font-medium text-gray-800">{SWAP_LABELS[entry.type]}</span>
+                      <span className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString('no-NO')}</span>
+                    </div>
+                    <ul className="text-gray-600">
+                      {entry.changes.map(c => (
+                        <li key={`${c.date}-${c.slotId}`}>
+                          {c.date}
+                          {config.shifts.length > 1 && ` ${getShiftById(c.slotId)?.name ?? c.slotId}`}
+                          {': '}{getRiderById(c.from)?.name ?? 'ingen'} → {getRiderById(c.to)?.name ?? 'ingen'}
+                        </li>
+                      ))}
+                    </ul>
+                    {entry.reason && <div className="text-xs text-gray-500 italic">«{entry.reason}»</div>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {/* Rule Violations - Hidden when printing */}
+        {violations.length > 0 && (
+          <div className="mb-8 print:hidden bg-red-50 border border-red-200 rounded-xl p-4">
+            <h3 className="text-sm font-semibold text-red-800 uppercase tracking-wider mb-2 flex items-center gap-2">
+              <AlertCircle size={16} /> Regelbrudd ({violations.length})
+            </h3>
+            <p className="text-xs text-red-700 mb-2">Se over før du skriver ut eller eksporterer planen.</p>
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+              {violations.map((v, i) => (
+                <li key={i} className="flex items-start gap-2">
+                  <span className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${v.severity === 'error' ? 'bg-red-500' : 'bg-amber-400'}`} />
+                  <span>
+                    <span className="font-medium text-gray-800">{v.date}</span>
+                    {config.shifts.length > 1 && <span className="text-gray-500"> {getShiftById(v.slotId)?.name}</span>}
+                    {': '}{describeViolation(v)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Problem Days - Hidden when printing */}
+        {problemCells.length > 0 && (
+          <div className="mb-8 print:hidden bg-amber-50 border border-amber-200 rounded-xl p-4">
+            <h3 className="text-sm font-semibold text-amber-800 uppercase tracking-wider mb-2 flex items-center gap-2">
+              <AlertCircle size={16} /> Problemdager ({problemCells.length})
+            </h3>
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+              {problemCells.map(({ date, slotId, entry }) => (
+                <li key={`${date}-${slotId}`}>
+                  <button
+                    type="button"
+                    onClick={() => setTraceDate(date)}
+                    className="text-left hover:underline"
+                  >
+                    <span className="font-medium text-gray-800">{date}</span>
+                    {config.shifts.length > 1 && <span className="text-gray-500"> {getShiftById(slotId)?.name}</span>}
+                    {': '}
+                    <span className="text-amber-800">
+                      {[
+                        entry.chosen === null && 'ubemannet',
+                        entry.relaxed.length > 0 && `lempet ${entry.relaxed.map(rule => CONSTRAINT_LABELS[rule].toLowerCase()).join(', ')}`
+                      ].filter(Boolean).join('; ')}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* The Calendars */}
         <div className="space-y-12 print:space-y-0">
           {Object.entries(months).map(([monthName, monthDates]) => (
             <div key={monthName} className="break-after-page bg-white p-8 rounded-xl shadow-sm border border-gray-200 print:shadow-none print:border-none print:p-0 print:h-screen print:flex print:flex-col print:overflow-hidden">
               <div className="flex justify-between items-end mb-6 border-b-2 border-emerald-600 pb-2 print:mb-2">
                 <h2 className="text-3xl font-bold text-gray-800 uppercase tracking-tight print:text-2xl">{monthName}</h2>
-                <span className="text-sm text-gray-500 font-medium print:hidden">Klikk på en dag for å bytte person</span>
+                <span className="text-sm text-gray-500 font-medium print:hidden">Klikk på en vakt for å bytte person (vakten låses)</span>
               </div>
 
               {/* Flex wrapper for the grid to ensure full page height usage in print */}
@@ -1044,51 +2969,138 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
                         if (!date) return <div key={`empty-${wIndex}-${dIndex}`} className="bg-white min-h-[120px] print:min-h-0" />;
 
                         const dateStr = formatDate(date);
-                        const riderId = schedule[dateStr];
-                        const rider = getRiderById(riderId);
                         const heatMapClass = getAvailabilityColor(dateStr);
+                        const specialDay = specialDays[dateStr];
+                        const isHoliday = isHolidayType(specialDay);
+                        const isClosed = isClosedType(specialDay);
 
-                        // Determine background color: HeatMap > Weekend > Default (White)
+                        // Determine background color: HeatMap > Holiday/Closed > Weekend > Default (White)
                         let bgClass = 'bg-white';
                         if (heatMapClass) {
                           bgClass = heatMapClass;
-                        } else if (isWeekendDay(date)) {
+                        } else if (isHoliday) {
+                          bgClass = 'bg-rose-50';
+                        } else if (isClosed) {
+                          bgClass = 'bg-gray-100';
+                        } else if (isWeekendDay(date, config.rules)) {
                           bgClass = 'bg-gray-50/50';
                         }
 
                         return (
                           <div
                             key={dateStr}
-                            onClick={() => manualAssign(dateStr)}
                             className={`
-                                  min-h-[120px] p-2 relative group cursor-pointer hover:bg-gray-50 transition-colors
+                                  min-h-[120px] p-2 relative transition-colors group/day
                                   print:min-h-0 print:h-auto print:p-1 print:bg-white
                                   ${bgClass}
                               `}
                           >
+                            {!isClosed && (
+                              <button
+                                type="button"
+                                onClick={() => setTraceDate(traceDate === dateStr ? null : dateStr)}
+                                className={`
+                                      absolute right-1 top-1 p-1 rounded-full print:hidden
+                                      ${problemDates.has(dateStr) ? 'text-amber-500 hover:bg-amber-50' : 'text-gray-300 hover:text-gray-500 hover:bg-gray-100 opacity-0 group-hover/day:opacity-100'}
+                                    `}
+                                title="Hvorfor ble dagen fordelt slik?"
+                              >
+                                {problemDates.has(dateStr) ? <AlertCircle size={14} /> : <Info size={14} />}
+                              </button>
+                            )}
+
+                            {traceDate === dateStr && (
+                              <div className={`absolute top-8 z-30 w-64 p-3 bg-white rounded-lg shadow-xl border border-gray-200 text-xs space-y-3 cursor-default print:hidden ${dIndex >= 4 ? 'right-1' : 'left-1'}`}>
+                                <div className="flex justify-between items-center">
+                                  <span className="font-bold text-gray-800">{dateStr}</span>
+                                  <button type="button" onClick={() => setTraceDate(null)}><X size={14} className="text-gray-400 hover:text-gray-600" /></button>
+                                </div>
+                                {config.shifts.map(shift => renderTraceEntry(dateStr, shift))}
+                              </div>
+                            )}
+
                             <span className={`
                                   text-sm font-semibold inline-block w-8 h-8 rounded-full flex items-center justify-center mb-1
                                   print:w-5 print:h-5 print:text-[10px] print:mb-0
-                                  text-gray-500
+                                  ${isHoliday ? 'text-rose-600' : 'text-gray-500'}
                                 `}>
                               {date.getDate()}
                             </span>
 
-                            {rider && (
-                              <div className={`
-                                    p-2 rounded-lg border text-sm font-medium animate-in zoom-in-95 duration-200
-                                    print:p-0 print:border-0 print:text-[11px] print:font-bold print:leading-tight
-                                    ${rider.color}
-                                  `}>
-                                {rider.name}
+                            {specialDay && (
+                              <div className={`text-[10px] font-semibold leading-tight mb-1 print:text-[8px] print:mb-0 ${isHoliday ? 'text-rose-700' : 'text-gray-500'}`}>
+                                {specialDay.name}{isClosed && ' (stengt)'}
                               </div>
                             )}
 
-                            {!rider && (
-                              <div className="flex h-full items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity print:hidden">
-                                <Plus size={20} className="text-gray-300" />
-                              </div>
-                            )}
+                            <div className="space-y-1 print:space-y-0">
+                              {!isClosed && config.shifts.map(shift => {
+                                const rider = getRiderById(getAssignment(schedule, dateStr, shift.id));
+                                const locked = isLocked(locks, dateStr, shift.id);
+                                const cellViolations = violationsByCell[dateStr]?.[shift.id] || [];
+                                const hasError = cellViolations.some(v => v.severity === 'error');
+                                const substitution = substitutions.find(sub =>
+                                  sub.date === dateStr && sub.slotId === shift.id && sub.substituteId === rider?.id
+                                );
+                                return (
+                                  <div
+                                    key={shift.id}
+                                    onClick={() => manualAssign(dateStr, shift.id)}
+                                    className="group relative cursor-pointer"
+                                  >
+                                    {config.shifts.length > 1 && (
+                                      <div className="text-[10px] uppercase tracking-wide text-gray-400 print:text-[8px]">{shift.name}</div>
+                                    )}
+                                    <button
+                                      type="button"
+                                      onClick={(e) => toggleLock(e, dateStr, shift.id)}
+                                      className={`
+                                            absolute right-1 bottom-1 z-10 p-0.5 rounded text-gray-500 hover:text-gray-800 hover:bg-white/70
+                                            ${locked ? '' : 'opacity-0 group-hover:opacity-100 print:hidden'}
+                                          `}
+                                      title={locked ? 'Låst – beholdes ved ny generering. Klikk for å låse opp' : 'Lås vakten'}
+                                    >
+                                      {locked ? <Lock size={12} /> : <Unlock size={12} />}
+                                    </button>
+                                    {rider && (
+                                      <button
+                                        type="button"
+                                        onClick={(e) => openReplacementFinder(e, dateStr, shift.id)}
+                                        className="absolute right-5 bottom-1 z-10 p-0.5 rounded text-gray-500 hover:text-gray-800 hover:bg-white/70 opacity-0 group-hover:opacity-100 print:hidden"
+                                        title="Syk? Finn erstatter"
+                                      >
+                                        <UserX size={12} />
+                                      </button>
+                                    )}
+                                    {rider ? (
+                                      <div className={`
+                                            p-2 pr-9 rounded-lg border text-sm font-medium animate-in zoom-in-95 duration-200
+                                            print:p-0 print:border-0 print:text-[11px] print:font-bold print:leading-tight
+                                            ${rider.color}
+                                            ${cellViolations.length > 0 ? (hasError ? 'ring-2 ring-red-400' : 'ring-2 ring-amber-300') : ''}
+                                          `}
+                                        title={substitution ? `Erstatter for ${getRiderById(substitution.sickRiderId)?.name ?? 'tidligere rytter'}` : undefined}
+                                      >
+                                        {rider.name}
+                                        {substitution && <span className="ml-1 text-[10px] font-normal opacity-70 print:hidden">(vikar)</span>}
+                                        {cellViolations.length > 0 && (
+                                          <span
+                                            className={`ml-1 inline-flex align-middle print:hidden ${hasError ? 'text-red-600' : 'text-amber-600'}`}
+                                            title={cellViolations.map(describeViolation).join('\n')}
+                                          >
+                                            <AlertCircle size={12} />
+                                          </span>
+                                        )}
+                                      </div>
+                                    ) : (
+                                      <div className="flex min-h-[2.25rem] items-center justify-center rounded-lg border border-dashed border-gray-200 opacity-0 group-hover:opacity-100 transition-opacity print:hidden">
+                                        <Plus size={16} className="text-gray-300" />
+                                      </div>
+                                    )}
+                                  </div>
+                                );
+                              })}
+                            </div>
                           </div>
                         );
                       })}
@@ -1099,13 +3111,161 @@ ${btoa(unescape(encodeURIComponent(htmlContent)))}
             </div>
           ))}
         </div>
+
+        {replacementCell && renderReplacementFinder()}
+        {swapDraft && renderSwapDialog()}
+      </div>
+    );
+  };
+
+  // What a share link shows: the calendar only, with a filter for one rider's shifts
+  const renderSharedView = () => {
+    if (!shared.plan) {
+      return (
+        <div className="max-w-xl mx-auto">
+          <Card title="Delt vaktplan">
+            {shared.error ? (
+              <p className="text-sm text-red-700 flex items-center gap-2"><AlertCircle size={16} /> {shared.error}</p>
+            ) : (
+              <p className="text-sm text-gray-500">Åpner planen…</p>
+            )}
+          </Card>
+        </div>
+      );
+    }
+
+    const { plan } = shared;
+    const dates = generateDates(plan.startDate, plan.endDate);
+    const months = {};
+    dates.forEach(date => {
+      const key = getMonthName(date);
+      if (!months[key]) months[key] = [];
+      months[key].push(date);
+    });
+    const findRider = (id) => plan.riders.find(r => r.id === id);
+    const selectedRider = plan.riders.find(r => String(r.id) === sharedRiderId);
+    const myShifts = selectedRider
+      ? listAssignments(plan.schedule, plan.shifts).filter(a => a.riderId === selectedRider.id)
+      : [];
+
+    return (
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-8 flex flex-wrap gap-4 items-center justify-between print:hidden bg-white p-4 rounded-xl shadow-sm border border-gray-200">
+          <div>
+            <h1 className="text-xl font-bold text-gray-800">{plan.title || DEFAULT_EVENT_NAME}</h1>
+            <p className="text-sm text-gray-500">{plan.startDate} – {plan.endDate} · kun visning</p>
+          </div>
+          <div className="flex gap-2 items-center">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <Search size={18} className="text-gray-400" /> Finn mine vakter
+              <select
+                value={sharedRiderId}
+                onChange={(e) => setSharedRiderId(e.target.value)}
+                className="px-2 py-1.5 border rounded-md bg-white focus:ring-2 focus:ring-emerald-500 outline-none"
+              >
+                <option value="">Alle ryttere</option>
+                {plan.riders.map(r => <option key={r.id} value={String(r.id)}>{r.name}</option>)}
+              </select>
+            </label>
+            <Button onClick={handlePrint}>
+              <Printer size={18} /> Skriv ut
+            </Button>
+          </div>
+        </div>
+
+        {selectedRider && (
+          <div className="mb-8 print:hidden bg-white border border-gray-200 rounded-xl p-4 text-sm">
+            <h3 className="text-sm font-semibold text-gray-800 uppercase tracking-wider mb-2">
+              {selectedRider.name}: {myShifts.length} vakter
+            </h3>
+            <ul className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-1">
+              {myShifts.map(a => (
+                <li key={`${a.date}-${a.slotId}`}>
+                  {formatShiftLine(a, plan.shifts)}
+                  {plan.specialDays[a.date] && <span className="text-rose-700"> ({plan.specialDays[a.date].name})</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="space-y-12 print:space-y-0">
+          {Object.entries(months).map(([monthName, monthDates]) => (
+            <div key={monthName} className="break-after-page bg-white p-8 rounded-xl shadow-sm border border-gray-200 print:shadow-none print:border-none print:p-0">
+              <div className="mb-6 border-b-2 border-emerald-600 pb-2 print:mb-2">
+                <h2 className="text-3xl font-bold text-gray-800 uppercase tracking-tight print:text-2xl">{monthName}</h2>
+              </div>
+              <div className="grid grid-cols-[3rem_repeat(7,1fr)] gap-px bg-gray-200 border border-gray-200">
+                <div className="bg-gray-50 p-2 text-center text-xs font-bold uppercase text-gray-500 tracking-wider">Uke</div>
+                {['Mandag', 'Tirsdag', 'Onsdag', 'Torsdag', 'Fredag', 'Lørdag', 'Søndag'].map(day => (
+                  <div key={day} className="bg-gray-50 p-2 text-center text-xs font-bold uppercase text-gray-500 tracking-wider">
+                    {day}
+                  </div>
+                ))}
+                {groupDatesByWeek(monthDates).map((week, wIndex) => (
+                  <React.Fragment key={wIndex}>
+                    <div className="bg-gray-50 flex items-center justify-center text-sm font-bold text-gray-400">
+                      {week.weekNum}
+                    </div>
+                    {week.days.map((date, dIndex) => {
+                      if (!date) return <div key={`empty-${wIndex}-${dIndex}`} className="bg-white min-h-[100px] print:min-h-0" />;
+
+                      const dateStr = formatDate(date);
+                      const specialDay = plan.specialDays[dateStr];
+                      const isHoliday = isHolidayType(specialDay);
+                      const isClosed = isClosedType(specialDay);
+                      let bgClass = 'bg-white';
+                      if (isHoliday) bgClass = 'bg-rose-50';
+                      else if (isClosed) bgClass = 'bg-gray-100';
+                      else if (isWeekendDay(date, plan)) bgClass = 'bg-gray-50/50';
+
+                      return (
+                        <div key={dateStr} className={`min-h-[100px] p-2 print:min-h-0 print:p-1 print:bg-white ${bgClass}`}>
+                          <span className={`text-sm font-semibold inline-block mb-1 ${isHoliday ? 'text-rose-600' : 'text-gray-500'}`}>
+                            {date.getDate()}
+                          </span>
+                          {specialDay && (
+                            <div className={`text-[10px] font-semibold leading-tight mb-1 ${isHoliday ? 'text-rose-700' : 'text-gray-500'}`}>
+                              {specialDay.name}{isClosed && ' (stengt)'}
+                            </div>
+                          )}
+                          <div className="space-y-1">
+                            {!isClosed && plan.shifts.map(shift => {
+                              const rider = findRider(getAssignment(plan.schedule, dateStr, shift.id));
+                              if (!rider) return null;
+                              const dimmed = selectedRider && rider.id !== selectedRider.id;
+                              return (
+                                <div key={shift.id} className={dimmed ? 'opacity-30 print:opacity-100' : ''}>
+                                  {plan.shifts.length > 1 && (
+                                    <div className="text-[10px] uppercase tracking-wide text-gray-400">{shift.name}</div>
+                                  )}
+                                  <div className={`
+                                      p-2 rounded-lg border text-sm font-medium print:p-0 print:border-0 print:text-[11px] print:font-bold
+                                      ${rider.color}
+                                      ${selectedRider && !dimmed ? 'ring-2 ring-emerald-500' : ''}
+                                    `}>
+                                    {rider.name}
+                                  </div>
+                                </div>
+                              );
+                            })}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
       </div>
     );
   };
 
   return (
     <div className="min-h-screen bg-gray-100 py-8 px-4 font-sans text-gray-900 print:bg-white print:p-0">
-      {view === 'setup' ? renderSetupView() : renderCalendarView()}
+      {shared ? renderSharedView() : view === 'setup' ? renderSetupView() : renderCalendarView()}
     </div>
   );
 }
\ No newline at end of file
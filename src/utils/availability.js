@@ -0,0 +1,100 @@
+import { parseDate, getMonday } from './dates';
+
+/*
+  Recurring unavailability, stored on the rider next to the single blocked dates:
+    rider.unavailability = [
+      { type: 'weekday', weekdays: [3] },                                 // never Wednesdays
+      { type: 'interval', interval: 2, startDate: "2023-10-06", weekdays: [5, 6, 0] },
+                                                                         // every other weekend from that week
+      { type: 'range', startDate: "2023-12-20", endDate: "2024-01-02" }   // away, both ends included
+    ]
+  Weekdays use Date.getDay() numbering. An interval rule without weekdays blocks the whole week.
+*/
+
+export const UNAVAILABILITY_TYPES = ['weekday', 'interval', 'range'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Whole weeks between the Mondays of two dates (rounded, so DST shifts do not matter)
+const weeksBetween = (from, to) => Math.round((getMonday(to) - getMonday(from)) / WEEK_MS);
+
+export const matchesUnavailability = (rule, dateStr) => {
+    const date = parseDate(dateStr);
+    const weekdays = rule.weekdays || [];
+
+    switch (rule.type) {
+        case 'weekday':
+            return weekdays.includes(date.getDay());
+        case 'interval': {
+            const interval = Math.max(1, Math.floor(Number(rule.interval) || 1));
+            if (!rule.startDate) return false;
+            const offset = weeksBetween(rule.startDate, date);
+            // The pattern repeats both before and after the reference week
+            if (((offset % interval) + interval) % interval !== 0) return false;
+            return weekdays.length === 0 || weekdays.includes(date.getDay());
+        }
+        case 'range':
+            if (!rule.startDate) return false;
+            return dateStr >= rule.startDate && dateStr <= (rule.endDate || rule.startDate);
+        default:
+            return false;
+    }
+};
+
+// The recurring rule that blocks the date, or null
+export const findUnavailability = (rider, dateStr) =>
+    (rider.unavailability || []).find(rule => matchesUnavailability(rule, dateStr)) || null;
+
+// Optional rider.activeFrom / rider.activeTo ("YYYY-MM-DD", both included); empty means open-ended
+export const isActiveOn = (rider, dateStr) =>
+    (!rider.activeFrom || dateStr >= rider.activeFrom) && (!rider.activeTo || dateStr <= rider.activeTo);
+
+// Dates outside the active window, single blocked dates and recurring rules together
+export const isRiderBlocked = (rider, dateStr) =>
+    !isActiveOn(rider, dateStr) ||
+    rider.blockedDates.includes(dateStr) ||
+    findUnavailability(rider, dateStr) !== null;
+
+/*
+  Soft wishes, also stored on the rider:
+    rider.wishes = {
+      preferredWeekdays: [2], dislikedWeekdays: [0],
+      preferredDates: ["2023-10-10"], dislikedDates: ["2023-10-14"]
+    }
+  The generator favours preferred days and avoids disliked ones, but never at the cost of fairness.
+  A single date wins over the weekday lists.
+*/
+
+export const WISH_TYPES = ['preferred', 'disliked'];
+
+export const resolveWishes = (wishes) => ({
+    preferredWeekdays: wishes?.preferredWeekdays || [],
+    dislikedWeekdays: wishes?.dislikedWeekdays || [],
+    preferredDates: wishes?.preferredDates || [],
+    dislikedDates: wishes?.dislikedDates || []
+});
+
+// 'preferred', 'disliked' or null
+export const getWish = (rider, dateStr) => {
+    const wishes = resolveWishes(rider.wishes);
+    if (wishes.preferredDates.includes(dateStr)) return 'preferred';
+    if (wishes.dislikedDates.includes(dateStr)) return 'disliked';
+    const weekday = parseDate(dateStr).getDay();
+    if (wishes.preferredWeekdays.includes(weekday)) return 'preferred';
+    if (wishes.dislikedWeekdays.includes(weekday)) return 'disliked';
+    return null;
+};
+
+// Returns new wishes with the date marked as `wish`, or cleared when `wish` is null
+export const setDateWish = (wishes, dateStr, wish) => {
+    const current = resolveWishes(wishes);
+    return {
+        ...current,
+        preferredDates: wish === 'preferred'
+            ? [...current.preferredDates.filter(d => d !== dateStr), dateStr]
+            : current.preferredDates.filter(d => d !== dateStr),
+        dislikedDates: wish === 'disliked'
+            ? [...current.dislikedDates.filter(d => d !== dateStr), dateStr]
+            : current.dislikedDates.filter(d => d !== dateStr)
+    };
+};
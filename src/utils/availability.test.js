@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { matchesUnavailability, findUnavailability, isRiderBlocked, isActiveOn, getWish, setDateWish } from './availability';
+
+describe('matchesUnavailability', () => {
+    it('matches fixed weekdays', () => {
+        const rule = { type: 'weekday', weekdays: [3] };
+        expect(matchesUnavailability(rule, '2023-10-04')).toBe(true); // Wednesday
+        expect(matchesUnavailability(rule, '2023-10-05')).toBe(false);
+    });
+
+    it('matches every other weekend in both directions', () => {
+        const rule = { type: 'interval', interval: 2, startDate: '2023-10-06', weekdays: [5, 6, 0] };
+        expect(matchesUnavailability(rule, '2023-10-07')).toBe(true);
+        expect(matchesUnavailability(rule, '2023-10-14')).toBe(false);
+        expect(matchesUnavailability(rule, '2023-10-21')).toBe(true);
+        expect(matchesUnavailability(rule, '2023-09-23')).toBe(true);
+        expect(matchesUnavailability(rule, '2023-10-18')).toBe(false); // Wednesday
+    });
+
+    it('blocks the whole week when an interval rule has no weekdays', () => {
+        const rule = { type: 'interval', interval: 3, startDate: '2023-10-02', weekdays: [] };
+        expect(matchesUnavailability(rule, '2023-10-25')).toBe(true);
+        expect(matchesUnavailability(rule, '2023-10-18')).toBe(false);
+    });
+
+    it('counts weeks correctly across the daylight saving change', () => {
+        const rule = { type: 'interval', interval: 2, startDate: '2023-10-23', weekdays: [] };
+        expect(matchesUnavailability(rule, '2023-11-06')).toBe(true);
+        expect(matchesUnavailability(rule, '2023-10-30')).toBe(false);
+    });
+
+    it('matches date ranges including both ends', () => {
+        const rule = { type: 'range', startDate: '2023-12-20', endDate: '2024-01-02' };
+        expect(matchesUnavailability(rule, '2023-12-20')).toBe(true);
+        expect(matchesUnavailability(rule, '2024-01-02')).toBe(true);
+        expect(matchesUnavailability(rule, '2024-01-03')).toBe(false);
+    });
+});
+
+describe('isRiderBlocked', () => {
+    it('combines single dates and recurring rules', () => {
+        const rider = { id: 1, blockedDates: ['2023-10-02'], unavailability: [{ type: 'weekday', weekdays: [3] }] };
+        expect(isRiderBlocked(rider, '2023-10-02')).toBe(true);
+        expect(isRiderBlocked(rider, '2023-10-04')).toBe(true);
+        expect(isRiderBlocked(rider, '2023-10-03')).toBe(false);
+        expect(findUnavailability(rider, '2023-10-04')).toEqual({ type: 'weekday', weekdays: [3] });
+    });
+
+    it('works for riders saved without rules', () => {
+        expect(isRiderBlocked({ id: 1, blockedDates: [] }, '2023-10-02')).toBe(false);
+    });
+});
+
+describe('wishes', () => {
+    const rider = {
+        id: 1,
+        blockedDates: [],
+        wishes: { preferredWeekdays: [2], dislikedWeekdays: [0], dislikedDates: ['2023-10-10'] }
+    };
+
+    it('reads weekday wishes and lets single dates win', () => {
+        expect(getWish(rider, '2023-10-03')).toBe('preferred'); // Tuesday
+        expect(getWish(rider, '2023-10-08')).toBe('disliked'); // Sunday
+        expect(getWish(rider, '2023-10-10')).toBe('disliked'); // Tuesday, but marked
+        expect(getWish(rider, '2023-10-04')).toBeNull();
+        expect(getWish({ id: 2, blockedDates: [] }, '2023-10-04')).toBeNull();
+    });
+
+    it('moves a date between wish lists and clears it', () => {
+        const preferred = setDateWish(rider.wishes, '2023-10-10', 'preferred');
+        expect(preferred.preferredDates).toEqual(['2023-10-10']);
+        expect(preferred.dislikedDates).toEqual([]);
+        expect(setDateWish(preferred, '2023-10-10', null).preferredDates).toEqual([]);
+    });
+});
+
+describe('active window', () => {
+    const rider = { id: 1, blockedDates: [], activeFrom: '2023-10-15', activeTo: '2023-10-20' };
+
+    it('blocks dates outside the window, both ends included', () => {
+        expect(isRiderBlocked(rider, '2023-10-14')).toBe(true);
+        expect(isRiderBlocked(rider, '2023-10-15')).toBe(false);
+        expect(isRiderBlocked(rider, '2023-10-20')).toBe(false);
+        expect(isRiderBlocked(rider, '2023-10-21')).toBe(true);
+    });
+
+    it('treats empty ends as open', () => {
+        expect(isActiveOn({ activeFrom: '', activeTo: '2023-10-20' }, '2020-01-01')).toBe(true);
+        expect(isActiveOn({}, '2099-01-01')).toBe(true);
+    });
+});
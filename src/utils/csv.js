@@ -0,0 +1,208 @@
+import { generateDates, formatDate, getWeekNumber, parseDate } from './dates';
+import { getSpecialDays, isClosedType } from './holidays';
+import { resolveRules, isWeekendDay } from './rules';
+import { getAssignment, setAssignment, isLocked, setLock, computeTargets } from './scheduler';
+import { isActiveOn, isRiderBlocked } from './availability';
+
+/*
+  Spreadsheet round trip. Files use semicolons, which Norwegian Excel and Numbers open
+  directly, and start with a byte order mark so æøå survive. Import also accepts commas and tabs.
+
+  Schedule rows:  Dato;Ukedag;Uke;Vakt;Rytter;Merknader
+  Stats rows:     Rytter;Mål;Totalt;<anchor>;Helg;Helligdager;<per slot>;Ønskedager
+*/
+
+const DELIMITER = ';';
+const BOM = '\uFEFF';
+
+export const WEEKDAY_NAMES = ['søndag', 'mandag', 'tirsdag', 'onsdag', 'torsdag', 'fredag', 'lørdag'];
+
+export const SCHEDULE_COLUMNS = ['Dato', 'Ukedag', 'Uke', 'Vakt', 'Rytter', 'Merknader'];
+
+const quote = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[";,\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => BOM + rows.map(row => row.map(quote).join(DELIMITER)).join('\r\n') + '\r\n';
+
+// The delimiter used most in the header line
+const detectDelimiter = (line) => [';', ',', '\t']
+    .map(d => ({ d, count: line.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+// Rows of fields; quoted fields may contain delimiters, quotes ("") and line breaks
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source.split(/\r?\n/)[0] || '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+};
+
+// One row per day and slot. Flags: holiday or special day name, closed, weekend, manual (locked)
+export const scheduleToCsv = ({ schedule, riders, config, locks = {} }) => {
+    const rules = resolveRules(config.rules);
+    const specialDays = getSpecialDays(config);
+    const rows = [SCHEDULE_COLUMNS];
+
+    generateDates(config.startDate, config.endDate).forEach(date => {
+        const dateStr = formatDate(date);
+        const special = specialDays[dateStr];
+        config.shifts.forEach(shift => {
+            const rider = riders.find(r => r.id === getAssignment(schedule, dateStr, shift.id));
+            const flags = [
+                special && (isClosedType(special) ? 'stengt' : special.name),
+                isWeekendDay(date, rules) && 'helg',
+                isLocked(locks, dateStr, shift.id) && 'manuell'
+            ].filter(Boolean);
+            rows.push([dateStr, WEEKDAY_NAMES[date.getDay()], getWeekNumber(date), shift.name, rider?.name ?? '', flags.join(', ')]);
+        });
+    });
+    return toCsv(rows);
+};
+
+// One row per rider with the fairness numbers shown in the calendar view
+export const statsToCsv = ({ stats, riders, config, anchorLabel = 'Anker' }) => {
+    const targets = computeTargets(riders, riders.reduce((sum, r) => sum + stats[r.id].total, 0), config);
+    const header = ['Rytter', 'Mål', 'Totalt', anchorLabel, 'Helg', 'Helligdager'];
+    if (config.shifts.length > 1) header.push(...config.shifts.map(s => s.name));
+    header.push('Ønskedager');
+
+    const rows = riders.map(r => {
+        const s = stats[r.id];
+        const row = [r.name, Math.round(targets[r.id] * 10) / 10, s.total, s.anchors, s.weekends, s.holidays];
+        if (config.shifts.length > 1) row.push(...config.shifts.map(shift => s.slots[shift.id]?.total ?? 0));
+        row.push(s.wishes?.preferred ?? 0);
+        return row;
+    });
+    return toCsv([header, ...rows]);
+};
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+// YYYY-MM-DD, or DD.MM.YYYY as Norwegian spreadsheets write it
+const readDate = (value) => {
+    const text = value.trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return formatDate(parseDate(text)) === text ? text : null;
+    const match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    if (!match) return null;
+    const date = new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+    return date.getDate() === Number(match[1]) ? formatDate(date) : null;
+};
+
+/*
+  Loads an edited schedule CSV back onto the current plan. Columns are found by their header
+  (Dato, Vakt, Rytter); Vakt may be left out when there is only one slot. Names are matched to
+  riders without regard to case. An empty name clears the cell.
+  Returns { schedule, locks, changes, unknownNames, closedDays, conflicts, errors }:
+    changes       - cells that got a different rider; they are locked, like manual edits
+    unknownNames  - [{ line, name }], cells left as they were
+    closedDays    - [{ line, date, name, dayName }], riders put on a closed day; skipped, since the
+                    generator never fills closed days (empty rows for them are skipped silently)
+    conflicts     - [{ line, date, slotId, riderId, reason: 'blocked' | 'inactive' }], imported anyway
+    errors        - readable problems with lines that could not be read at all
+*/
+export const importScheduleCsv = (text, { schedule, locks = {}, riders, config }) => {
+    const result = { schedule, locks, changes: [], unknownNames: [], closedDays: [], conflicts: [], errors: [] };
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        result.errors.push('Filen er tom.');
+        return result;
+    }
+
+    const column = (name) => header.findIndex(h => normalizeName(h) === name.toLowerCase());
+    const dateCol = column('Dato');
+    const slotCol = column('Vakt');
+    const riderCol = column('Rytter');
+    if (dateCol === -1 || riderCol === -1) {
+        result.errors.push('Fant ikke kolonnene «Dato» og «Rytter» i første linje.');
+        return result;
+    }
+    if (slotCol === -1 && config.shifts.length > 1) {
+        result.errors.push('Kolonnen «Vakt» mangler, og planen har flere vakter per dag.');
+        return result;
+    }
+
+    const specialDays = getSpecialDays(config);
+    const ridersByName = riders.reduce((acc, r) => ({ ...acc, [normalizeName(r.name)]: r }), {});
+    const findShift = (value) => config.shifts.find(s =>
+        normalizeName(s.name) === normalizeName(value) || normalizeName(String(s.id)) === normalizeName(value));
+
+    rows.forEach((row, i) => {
+        const line = i + 2; // 1-based, after the header
+        const date = readDate(row[dateCol] || '');
+        if (!date) {
+            result.errors.push(`Linje ${line}: ugyldig dato «${row[dateCol] || ''}».`);
+            return;
+        }
+        if (date < config.startDate || date > config.endDate) {
+            result.errors.push(`Linje ${line}: ${date} er utenfor perioden.`);
+            return;
+        }
+        const shift = slotCol === -1 ? config.shifts[0] : findShift(row[slotCol] || '');
+        if (!shift) {
+            result.errors.push(`Linje ${line}: ukjent vakt «${row[slotCol] || ''}».`);
+            return;
+        }
+
+        const name = (row[riderCol] || '').trim();
+        if (isClosedType(specialDays[date])) {
+            if (name) result.closedDays.push({ line, date, name, dayName: specialDays[date].name });
+            return;
+        }
+        const rider = name ? ridersByName[normalizeName(name)] : null;
+        if (name && !rider) {
+            result.unknownNames.push({ line, name });
+            return;
+        }
+
+        const riderId = rider ? rider.id : null;
+        if (rider && !isActiveOn(rider, date)) {
+            result.conflicts.push({ line, date, slotId: shift.id, riderId, reason: 'inactive' });
+        } else if (rider && isRiderBlocked(rider, date)) {
+            result.conflicts.push({ line, date, slotId: shift.id, riderId, reason: 'blocked' });
+        }
+
+        const from = getAssignment(result.schedule, date, shift.id);
+        if (from === riderId) return;
+        result.schedule = setAssignment(result.schedule, date, shift.id, riderId);
+        result.locks = setLock(result.locks, date, shift.id, true);
+        result.changes.push({ date, slotId: shift.id, from, to: riderId });
+    });
+
+    return result;
+};
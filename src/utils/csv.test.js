@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv, parseCsv, scheduleToCsv, statsToCsv, importScheduleCsv } from './csv';
+import { computeStats } from './scheduler';
+
+const shifts = [{ id: 'morgen', name: 'Morgen' }, { id: 'kveld', name: 'Kveld' }];
+const config = {
+    startDate: '2023-12-23',
+    endDate: '2023-12-25',
+    shifts,
+    holidays: { norwegian: true, customDays: [] }
+};
+const riders = [
+    { id: 1, name: 'Elin', blockedDates: ['2023-12-24'] },
+    { id: 2, name: 'Anne', blockedDates: [] },
+    { id: 3, name: 'Hedda', blockedDates: [], activeTo: '2023-12-23' }
+];
+const schedule = {
+    '2023-12-23': { morgen: 1, kveld: 2 },
+    '2023-12-24': { morgen: 2, kveld: null },
+    '2023-12-25': { morgen: 1, kveld: 2 }
+};
+
+describe('toCsv / parseCsv', () => {
+    it('round-trips fields with delimiters, quotes and line breaks', () => {
+        const rows = [['Navn', 'Notat'], ['Elin', 'Sa "ja"; i går\nkanskje']];
+        const text = toCsv(rows);
+        expect(text.startsWith('\uFEFF')).toBe(true);
+        expect(parseCsv(text)).toEqual(rows);
+    });
+
+    it('reads comma- and tab-separated files', () => {
+        expect(parseCsv('Dato,Rytter\r\n2023-12-23,Elin\r\n')).toEqual([['Dato', 'Rytter'], ['2023-12-23', 'Elin']]);
+        expect(parseCsv('Dato\tRytter\n2023-12-23\tElin')).toEqual([['Dato', 'Rytter'], ['2023-12-23', 'Elin']]);
+    });
+});
+
+describe('scheduleToCsv', () => {
+    it('writes one row per day and slot with weekday, week number and flags', () => {
+        const rows = parseCsv(scheduleToCsv({ schedule, riders, config, locks: { '2023-12-23': { morgen: true } } }));
+        expect(rows[0]).toEqual(['Dato', 'Ukedag', 'Uke', 'Vakt', 'Rytter', 'Merknader']);
+        expect(rows).toHaveLength(7);
+        expect(rows[1]).toEqual(['2023-12-23', 'lørdag', '51', 'Morgen', 'Elin', 'helg, manuell']);
+        expect(rows[4][4]).toBe('');
+        expect(rows[5]).toEqual(['2023-12-25', 'mandag', '52', 'Morgen', 'Elin', 'Første juledag']);
+    });
+});
+
+describe('statsToCsv', () => {
+    it('writes one row per rider with the slot totals', () => {
+        const stats = computeStats(schedule, riders, config);
+        const rows = parseCsv(statsToCsv({ stats, riders, config, anchorLabel: 'Lør' }));
+        expect(rows[0]).toEqual(['Rytter', 'Mål', 'Totalt', 'Lør', 'Helg', 'Helligdager', 'Morgen', 'Kveld', 'Ønskedager']);
+        expect(rows[1].slice(0, 3)).toEqual(['Elin', expect.any(String), '2']);
+        expect(rows[2].slice(6, 8)).toEqual(['1', '2']);
+    });
+});
+
+describe('importScheduleCsv', () => {
+    const csv = (...lines) => ['Dato;Vakt;Rytter', ...lines].join('\n');
+
+    it('maps names back to ids and locks the changed cells', () => {
+        const result = importScheduleCsv(csv('23.12.2023;Kveld;elin', '2023-12-25;morgen;Anne', '2023-12-25;Kveld;'), { schedule, riders, config });
+        expect(result.errors).toEqual([]);
+        expect(result.schedule['2023-12-23'].kveld).toBe(1);
+        expect(result.schedule['2023-12-25']).toEqual({ morgen: 2, kveld: null });
+        expect(result.changes).toHaveLength(3);
+        expect(result.locks['2023-12-23'].kveld).toBe(true);
+        // The input is left untouched
+        expect(schedule['2023-12-23'].kveld).toBe(2);
+    });
+
+    it('reports unknown names and leaves those cells alone', () => {
+        const result = importScheduleCsv(csv('2023-12-23;Morgen;Silvia'), { schedule, riders, config });
+        expect(result.unknownNames).toEqual([{ line: 2, name: 'Silvia' }]);
+        expect(result.schedule['2023-12-23'].morgen).toBe(1);
+    });
+
+    it('imports blocked and inactive riders but reports the conflict', () => {
+        const result = importScheduleCsv(csv('2023-12-24;Kveld;Elin', '2023-12-25;Kveld;Hedda'), { schedule, riders, config });
+        expect(result.conflicts).toEqual([
+            { line: 2, date: '2023-12-24', slotId: 'kveld', riderId: 1, reason: 'blocked' },
+            { line: 3, date: '2023-12-25', slotId: 'kveld', riderId: 3, reason: 'inactive' }
+        ]);
+        expect(result.schedule['2023-12-24'].kveld).toBe(1);
+    });
+
+    it('skips closed days and reports riders put on them', () => {
+        const closed = { ...config, holidays: { norwegian: true, customDays: [{ date: '2023-12-24', name: 'Julaften', type: 'closed' }] } };
+        const result = importScheduleCsv(csv('2023-12-24;Morgen;Anne', '2023-12-24;Kveld;', '2023-12-23;Kveld;Elin'), { schedule, riders, config: closed });
+        expect(result.closedDays).toEqual([{ line: 2, date: '2023-12-24', name: 'Anne', dayName: 'Julaften' }]);
+        expect(result.schedule['2023-12-24']).toEqual(schedule['2023-12-24']);
+        expect(result.changes.map(c => c.date)).toEqual(['2023-12-23']);
+        expect(result.errors).toEqual([]);
+    });
+
+    it('explains lines it cannot read', () => {
+        const result = importScheduleCsv(csv('i morgen;Morgen;Elin', '2024-01-05;Morgen;Elin', '2023-12-23;Natt;Elin'), { schedule, riders, config });
+        expect(result.errors).toEqual([
+            'Linje 2: ugyldig dato «i morgen».',
+            'Linje 3: 2024-01-05 er utenfor perioden.',
+            'Linje 4: ukjent vakt «Natt».'
+        ]);
+        expect(importScheduleCsv('Navn;Tid\nElin;08', { schedule, riders, config }).errors[0]).toMatch(/Dato/);
+    });
+});
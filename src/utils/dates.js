@@ -0,0 +1,60 @@
+// Date helpers shared by the scheduler and the views.
+// All dates are handled in local time; schedule keys use the YYYY-MM-DD format.
+
+export const generateDates = (startDate, endDate) => {
+    const start = parseDate(startDate);
+    const end = parseDate(endDate);
+
+    const dates = [];
+    const current = new Date(start);
+
+    while (current <= end) {
+        dates.push(new Date(current));
+        current.setDate(current.getDate() + 1);
+    }
+    return dates;
+};
+
+// Parses YYYY-MM-DD as a local date (new Date('YYYY-MM-DD') would be UTC midnight)
+export const parseDate = (value) => {
+    if (value instanceof Date) {
+        const copy = new Date(value);
+        copy.setHours(0, 0, 0, 0);
+        return copy;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Timezone safe format YYYY-MM-DD
+export const formatDate = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+export const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+};
+
+export const getWeekNumber = (d) => {
+    // Copy date so don't modify original
+    d = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+    // Set to nearest Thursday: current date + 4 - current day number
+    // Make Sunday's day number 7
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    // Get first day of year
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    // Calculate full weeks to nearest Thursday
+    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+};
+
+// Monday of the week containing the given date
+export const getMonday = (date) => {
+    const d = parseDate(date);
+    const day = d.getDay();
+    return addDays(d, day === 0 ? -6 : 1 - day);
+};
@@ -0,0 +1,160 @@
+import { parseDate } from './dates';
+
+/*
+  Ready-to-send e-mail drafts with the rider's calendar attached.
+  Messages are built as RFC 5322 text with CRLF line endings: headers outside ASCII are
+  RFC 2047 encoded words, every part is base64, and each message gets its own boundary.
+
+  The message template is stored in config.email:
+    { subject, body }
+  Placeholders: {navn}, {periode}, {antall} (number of shifts) and {vakter} (one line per shift).
+*/
+
+export const DEFAULT_EMAIL = {
+    subject: 'Stallvaktplan {periode} – {navn}',
+    body: 'Hei {navn},\n\nDu har {antall} stallvakter i perioden {periode}:\n{vakter}\n\n' +
+        'Vaktene ligger i vedlagt kalenderfil (.ics), og hele planen i vedlagt oversikt (.html).'
+};
+
+// Fills in anything missing from older saves
+export const resolveEmail = (email) => ({ ...DEFAULT_EMAIL, ...(email || {}) });
+
+export const EMAIL_PLACEHOLDERS = ['navn', 'periode', 'antall', 'vakter'];
+
+// Unknown placeholders are left as written, so a typo shows up in the draft
+export const fillTemplate = (template, values) =>
+    template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+
+const WEEKDAY_SHORT = ['søn', 'man', 'tir', 'ons', 'tor', 'fre', 'lør'];
+
+// "2023-10-02" -> "02.10.2023"
+const toDisplayDate = (dateStr) => dateStr.split('-').reverse().join('.');
+
+export const formatPeriod = ({ startDate, endDate }) => `${toDisplayDate(startDate)}–${toDisplayDate(endDate)}`;
+
+// "man 02.10.2023", with the slot name and times when the plan has several slots a day
+export const formatShiftLine = ({ date, slotId }, shifts) => {
+    const line = `${WEEKDAY_SHORT[parseDate(date).getDay()]} ${toDisplayDate(date)}`;
+    const shift = shifts.find(s => s.id === slotId);
+    return shifts.length > 1 && shift ? `${line}, ${shift.name} ${shift.start}–${shift.end}` : line;
+};
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+export const isValidEmail = (email) => EMAIL_PATTERN.test((email || '').trim());
+
+/*
+  Riders who can get a message, and those who cannot:
+    { ready: [rider], missing: [{ rider, reason: 'missing' | 'invalid' }] }
+*/
+export const splitByEmail = (riders) => riders.reduce((acc, rider) => {
+    const email = (rider.email || '').trim();
+    if (isValidEmail(email)) acc.ready.push(rider);
+    else acc.missing.push({ rider, reason: email ? 'invalid' : 'missing' });
+    return acc;
+}, { ready: [], missing: [] });
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+};
+
+// Base64 of the UTF-8 text, in lines of 76 characters (RFC 2045)
+export const toBase64 = (text) => bytesToBase64(utf8(text)).replace(/.{76}(?=.)/g, '$&\r\n');
+
+/*
+  A header value as RFC 2047 encoded words when it is not plain ASCII. Each word stays within
+  75 characters and never splits a character, so mail clients can decode them one by one.
+*/
+export const encodeHeader = (text) => {
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+    const words = [];
+    let chunk = '';
+    for (const char of text) {
+        // 45 bytes of text become 60 characters of base64, plus 12 for =?UTF-8?B??=
+        if (utf8(chunk + char).length > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    if (chunk) words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${bytesToBase64(utf8(word))}?=`).join('\r\n ');
+};
+
+// "Name <address>", with the name encoded when needed and quoted when it has specials
+export const formatAddress = ({ name, email }) => {
+    if (!name) return `<${email}>`;
+    const encoded = encodeHeader(name);
+    const display = encoded !== name || !/[()<>@,;:\\".[\]]/.test(name) ? encoded : `"${name.replace(/(["\\])/g, '\\$1')}"`;
+    return `${display} <${email}>`;
+};
+
+// Boundaries start with "=_", which can never occur inside base64 content
+export const createBoundary = (random = Math.random) =>
+    `=_stallvakt_${Date.now().toString(36)}_${Math.floor(random() * 0x100000000).toString(36)}`;
+
+/*
+  One message as text:
+    { to: { name, email }, from?: { name, email }, subject, body,
+      attachments: [{ filename, contentType, content }], boundary?, date? }
+*/
+export const buildEml = ({ to, from = null, subject, body, attachments = [], boundary = createBoundary(), date = new Date() }) => {
+    const headers = [
+        'MIME-Version: 1.0',
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        from && `From: ${formatAddress(from)}`,
+        `To: ${formatAddress(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        'X-Unsent: 1',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`
+    ].filter(Boolean);
+
+    const parts = [
+        [
+            'Content-Type: text/plain; charset="utf-8"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            toBase64(body.replace(/\r?\n/g, '\r\n'))
+        ],
+        ...attachments.map(a => [
+            `Content-Type: ${a.contentType}; name="${a.filename}"`,
+            'Content-Transfer-Encoding: base64',
+            `Content-Disposition: attachment; filename="${a.filename}"`,
+            '',
+            toBase64(a.content)
+        ])
+    ];
+
+    return [
+        ...headers,
+        '',
+        ...parts.flatMap(part => [`--${boundary}`, ...part]),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+};
+
+// The filled-in template for one rider; assignments are the rider's { date, slotId } cells
+export const fillRiderTemplate = (template, { rider, assignments, config }) => {
+    const values = {
+        navn: rider.name,
+        periode: formatPeriod(config),
+        antall: assignments.length,
+        vakter: assignments.map(a => `  - ${formatShiftLine(a, config.shifts)}`).join('\n')
+    };
+    return { subject: fillTemplate(template.subject, values), body: fillTemplate(template.body, values) };
+};
+
+/*
+  Several messages in one mbox file (mboxrd): each starts with a "From " line, and body lines
+  that already start with "From " (after any ">") get one more ">".
+*/
+export const buildMbox = (messages, date = new Date()) => messages.map(message => {
+    const lines = message.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n')
+        .map(line => (/^>*From /.test(line) ? `>${line}` : line));
+    return [`From stallvakt@localhost ${date.toUTCString()}`, ...lines, ''].join('\n');
+}).join('\n');
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_EMAIL, resolveEmail, fillTemplate, fillRiderTemplate, formatPeriod, formatShiftLine, isValidEmail,
+    splitByEmail, toBase64, encodeHeader, formatAddress, createBoundary, buildEml, buildMbox
+} from './email';
+
+const decoder = new TextDecoder();
+
+// Decodes one RFC 2047 encoded word the way a mail client does
+const decodeWord = (word) => {
+    const [, base64] = word.match(/^=\?UTF-8\?B\?(.*)\?=$/);
+    return decoder.decode(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+};
+
+const fromBase64 = (text) => decoder.decode(Uint8Array.from(atob(text.replace(/\r\n/g, '')), c => c.charCodeAt(0)));
+
+const SHIFTS = [
+    { id: 'morning', name: 'Morgen', start: '07:00', end: '09:00' },
+    { id: 'evening', name: 'Kveld', start: '18:00', end: '20:00' }
+];
+
+describe('templates', () => {
+    it('fills in placeholders and leaves unknown ones as written', () => {
+        expect(fillTemplate('Hei {navn}, {ukjent}', { navn: 'Åse' })).toBe('Hei Åse, {ukjent}');
+    });
+
+    it('keeps saved texts and adds missing ones', () => {
+        expect(resolveEmail(undefined)).toEqual(DEFAULT_EMAIL);
+        expect(resolveEmail({ subject: 'Vakter' })).toEqual({ ...DEFAULT_EMAIL, subject: 'Vakter' });
+    });
+
+    it('lists the rider shifts with slot names when there are several slots', () => {
+        expect(formatShiftLine({ date: '2023-10-02', slotId: 'evening' }, SHIFTS)).toBe('man 02.10.2023, Kveld 18:00–20:00');
+        expect(formatShiftLine({ date: '2023-10-07', slotId: 'day' }, [{ id: 'day', name: 'Dag' }])).toBe('lør 07.10.2023');
+    });
+
+    it('fills the default template for a rider', () => {
+        const config = { startDate: '2023-10-01', endDate: '2023-10-31', shifts: SHIFTS };
+        const assignments = [{ date: '2023-10-02', slotId: 'morning' }, { date: '2023-10-05', slotId: 'evening' }];
+        const { subject, body } = fillRiderTemplate(DEFAULT_EMAIL, { rider: { name: 'Øystein' }, assignments, config });
+
+        expect(subject).toBe('Stallvaktplan 01.10.2023–31.10.2023 – Øystein');
+        expect(formatPeriod(config)).toBe('01.10.2023–31.10.2023');
+        expect(body).toContain('Hei Øystein,');
+        expect(body).toContain('Du har 2 stallvakter');
+        expect(body).toContain('  - man 02.10.2023, Morgen 07:00–09:00\n  - tor 05.10.2023, Kveld 18:00–20:00');
+    });
+});
+
+describe('addresses', () => {
+    it('accepts plain addresses only', () => {
+        expect(isValidEmail(' kari@stall.no ')).toBe(true);
+        expect(isValidEmail('kari@stall')).toBe(false);
+        expect(isValidEmail('')).toBe(false);
+        expect(isValidEmail(undefined)).toBe(false);
+    });
+
+    it('reports riders without a usable address', () => {
+        const riders = [
+            { id: 1, name: 'Kari', email: 'kari@stall.no' },
+            { id: 2, name: 'Ola' },
+            { id: 3, name: 'Per', email: 'per(at)stall.no' }
+        ];
+        const { ready, missing } = splitByEmail(riders);
+        expect(ready.map(r => r.id)).toEqual([1]);
+        expect(missing.map(m => [m.rider.id, m.reason])).toEqual([[2, 'missing'], [3, 'invalid']]);
+    });
+
+    it('encodes and quotes display names', () => {
+        expect(formatAddress({ name: 'Kari Nordmann', email: 'kari@stall.no' })).toBe('Kari Nordmann <kari@stall.no>');
+        expect(formatAddress({ name: 'Nordmann, Kari', email: 'kari@stall.no' })).toBe('"Nordmann, Kari" <kari@stall.no>');
+        expect(formatAddress({ name: '', email: 'kari@stall.no' })).toBe('<kari@stall.no>');
+        const encoded = formatAddress({ name: 'Bjørn', email: 'bjorn@stall.no' });
+        expect(decodeWord(encoded.replace(' <bjorn@stall.no>', ''))).toBe('Bjørn');
+    });
+});
+
+describe('encodeHeader', () => {
+    it('leaves plain ASCII alone', () => {
+        expect(encodeHeader('Stallvaktplan - Kari')).toBe('Stallvaktplan - Kari');
+    });
+
+    it('encodes Norwegian characters as UTF-8 words', () => {
+        const encoded = encodeHeader('Stallvaktplan – Åse Bø');
+        expect(encoded).toMatch(/^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+        expect(decodeWord(encoded)).toBe('Stallvaktplan – Åse Bø');
+    });
+
+    it('splits long values into short words without breaking characters', () => {
+        const text = 'Ærlig talt, æøå '.repeat(8);
+        const words = encodeHeader(text).split('\r\n ');
+        expect(words.length).toBeGreaterThan(1);
+        words.forEach(word => expect(word.length).toBeLessThanOrEqual(75));
+        expect(words.map(decodeWord).join('')).toBe(text);
+    });
+});
+
+describe('buildEml', () => {
+    const message = (overrides = {}) => buildEml({
+        to: { name: 'Åse', email: 'ase@stall.no' },
+        from: { name: 'Stallen', email: 'stall@stall.no' },
+        subject: 'Vakter for Åse',
+        body: 'Hei Åse,\nHer er vaktene.',
+        attachments: [{ filename: 'stallvakt.ics', contentType: 'text/calendar; charset="utf-8"; method=PUBLISH', content: 'BEGIN:VCALENDAR' }],
+        boundary: '=_test',
+        date: new Date(Date.UTC(2023, 9, 2, 8, 30)),
+        ...overrides
+    });
+
+    it('fills in the headers', () => {
+        const headers = message().split('\r\n\r\n')[0].split('\r\n');
+        expect(headers).toContain('Date: Mon, 02 Oct 2023 08:30:00 +0000');
+        expect(headers).toContain('From: Stallen <stall@stall.no>');
+        expect(headers.find(h => h.startsWith('To: '))).toMatch(/^To: =\?UTF-8\?B\?.+\?= <ase@stall\.no>$/);
+        expect(decodeWord(headers.find(h => h.startsWith('Subject: ')).slice(9))).toBe('Vakter for Åse');
+        expect(headers).toContain('Content-Type: multipart/mixed; boundary="=_test"');
+    });
+
+    it('uses CRLF line endings throughout', () => {
+        expect(message()).not.toMatch(/[^\r]\n/);
+    });
+
+    it('encodes the body and attachments as base64', () => {
+        const parts = message().split('--=_test');
+        expect(parts).toHaveLength(4);
+        expect(parts[3]).toBe('--\r\n');
+        expect(fromBase64(parts[1].split('\r\n\r\n')[1])).toBe('Hei Åse,\r\nHer er vaktene.');
+        expect(parts[2]).toContain('Content-Disposition: attachment; filename="stallvakt.ics"');
+        expect(fromBase64(parts[2].split('\r\n\r\n')[1])).toBe('BEGIN:VCALENDAR');
+    });
+
+    it('keeps base64 lines within 76 characters', () => {
+        toBase64('æøå'.repeat(100)).split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(76));
+    });
+
+    it('leaves From out when there is no sender', () => {
+        expect(message({ from: null })).not.toContain('From:');
+    });
+
+    it('gives every message its own boundary', () => {
+        const values = [0.1, 0.2];
+        const first = createBoundary(() => values[0]);
+        const second = createBoundary(() => values[1]);
+        expect(first).not.toBe(second);
+        expect(first.startsWith('=_')).toBe(true);
+    });
+});
+
+describe('buildMbox', () => {
+    it('puts a From line before each message and escapes From lines inside', () => {
+        const date = new Date(Date.UTC(2023, 9, 2));
+        const mbox = buildMbox(['Subject: A\r\n\r\nFrom here\r\n>From there\r\n', 'Subject: B\r\n\r\nHei\r\n'], date);
+        const lines = mbox.split('\n');
+
+        expect(lines.filter(line => line.startsWith('From '))).toHaveLength(2);
+        expect(lines[0]).toBe(`From stallvakt@localhost ${date.toUTCString()}`);
+        expect(lines).toContain('>From here');
+        expect(lines).toContain('>>From there');
+        expect(mbox).not.toContain('\r');
+    });
+});
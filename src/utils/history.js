@@ -0,0 +1,46 @@
+import { parseDate, formatDate } from './dates';
+import { computeStats, createStats, addStats } from './scheduler';
+
+/*
+  Finished periods, saved so fairness carries over from one period to the next.
+  Each entry keeps only the counts, per rider:
+    { startDate, endDate, savedAt, stats: { [riderId]: { total, anchors, holidays, weekends, slots } } }
+  config.carryOverMonths picks how far back the counts reach (0 turns it off).
+*/
+
+export const DEFAULT_CARRY_OVER_MONTHS = 6;
+
+export const summarizePeriod = (schedule, riders, config, savedAt = new Date().toISOString()) => {
+    const stats = computeStats(schedule, riders, config);
+    return {
+        startDate: config.startDate,
+        endDate: config.endDate,
+        savedAt,
+        stats: Object.keys(stats).reduce((acc, riderId) => {
+            const { total, anchors, holidays, weekends, slots } = stats[riderId];
+            acc[riderId] = { total, anchors, holidays, weekends, slots };
+            return acc;
+        }, {})
+    };
+};
+
+// Saving the same period again replaces the earlier entry
+export const addPeriod = (history, period) => [
+    ...history.filter(p => p.startDate !== period.startDate || p.endDate !== period.endDate),
+    period
+].sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+// Periods that ended before `beforeDate` and within `months` of it
+export const getHistoryWindow = (history, beforeDate, months) => {
+    if (!months || months <= 0) return [];
+    const windowStart = parseDate(beforeDate);
+    windowStart.setMonth(windowStart.getMonth() - months);
+    const from = formatDate(windowStart);
+    return history.filter(p => p.endDate < beforeDate && p.endDate >= from);
+};
+
+// Summed counts of the given periods, for the riders that still exist
+export const sumPeriods = (periods, riders, shifts) => periods.reduce(
+    (acc, period) => addStats(acc, period.stats),
+    createStats(riders, shifts)
+);
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { summarizePeriod, addPeriod, getHistoryWindow, sumPeriods } from './history';
+
+const riders = [1, 2].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+const shifts = [{ id: 'vakt', name: 'Vakt' }];
+const config = { startDate: '2023-10-01', endDate: '2023-10-31', shifts, holidays: { norwegian: false } };
+
+const period = (startDate, endDate, total) => ({
+    startDate,
+    endDate,
+    savedAt: '2023-11-01T00:00:00.000Z',
+    stats: { 1: { total, anchors: 1, holidays: 0, weekends: 2, slots: { vakt: { total, anchors: 1 } } } }
+});
+
+describe('summarizePeriod', () => {
+    it('keeps the counts per rider', () => {
+        const schedule = { '2023-10-07': { vakt: 1 }, '2023-10-09': { vakt: 2 } };
+        const summary = summarizePeriod(schedule, riders, config, 'now');
+        expect(summary).toMatchObject({ startDate: '2023-10-01', endDate: '2023-10-31', savedAt: 'now' });
+        expect(summary.stats[1]).toEqual({ total: 1, anchors: 1, holidays: 0, weekends: 1, slots: { vakt: { total: 1, anchors: 1 } } });
+        expect(summary.stats[2].weekends).toBe(0);
+    });
+});
+
+describe('addPeriod', () => {
+    it('replaces a period saved again and keeps the list sorted', () => {
+        let history = addPeriod([], period('2023-10-01', '2023-10-31', 5));
+        history = addPeriod(history, period('2023-09-01', '2023-09-30', 4));
+        history = addPeriod(history, period('2023-10-01', '2023-10-31', 6));
+        expect(history.map(p => [p.startDate, p.stats[1].total])).toEqual([['2023-09-01', 4], ['2023-10-01', 6]]);
+    });
+});
+
+describe('getHistoryWindow', () => {
+    const history = [
+        period('2023-03-01', '2023-03-31', 1),
+        period('2023-08-01', '2023-08-31', 2),
+        period('2023-09-01', '2023-09-30', 3),
+        period('2023-10-01', '2023-10-31', 4)
+    ];
+
+    it('takes periods that ended within the window before the start date', () => {
+        expect(getHistoryWindow(history, '2023-10-01', 6).map(p => p.startDate)).toEqual(['2023-08-01', '2023-09-01']);
+    });
+
+    it('is empty when turned off', () => {
+        expect(getHistoryWindow(history, '2023-10-01', 0)).toEqual([]);
+    });
+});
+
+describe('sumPeriods', () => {
+    it('adds up counts for existing riders and slots', () => {
+        const sum = sumPeriods([period('2023-08-01', '2023-08-31', 2), period('2023-09-01', '2023-09-30', 3)], riders, shifts);
+        expect(sum[1]).toMatchObject({ total: 5, anchors: 2, weekends: 4, slots: { vakt: { total: 5, anchors: 2 } } });
+        expect(sum[2].total).toBe(0);
+    });
+});
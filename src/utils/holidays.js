@@ -0,0 +1,97 @@
+import { generateDates, formatDate, addDays } from './dates';
+
+/*
+  Norwegian public holidays plus the stable's own custom days.
+  Stored in config.holidays:
+    { norwegian: true, customDays: [{ date: "2023-12-24", name: "Julaften", type: "special" }] }
+
+  Day types:
+    'holiday' - public holiday, scheduled in the anchor pass with its own fairness counter
+    'special' - custom day treated like a holiday
+    'closed'  - the stable needs no shifts that day
+*/
+
+export const DEFAULT_HOLIDAYS = {
+    norwegian: true,
+    customDays: []
+};
+
+export const resolveHolidays = (holidays) => ({
+    ...DEFAULT_HOLIDAYS,
+    ...(holidays || {}),
+    customDays: holidays?.customDays || []
+});
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+export const getEasterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+};
+
+export const getNorwegianHolidays = (year) => {
+    const easter = getEasterSunday(year);
+    const fromEaster = (offset, name) => ({ date: formatDate(addDays(easter, offset)), name });
+    const fixed = (month, day, name) => ({ date: formatDate(new Date(year, month - 1, day)), name });
+
+    return [
+        fixed(1, 1, 'Første nyttårsdag'),
+        fromEaster(-3, 'Skjærtorsdag'),
+        fromEaster(-2, 'Langfredag'),
+        fromEaster(0, 'Første påskedag'),
+        fromEaster(1, 'Andre påskedag'),
+        fixed(5, 1, 'Arbeidernes dag'),
+        fixed(5, 17, 'Grunnlovsdag'),
+        fromEaster(39, 'Kristi himmelfartsdag'),
+        fromEaster(49, 'Første pinsedag'),
+        fromEaster(50, 'Andre pinsedag'),
+        fixed(12, 25, 'Første juledag'),
+        fixed(12, 26, 'Andre juledag')
+    ].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/*
+  All special days inside the configured range, keyed by date:
+    { "2023-12-25": { name: "Første juledag", type: "holiday" } }
+  Custom days win over public holidays on the same date.
+*/
+export const getSpecialDays = (config) => {
+    const holidays = resolveHolidays(config.holidays);
+    const dates = generateDates(config.startDate, config.endDate).map(formatDate);
+    if (dates.length === 0) return {};
+    const inRange = new Set(dates);
+    const result = {};
+
+    if (holidays.norwegian) {
+        const firstYear = Number(dates[0].slice(0, 4));
+        const lastYear = Number(dates[dates.length - 1].slice(0, 4));
+        for (let year = firstYear; year <= lastYear; year++) {
+            getNorwegianHolidays(year).forEach(h => {
+                if (inRange.has(h.date)) result[h.date] = { name: h.name, type: 'holiday' };
+            });
+        }
+    }
+
+    holidays.customDays.forEach(day => {
+        if (inRange.has(day.date)) result[day.date] = { name: day.name, type: day.type };
+    });
+
+    return result;
+};
+
+export const isHolidayType = (specialDay) =>
+    Boolean(specialDay) && (specialDay.type === 'holiday' || specialDay.type === 'special');
+
+export const isClosedType = (specialDay) => specialDay?.type === 'closed';
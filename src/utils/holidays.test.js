@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { getEasterSunday, getNorwegianHolidays, getSpecialDays, resolveHolidays } from './holidays';
+import { formatDate } from './dates';
+
+describe('getEasterSunday', () => {
+    it.each([
+        [2023, '2023-04-09'],
+        [2024, '2024-03-31'],
+        [2025, '2025-04-20'],
+        [2026, '2026-04-05'],
+        [2038, '2038-04-25']
+    ])('computes Easter Sunday %i', (year, expected) => {
+        expect(formatDate(getEasterSunday(year))).toBe(expected);
+    });
+});
+
+describe('getNorwegianHolidays', () => {
+    it('includes the movable feasts derived from Easter', () => {
+        const holidays = getNorwegianHolidays(2024);
+        const byName = Object.fromEntries(holidays.map(h => [h.name, h.date]));
+        expect(byName['Skjærtorsdag']).toBe('2024-03-28');
+        expect(byName['Langfredag']).toBe('2024-03-29');
+        expect(byName['Andre påskedag']).toBe('2024-04-01');
+        expect(byName['Kristi himmelfartsdag']).toBe('2024-05-09');
+        expect(byName['Første pinsedag']).toBe('2024-05-19');
+        expect(byName['Andre pinsedag']).toBe('2024-05-20');
+    });
+
+    it('includes the fixed holidays', () => {
+        const dates = getNorwegianHolidays(2024).map(h => h.date);
+        expect(dates).toEqual(expect.arrayContaining(['2024-01-01', '2024-05-01', '2024-05-17', '2024-12-25', '2024-12-26']));
+        expect(dates).toHaveLength(12);
+    });
+});
+
+describe('getSpecialDays', () => {
+    const config = { startDate: '2024-05-01', endDate: '2024-05-31' };
+
+    it('returns public holidays inside the range', () => {
+        const days = getSpecialDays(config);
+        expect(days['2024-05-17']).toEqual({ name: 'Grunnlovsdag', type: 'holiday' });
+        expect(days['2024-12-25']).toBeUndefined();
+    });
+
+    it('can turn public holidays off', () => {
+        expect(getSpecialDays({ ...config, holidays: { norwegian: false } })).toEqual({});
+    });
+
+    it('adds custom days and lets them override public holidays', () => {
+        const days = getSpecialDays({
+            ...config,
+            holidays: {
+                norwegian: true,
+                customDays: [
+                    { date: '2024-05-17', name: 'Stevne', type: 'closed' },
+                    { date: '2024-05-25', name: 'Dugnad', type: 'special' },
+                    { date: '2024-06-01', name: 'Utenfor', type: 'special' }
+                ]
+            }
+        });
+        expect(days['2024-05-17']).toEqual({ name: 'Stevne', type: 'closed' });
+        expect(days['2024-05-25']).toEqual({ name: 'Dugnad', type: 'special' });
+        expect(days['2024-06-01']).toBeUndefined();
+    });
+
+    it('covers ranges spanning a new year', () => {
+        const days = getSpecialDays({ startDate: '2024-12-20', endDate: '2025-01-05' });
+        expect(Object.keys(days)).toEqual(['2024-12-25', '2024-12-26', '2025-01-01']);
+    });
+});
+
+describe('resolveHolidays', () => {
+    it('defaults to Norwegian holidays without custom days', () => {
+        expect(resolveHolidays(undefined)).toEqual({ norwegian: true, customDays: [] });
+    });
+});
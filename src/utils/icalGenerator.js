@@ -1,3 +1,4 @@
+import { parseDate, formatDate, addDays } from './dates';
 
 // Helper to escape text characters
 const escapeText = (text) => {
@@ -33,53 +34,165 @@ const foldLine = (line) => {
     return result;
 };
 
-export const generateICalContent = (events) => {
+/*
+  Calendar settings, stored in config.calendar:
+    { allDay, location, organizerName, organizerEmail, reminders: [reminder] }
+  With allDay off, events run from the shift's start to end time in Europe/Oslo.
+  A reminder is either { type: 'eveningBefore', time: '20:00' } or { type: 'before', minutes: 60 }.
+*/
+
+export const REMINDER_TYPES = ['eveningBefore', 'before'];
+
+export const DEFAULT_CALENDAR = {
+    allDay: true,
+    location: '',
+    organizerName: '',
+    organizerEmail: '',
+    reminders: []
+};
+
+// Fills in anything missing from older saves
+export const resolveCalendar = (calendar) => ({
+    ...DEFAULT_CALENDAR,
+    ...(calendar || {}),
+    reminders: calendar?.reminders || []
+});
+
+export const TIMEZONE = 'Europe/Oslo';
+
+// CET/CEST with the EU rules: summer time from the last Sunday in March to the last Sunday in October
+const VTIMEZONE_LINES = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    `X-LIC-LOCATION:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19700329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19701025T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const compactDate = (dateStr) => dateStr.replace(/-/g, '');
+
+const compactTime = (time) => `${time.replace(':', '')}00`;
+
+// Minutes before the event start the reminder should go off
+export const getReminderOffset = (reminder, startTime = '00:00') => {
+    if (reminder.type === 'eveningBefore') return toMinutes(startTime) + 24 * 60 - toMinutes(reminder.time || '20:00');
+    return Math.max(0, Math.round(Number(reminder.minutes) || 0));
+};
+
+// RFC 5545 duration before the start, e.g. -PT4H or -PT1H30M
+const formatTrigger = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (minutes === 0) return 'PT0M';
+    return `-PT${hours > 0 ? `${hours}H` : ''}${rest > 0 ? `${rest}M` : ''}`;
+};
+
+// Double quotes are not allowed inside a quoted parameter value
+const quoteParam = (value) => `"${value.replace(/"/g, "'")}"`;
+
+/*
+  Builds a calendar from events:
+    { date, slotId?, riderId, eventName, description, start?, end?, sequence?, cancelled?, uid? }
+  UIDs are stable per date, slot and rider, so a calendar that already has the event updates it
+  when the SEQUENCE is higher. Cancelled events carry STATUS:CANCELLED; with method 'CANCEL' the
+  whole file is a cancellation. RFC 5546 requires an ORGANIZER on CANCEL, so without an organizer
+  e-mail the file is sent as PUBLISH with every event cancelled instead.
+  Events without start and end times are always all-day.
+*/
+export const ICAL_METHODS = ['PUBLISH', 'CANCEL'];
+
+export const generateICalContent = (events, { method = 'PUBLISH', calendar = DEFAULT_CALENDAR, name = null } = {}) => {
     const timestamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    const settings = resolveCalendar(calendar);
+    const isTimed = (event) => !settings.allDay && Boolean(event.start && event.end);
+    const cancelAll = method === 'CANCEL';
+    const fileMethod = cancelAll && !settings.organizerEmail ? 'PUBLISH' : method;
 
-    let content = [
+    const lines = [
         'BEGIN:VCALENDAR',
         'VERSION:2.0',
         'PRODID:-//Stable Scheduler//EN',
         'CALSCALE:GREGORIAN',
-        'METHOD:PUBLISH'
-    ].join('\r\n'); // Use CRLF explicitly for join? Or just one big string with \r\n everywhere.
-    // Actually, let's build an array of lines and join them later.
-
-    // Wait, I should implement the content logic first.
+        `METHOD:${fileMethod}`
+    ];
+    // Shown as the calendar's name when subscribed to
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    if (events.some(isTimed)) lines.push(...VTIMEZONE_LINES);
 
     events.forEach(event => {
-        // DTSTART
-        const startDate = event.date.replace(/-/g, '');
-
-        // DTEND (Next day for all-day events)
-        const d = new Date(event.date);
-        d.setDate(d.getDate() + 1);
-        const year = d.getFullYear();
-        const month = String(d.getMonth() + 1).padStart(2, '0');
-        const day = String(d.getDate()).padStart(2, '0');
-        const endDate = `${year}${month}${day}`;
-
-        // UID
-        const uid = `${event.date}-${event.riderId}@stablescheduler`;
-
-        const description = escapeText(event.description);
+        const timed = isTimed(event);
+        const next = formatDate(addDays(parseDate(event.date), 1));
+
+        // All-day events end on the next day; a timed shift ending at or before its start ends the next day
+        const period = timed
+            ? [
+                `DTSTART;TZID=${TIMEZONE}:${compactDate(event.date)}T${compactTime(event.start)}`,
+                `DTEND;TZID=${TIMEZONE}:${compactDate(toMinutes(event.end) > toMinutes(event.start) ? event.date : next)}T${compactTime(event.end)}`
+            ]
+            : [
+                `DTSTART;VALUE=DATE:${compactDate(event.date)}`,
+                `DTEND;VALUE=DATE:${compactDate(next)}`
+            ];
+
+        // UID (the slot keeps morning and evening shifts on the same day apart); event.uid overrides it
+        const uid = event.uid || (event.slotId
+            ? `${event.date}-${event.slotId}-${event.riderId}@stablescheduler`
+            : `${event.date}-${event.riderId}@stablescheduler`);
+
+        const cancelled = event.cancelled || cancelAll;
+        const summary = escapeText(event.eventName);
 
         const eventLines = [
             'BEGIN:VEVENT',
-            `DTSTART;VALUE=DATE:${startDate}`,
-            `DTEND;VALUE=DATE:${endDate}`,
+            ...period,
             `DTSTAMP:${timestamp}`,
             `UID:${uid}`,
-            `SUMMARY:${escapeText(event.eventName)}`,
-            `DESCRIPTION:${description}`,
-            'STATUS:CONFIRMED',
-            'END:VEVENT'
+            `SEQUENCE:${event.sequence ?? 0}`,
+            `SUMMARY:${summary}`,
+            `DESCRIPTION:${escapeText(event.description)}`
         ];
-
-        // Add to content with proper folding
-        content += '\r\n' + eventLines.map(foldLine).join('\r\n');
+        if (settings.location) eventLines.push(`LOCATION:${escapeText(settings.location)}`);
+        if (settings.organizerEmail) {
+            const name = settings.organizerName ? `;CN=${quoteParam(settings.organizerName)}` : '';
+            eventLines.push(`ORGANIZER${name}:mailto:${settings.organizerEmail}`);
+        }
+        eventLines.push(cancelled ? 'STATUS:CANCELLED' : 'STATUS:CONFIRMED');
+
+        // No reminders for shifts that are called off
+        if (!cancelled) {
+            settings.reminders.forEach(reminder => {
+                eventLines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${summary}`,
+                    `TRIGGER:${formatTrigger(getReminderOffset(reminder, timed ? event.start : '00:00'))}`,
+                    'END:VALARM'
+                );
+            });
+        }
+        eventLines.push('END:VEVENT');
+
+        lines.push(...eventLines);
     });
 
-    content += '\r\nEND:VCALENDAR';
-    return content;
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n');
 };
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { generateICalContent } from './icalGenerator';
+import { generateICalContent, getReminderOffset } from './icalGenerator';
 
 describe('generateICalContent', () => {
     const mockEvents = [
@@ -49,6 +49,15 @@ describe('generateICalContent', () => {
         expect(ical).toMatch(/UID:.*@stablescheduler/);
     });
 
+    it('keeps UIDs distinct for different shift slots on the same day', () => {
+        const ical = generateICalContent([
+            { ...mockEvents[0], slotId: 'morgen' },
+            { ...mockEvents[0], slotId: 'kveld' }
+        ]);
+        expect(ical).toContain('UID:2023-10-01-morgen-1@stablescheduler');
+        expect(ical).toContain('UID:2023-10-01-kveld-1@stablescheduler');
+    });
+
     it('includes a valid DTSTAMP', () => {
         const ical = generateICalContent([mockEvents[0]]);
         // Matches YYYYMMDDTHHMMSSZ
@@ -76,6 +85,50 @@ describe('generateICalContent', () => {
         expect(longLines).toHaveLength(0);
     });
 
+    it('publishes confirmed events with sequence 0 by default', () => {
+        const ical = generateICalContent([mockEvents[0]]);
+        expect(ical).toContain('METHOD:PUBLISH');
+        expect(ical).toContain('SEQUENCE:0');
+        expect(ical).toContain('STATUS:CONFIRMED');
+    });
+
+    it('carries the event sequence and marks cancelled events', () => {
+        const ical = generateICalContent([
+            { ...mockEvents[0], sequence: 2 },
+            { ...mockEvents[1], sequence: 2, cancelled: true }
+        ]);
+        expect(ical.match(/SEQUENCE:2/g)).toHaveLength(2);
+        expect(ical.match(/STATUS:CONFIRMED/g)).toHaveLength(1);
+        expect(ical.match(/STATUS:CANCELLED/g)).toHaveLength(1);
+    });
+
+    it('cancels every event with METHOD:CANCEL', () => {
+        const calendar = { organizerName: 'Stallen', organizerEmail: 'stall@example.com' };
+        const ical = generateICalContent(mockEvents, { method: 'CANCEL', calendar });
+        expect(ical).toContain('METHOD:CANCEL');
+        expect(ical).toContain('ORGANIZER;CN="Stallen":mailto:stall@example.com');
+        expect(ical).not.toContain('STATUS:CONFIRMED');
+        expect(ical.match(/STATUS:CANCELLED/g)).toHaveLength(2);
+    });
+
+    it('falls back to PUBLISH with cancelled events when there is no organizer', () => {
+        const ical = generateICalContent(mockEvents, { method: 'CANCEL' });
+        expect(ical).toContain('METHOD:PUBLISH');
+        expect(ical).not.toContain('METHOD:CANCEL');
+        expect(ical).not.toContain('STATUS:CONFIRMED');
+        expect(ical.match(/STATUS:CANCELLED/g)).toHaveLength(2);
+    });
+
+    it('uses the event uid when given', () => {
+        const ical = generateICalContent([{ ...mockEvents[0], uid: '2023-10-01-vakt@stablescheduler' }]);
+        expect(ical).toContain('UID:2023-10-01-vakt@stablescheduler');
+    });
+
+    it('names the calendar for subscribers', () => {
+        expect(generateICalContent([], { name: 'Stallvakt, alle' })).toContain('X-WR-CALNAME:Stallvakt\\, alle');
+        expect(generateICalContent([])).not.toContain('X-WR-CALNAME');
+    });
+
     it('handles empty events list', () => {
         const ical = generateICalContent([]);
         expect(ical).toContain('BEGIN:VCALENDAR');
@@ -83,3 +136,86 @@ describe('generateICalContent', () => {
         expect(ical).not.toContain('BEGIN:VEVENT');
     });
 });
+
+describe('generateICalContent with calendar settings', () => {
+    const shiftEvent = {
+        date: '2023-10-01',
+        slotId: 'morgen',
+        riderId: 1,
+        eventName: 'Stallvakt',
+        description: 'Morgenstell',
+        start: '08:00',
+        end: '10:00'
+    };
+    const timed = { allDay: false };
+
+    it('stays all-day by default, even when the shift has times', () => {
+        const ical = generateICalContent([shiftEvent]);
+        expect(ical).toContain('DTSTART;VALUE=DATE:20231001');
+        expect(ical).not.toContain('BEGIN:VTIMEZONE');
+    });
+
+    it('writes timed events in Europe/Oslo with a VTIMEZONE', () => {
+        const ical = generateICalContent([shiftEvent], { calendar: timed });
+        expect(ical).toContain('DTSTART;TZID=Europe/Oslo:20231001T080000');
+        expect(ical).toContain('DTEND;TZID=Europe/Oslo:20231001T100000');
+        expect(ical).toContain('BEGIN:VTIMEZONE');
+        expect(ical).toContain('TZID:Europe/Oslo');
+        expect(ical).toContain('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU');
+        expect(ical.match(/BEGIN:VTIMEZONE/g)).toHaveLength(1);
+        // The timezone comes before the events that use it
+        expect(ical.indexOf('END:VTIMEZONE')).toBeLessThan(ical.indexOf('BEGIN:VEVENT'));
+    });
+
+    it('ends a shift past midnight on the next day', () => {
+        const ical = generateICalContent([{ ...shiftEvent, start: '22:00', end: '02:00' }], { calendar: timed });
+        expect(ical).toContain('DTEND;TZID=Europe/Oslo:20231002T020000');
+    });
+
+    it('falls back to all-day for events without times', () => {
+        const ical = generateICalContent([{ ...shiftEvent, start: undefined, end: undefined }], { calendar: timed });
+        expect(ical).toContain('DTSTART;VALUE=DATE:20231001');
+        expect(ical).not.toContain('BEGIN:VTIMEZONE');
+    });
+
+    it('adds LOCATION and ORGANIZER', () => {
+        const ical = generateICalContent([shiftEvent], {
+            calendar: { location: 'Stallen, Gårdsvei 1', organizerName: 'Kari Nordmann', organizerEmail: 'kari@example.com' }
+        });
+        expect(ical).toContain('LOCATION:Stallen\\, Gårdsvei 1');
+        expect(ical).toContain('ORGANIZER;CN="Kari Nordmann":mailto:kari@example.com');
+    });
+
+    it('leaves ORGANIZER out without an e-mail address', () => {
+        const ical = generateICalContent([shiftEvent], { calendar: { organizerName: 'Kari' } });
+        expect(ical).not.toContain('ORGANIZER');
+    });
+
+    it('adds a VALARM per reminder', () => {
+        const ical = generateICalContent([shiftEvent], {
+            calendar: { allDay: false, reminders: [{ type: 'eveningBefore', time: '20:00' }, { type: 'before', minutes: 90 }] }
+        });
+        expect(ical.match(/BEGIN:VALARM/g)).toHaveLength(2);
+        expect(ical).toContain('TRIGGER:-PT12H');
+        expect(ical).toContain('TRIGGER:-PT1H30M');
+        expect(ical).toContain('ACTION:DISPLAY');
+    });
+
+    it('leaves reminders off cancelled events', () => {
+        const ical = generateICalContent([{ ...shiftEvent, cancelled: true }], {
+            calendar: { reminders: [{ type: 'before', minutes: 60 }] }
+        });
+        expect(ical).not.toContain('BEGIN:VALARM');
+    });
+});
+
+describe('getReminderOffset', () => {
+    it('counts the evening before from the start of the day for all-day events', () => {
+        expect(getReminderOffset({ type: 'eveningBefore', time: '20:00' })).toBe(240);
+        expect(getReminderOffset({ type: 'eveningBefore', time: '20:00' }, '07:30')).toBe(690);
+    });
+
+    it('uses the minutes as given for a plain reminder', () => {
+        expect(getReminderOffset({ type: 'before', minutes: 15 }, '08:00')).toBe(15);
+    });
+});
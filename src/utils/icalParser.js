@@ -0,0 +1,300 @@
+import { parseDate, formatDate, addDays, getMonday } from './dates';
+
+/*
+  Reads VEVENTs from an .ics file, such as a rider's holidays exported from Google or Outlook,
+  and turns them into the dates they cover:
+    { uid, summary, start: "2023-10-02", days: 3, rrule, exdates: [...] }
+  `days` is how many dates each occurrence touches, so a multi-day holiday blocks every day of it.
+  Times with a TZID or without a zone are read as wall-clock time; UTC times are converted to
+  local time. Cancelled and free (TRANSP:TRANSPARENT) events are skipped.
+*/
+
+// Safety stop for rules with a huge COUNT; open-ended rules skip ahead to the range instead
+const MAX_OCCURRENCES = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Continuation lines start with a space or tab (RFC 5545 folding)
+const unfoldLines = (text) => text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+
+const unescapeText = (text) => text
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// NAME;PARAM=a;PARAM="b:c":value -> { name, params, value }
+const parseProperty = (line) => {
+    let inQuotes = false;
+    let split = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            split = i;
+            break;
+        }
+    }
+    if (split === -1) return null;
+    const [name, ...rawParams] = line.slice(0, split).split(';');
+    const params = rawParams.reduce((acc, param) => {
+        const [key, ...rest] = param.split('=');
+        acc[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        return acc;
+    }, {});
+    return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+};
+
+// DATE or DATE-TIME value -> { date: "YYYY-MM-DD", time: minutes after midnight or null }
+const parseDateValue = (value, params = {}) => {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (params.VALUE === 'DATE' || hours === undefined) return { date: `${year}-${month}-${day}`, time: null };
+    if (utc) {
+        const local = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +(seconds || 0)));
+        return { date: formatDate(local), time: local.getHours() * 60 + local.getMinutes() };
+    }
+    return { date: `${year}-${month}-${day}`, time: Number(hours) * 60 + Number(minutes) };
+};
+
+// P1W, P2D, PT1H30M, P1DT12H -> minutes
+const parseDuration = (value) => {
+    const match = value.trim().match(/^[+-]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, weeks, days, hours, minutes] = match.map(n => Number(n) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+};
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+
+// FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4 -> { FREQ: 'WEEKLY', BYDAY: 'MO,WE', COUNT: '4' }
+const parseRule = (value) => value.split(';').reduce((acc, part) => {
+    const [key, rest] = part.split('=');
+    if (key && rest !== undefined) acc[key.toUpperCase()] = rest.toUpperCase();
+    return acc;
+}, {});
+
+// Number of dates the event touches; an end exactly at midnight does not touch that day
+const countDays = (start, end, allDay) => {
+    if (!end) return 1;
+    if (allDay || end.time === null) return Math.max(1, daysBetween(start.date, end.date));
+    const span = daysBetween(start.date, end.date) + (end.time === 0 ? 0 : 1);
+    return Math.max(1, span);
+};
+
+const toEvent = (props) => {
+    const dtstart = props.DTSTART && parseDateValue(props.DTSTART.value, props.DTSTART.params);
+    if (!dtstart) return null;
+    const allDay = dtstart.time === null;
+
+    let end = props.DTEND ? parseDateValue(props.DTEND.value, props.DTEND.params) : null;
+    if (!end && props.DURATION) {
+        const minutes = parseDuration(props.DURATION.value);
+        if (minutes !== null) {
+            const finish = new Date(parseDate(dtstart.date).getTime());
+            finish.setMinutes((dtstart.time || 0) + minutes);
+            end = { date: formatDate(finish), time: allDay ? null : finish.getHours() * 60 + finish.getMinutes() };
+        }
+    }
+
+    return {
+        uid: props.UID?.value || null,
+        summary: props.SUMMARY ? unescapeText(props.SUMMARY.value) : '',
+        start: dtstart.date,
+        days: countDays(dtstart, end, allDay),
+        rrule: props.RRULE ? parseRule(props.RRULE.value) : null,
+        exdates: (props.EXDATE || [])
+            .flatMap(p => p.value.split(',').map(v => parseDateValue(v, p.params)?.date))
+            .filter(Boolean)
+    };
+};
+
+export const parseICalEvents = (text) => {
+    const events = [];
+    let props = null;
+    let nested = 0; // Inside a VALARM or another component within the event
+
+    unfoldLines(text).forEach(line => {
+        const property = parseProperty(line);
+        if (!property) return;
+        const { name, value } = property;
+        const component = value.trim().toUpperCase();
+
+        if (name === 'BEGIN' && component === 'VEVENT') {
+            props = {};
+            nested = 0;
+        } else if (name === 'END' && component === 'VEVENT' && props) {
+            const skipped = props.STATUS?.value.toUpperCase() === 'CANCELLED' ||
+                props.TRANSP?.value.toUpperCase() === 'TRANSPARENT';
+            const event = skipped ? null : toEvent(props);
+            if (event) events.push(event);
+            props = null;
+        } else if (props && name === 'BEGIN') {
+            nested++;
+        } else if (props && name === 'END') {
+            nested--;
+        } else if (props && nested === 0) {
+            // EXDATE may appear several times; everything else keeps its first value
+            if (name === 'EXDATE') props.EXDATE = [...(props.EXDATE || []), property];
+            else if (!props[name]) props[name] = property;
+        }
+    });
+
+    return events;
+};
+
+// BYDAY entries: "MO" or with an ordinal inside a month, "1MO" / "-1FR"
+const parseByDay = (value) => (value ? value.split(',') : []).map(entry => {
+    const match = entry.match(/^([+-]?\d+)?([A-Z]{2})$/);
+    return match ? { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAY_CODES.indexOf(match[2]) } : null;
+}).filter(entry => entry && entry.weekday !== -1);
+
+// Dates in one month matching BYDAY (with ordinals) or BYMONTHDAY, or the start's day of month
+const monthDates = (year, month, rule, startDay) => {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    const all = Array.from({ length: lastDay }, (_, i) => new Date(year, month, i + 1));
+    const byDay = parseByDay(rule.BYDAY);
+    if (byDay.length > 0) {
+        return all.filter(date => byDay.some(({ ordinal, weekday }) => {
+            if (date.getDay() !== weekday) return false;
+            if (ordinal === null) return true;
+            const sameWeekday = all.filter(d => d.getDay() === weekday);
+            const index = ordinal > 0 ? ordinal - 1 : sameWeekday.length + ordinal;
+            return sameWeekday[index]?.getDate() === date.getDate();
+        }));
+    }
+    const monthDays = rule.BYMONTHDAY
+        ? rule.BYMONTHDAY.split(',').map(Number).map(d => (d < 0 ? lastDay + d + 1 : d))
+        : [startDay];
+    return all.filter(date => monthDays.includes(date.getDate()));
+};
+
+const getInterval = (rule) => Math.max(1, Number(rule.INTERVAL) || 1);
+
+/*
+  Whole periods (days, weeks, months or years, by FREQ) from DTSTART to the period holding `from`,
+  rounded down to a multiple of INTERVAL so the rule keeps its rhythm after skipping them.
+*/
+const periodsBefore = (start, rule, from) => {
+    const first = parseDate(start);
+    const target = parseDate(from);
+    let periods = 0;
+    switch (rule.FREQ) {
+        case 'DAILY':
+            periods = Math.round((target - first) / DAY_MS);
+            break;
+        case 'WEEKLY':
+            periods = Math.round((getMonday(target) - getMonday(first)) / (7 * DAY_MS));
+            break;
+        case 'MONTHLY':
+            periods = (target.getFullYear() - first.getFullYear()) * 12 + target.getMonth() - first.getMonth();
+            break;
+        case 'YEARLY':
+            periods = target.getFullYear() - first.getFullYear();
+            break;
+        default:
+            return 0;
+    }
+    const interval = getInterval(rule);
+    return Math.max(0, Math.floor(periods / interval) * interval);
+};
+
+// Candidate dates for each period of the rule from `firstPeriod` on; the caller drops those before DTSTART
+function* periodDates(start, rule, firstPeriod = 0) {
+    const interval = getInterval(rule);
+    const first = parseDate(start);
+
+    for (let period = firstPeriod; ; period += interval) {
+        switch (rule.FREQ) {
+            case 'DAILY':
+                yield [addDays(first, period)];
+                break;
+            case 'WEEKLY': {
+                const monday = addDays(getMonday(first), period * 7);
+                const weekdays = parseByDay(rule.BYDAY).map(d => d.weekday);
+                const days = weekdays.length > 0 ? weekdays : [first.getDay()];
+                // Week order from Monday, so Sunday comes last
+                yield days.map(d => addDays(monday, (d + 6) % 7)).sort((a, b) => a - b);
+                break;
+            }
+            case 'MONTHLY': {
+                const month = new Date(first.getFullYear(), first.getMonth() + period, 1);
+                yield monthDates(month.getFullYear(), month.getMonth(), rule, first.getDate());
+                break;
+            }
+            case 'YEARLY': {
+                const year = first.getFullYear() + period;
+                const months = rule.BYMONTH ? rule.BYMONTH.split(',').map(m => Number(m) - 1) : [first.getMonth()];
+                yield months.sort((a, b) => a - b).flatMap(m => {
+                    const date = new Date(year, m, first.getDate());
+                    return date.getMonth() === m ? [date] : [];
+                });
+                break;
+            }
+            default:
+                return;
+        }
+    }
+}
+
+/*
+  Start dates of every occurrence up to `until` ("YYYY-MM-DD"), honouring COUNT, UNTIL and EXDATE.
+  With `from`, a rule without COUNT jumps straight to the period holding that date, so a rule that
+  started decades ago is not walked through day by day; occurrences before it may be left out.
+  COUNT has to be counted from DTSTART, so those rules are always expanded from the start.
+*/
+export const expandOccurrences = (event, until, from = null) => {
+    if (!event.rrule) return event.exdates.includes(event.start) ? [] : [event.start];
+
+    const rule = event.rrule;
+    const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+    const ruleUntil = rule.UNTIL ? parseDateValue(rule.UNTIL)?.date : null;
+    const last = ruleUntil && ruleUntil < until ? ruleUntil : until;
+    const starts = [];
+    let seen = 0;
+    let steps = 0;
+
+    const firstPeriod = from && !rule.COUNT ? periodsBefore(event.start, rule, from) : 0;
+
+    for (const dates of periodDates(event.start, rule, firstPeriod)) {
+        if (++steps > MAX_OCCURRENCES) break;
+        let done = false;
+        for (const date of dates) {
+            const dateStr = formatDate(date);
+            if (dateStr < event.start) continue;
+            if (dateStr > last || seen >= count) {
+                done = true;
+                break;
+            }
+            seen++;
+            if (!event.exdates.includes(dateStr)) starts.push(dateStr);
+        }
+        if (done) break;
+    }
+    return starts;
+};
+
+/*
+  Dates in the range covered by any event in the file, for the import preview:
+    [{ date: "2023-10-02", summaries: ["Ferie"] }]
+*/
+export const getICalDates = (text, startDate, endDate) => {
+    const byDate = {};
+    parseICalEvents(text).forEach(event => {
+        // Occurrences that start up to `days - 1` before the range still reach into it
+        const from = formatDate(addDays(parseDate(startDate), 1 - event.days));
+        expandOccurrences(event, endDate, from).forEach(start => {
+            for (let i = 0; i < event.days; i++) {
+                const date = formatDate(addDays(parseDate(start), i));
+                if (date < startDate || date > endDate) continue;
+                if (!byDate[date]) byDate[date] = [];
+                if (event.summary && !byDate[date].includes(event.summary)) byDate[date].push(event.summary);
+            }
+        });
+    });
+    return Object.keys(byDate).sort().map(date => ({ date, summaries: byDate[date] }));
+};
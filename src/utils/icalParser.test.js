@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { parseICalEvents, expandOccurrences, getICalDates } from './icalParser';
+
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('parseICalEvents', () => {
+    it('reads an all-day event with an exclusive end', () => {
+        const [event] = parseICalEvents(calendar([
+            'UID:ferie-1', 'SUMMARY:Høstferie', 'DTSTART;VALUE=DATE:20231009', 'DTEND;VALUE=DATE:20231012'
+        ]));
+        expect(event).toMatchObject({ uid: 'ferie-1', summary: 'Høstferie', start: '2023-10-09', days: 3 });
+    });
+
+    it('ignores an END:VEVENT without a matching BEGIN', () => {
+        const text = ['BEGIN:VCALENDAR', 'END:VEVENT', 'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20231009', 'END:VEVENT', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+        expect(parseICalEvents(text).map(e => e.start)).toEqual(['2023-10-09']);
+    });
+
+    it('reads timed events, including ones past midnight', () => {
+        const [short, overnight] = parseICalEvents(calendar(
+            ['DTSTART;TZID=Europe/Oslo:20231010T100000', 'DTEND;TZID=Europe/Oslo:20231010T120000'],
+            ['DTSTART:20231011T220000', 'DTEND:20231012T020000']
+        ));
+        expect(short).toMatchObject({ start: '2023-10-10', days: 1 });
+        expect(overnight).toMatchObject({ start: '2023-10-11', days: 2 });
+    });
+
+    it('does not count a day the event ends on at midnight', () => {
+        const [event] = parseICalEvents(calendar(['DTSTART:20231010T180000', 'DTEND:20231011T000000']));
+        expect(event.days).toBe(1);
+    });
+
+    it('uses DURATION when there is no DTEND', () => {
+        const [event] = parseICalEvents(calendar(['DTSTART;VALUE=DATE:20231009', 'DURATION:P1W']));
+        expect(event.days).toBe(7);
+    });
+
+    it('unfolds lines and unescapes text', () => {
+        const [event] = parseICalEvents(calendar([
+            'SUMMARY:Tur til fjellet\\, med over',
+            ' natting',
+            'DTSTART;VALUE=DATE:20231009'
+        ]));
+        expect(event.summary).toBe('Tur til fjellet, med overnatting');
+    });
+
+    it('skips cancelled and free events, and ignores alarm properties', () => {
+        const events = parseICalEvents(calendar(
+            ['SUMMARY:Avlyst', 'STATUS:CANCELLED', 'DTSTART;VALUE=DATE:20231009'],
+            ['SUMMARY:Ledig', 'TRANSP:TRANSPARENT', 'DTSTART;VALUE=DATE:20231010'],
+            ['SUMMARY:Ferie', 'DTSTART;VALUE=DATE:20231011', 'BEGIN:VALARM', 'SUMMARY:Påminnelse', 'END:VALARM']
+        ));
+        expect(events.map(e => e.summary)).toEqual(['Ferie']);
+    });
+
+    it('handles LF line endings', () => {
+        const events = parseICalEvents('BEGIN:VCALENDAR\nBEGIN:VEVENT\nDTSTART;VALUE=DATE:20231009\nEND:VEVENT\nEND:VCALENDAR\n');
+        expect(events).toHaveLength(1);
+    });
+});
+
+describe('expandOccurrences', () => {
+    const event = (rrule, extra = []) => parseICalEvents(calendar(['DTSTART;VALUE=DATE:20231002', `RRULE:${rrule}`, ...extra]))[0];
+
+    it('repeats weekly on the given days', () => {
+        expect(expandOccurrences(event('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4'), '2023-12-31'))
+            .toEqual(['2023-10-02', '2023-10-04', '2023-10-09', '2023-10-11']);
+    });
+
+    it('honours INTERVAL and UNTIL', () => {
+        expect(expandOccurrences(event('FREQ=WEEKLY;INTERVAL=2;UNTIL=20231031T000000Z'), '2023-12-31'))
+            .toEqual(['2023-10-02', '2023-10-16', '2023-10-30']);
+    });
+
+    it('stops at the requested date for endless rules', () => {
+        expect(expandOccurrences(event('FREQ=DAILY'), '2023-10-04')).toEqual(['2023-10-02', '2023-10-03', '2023-10-04']);
+    });
+
+    it('repeats monthly on an ordinal weekday', () => {
+        expect(expandOccurrences(event('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'), '2024-12-31'))
+            .toEqual(['2023-10-27', '2023-11-24', '2023-12-29']);
+    });
+
+    it('repeats yearly', () => {
+        expect(expandOccurrences(event('FREQ=YEARLY;COUNT=2'), '2030-12-31')).toEqual(['2023-10-02', '2024-10-02']);
+    });
+
+    it('skips ahead to `from` for rules without COUNT, keeping the interval', () => {
+        expect(expandOccurrences(event('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO'), '2024-01-31', '2024-01-01'))
+            .toEqual(['2023-12-25', '2024-01-08', '2024-01-22']);
+        expect(expandOccurrences(event('FREQ=MONTHLY;BYDAY=-1FR'), '2024-03-31', '2024-02-01'))
+            .toEqual(['2024-02-23', '2024-03-29']);
+    });
+
+    it('leaves out EXDATE occurrences', () => {
+        expect(expandOccurrences(event('FREQ=DAILY;COUNT=3', ['EXDATE;VALUE=DATE:20231003']), '2023-12-31'))
+            .toEqual(['2023-10-02', '2023-10-04']);
+    });
+});
+
+describe('getICalDates', () => {
+    it('finds the range for an open-ended rule that started decades ago', () => {
+        // More than 20000 days before the range, and the rule has no COUNT or UNTIL
+        const text = calendar(['SUMMARY:Fjøs', 'DTSTART;VALUE=DATE:19500101', 'RRULE:FREQ=DAILY']);
+        expect(getICalDates(text, '2023-10-01', '2023-10-03').map(d => d.date)).toEqual(['2023-10-01', '2023-10-02', '2023-10-03']);
+
+        // 1950-01-01 + 3 * 8979 days = 2023-10-02, and every third day from there
+        const everyThird = calendar(['SUMMARY:Fjøs', 'DTSTART;VALUE=DATE:19500101', 'RRULE:FREQ=DAILY;INTERVAL=3']);
+        expect(getICalDates(everyThird, '2023-10-01', '2023-10-07').map(d => d.date)).toEqual(['2023-10-02', '2023-10-05']);
+    });
+
+    it('includes a multi-day occurrence that starts before the range', () => {
+        const text = calendar(['SUMMARY:Ferie', 'DTSTART;VALUE=DATE:20000929', 'DTEND;VALUE=DATE:20001004', 'RRULE:FREQ=YEARLY']);
+        expect(getICalDates(text, '2023-10-01', '2023-10-31').map(d => d.date)).toEqual(['2023-10-01', '2023-10-02', '2023-10-03']);
+    });
+
+    it('lists every covered date inside the range with its summaries', () => {
+        const text = calendar(
+            ['SUMMARY:Ferie', 'DTSTART;VALUE=DATE:20230929', 'DTEND;VALUE=DATE:20231004'],
+            ['SUMMARY:Trening', 'DTSTART:20231002T180000', 'DTEND:20231002T200000', 'RRULE:FREQ=WEEKLY;COUNT=3']
+        );
+        expect(getICalDates(text, '2023-10-01', '2023-10-10')).toEqual([
+            { date: '2023-10-01', summaries: ['Ferie'] },
+            { date: '2023-10-02', summaries: ['Ferie', 'Trening'] },
+            { date: '2023-10-03', summaries: ['Ferie'] },
+            { date: '2023-10-09', summaries: ['Trening'] }
+        ]);
+    });
+});
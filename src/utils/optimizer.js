@@ -0,0 +1,245 @@
+import { createRandom } from './random';
+import { generateDates, formatDate, addDays, getMonday, parseDate } from './dates';
+import { resolveRules, isAnchorDay, getWeekendKey } from './rules';
+import { getSpecialDays, isHolidayType, isClosedType } from './holidays';
+import { getAssignment, isLocked, isWorkingOn, setAssignment, computeTargets } from './scheduler';
+import { isRiderBlocked, getWish } from './availability';
+
+/*
+  Local search on top of the greedy plan.
+  A schedule is scored by a weighted penalty over the same rules the greedy passes use;
+  the optimizer then tries reassignments and swaps and keeps every move that does not
+  make the score worse. Blocked dates, locks and "one slot per rider per day" are never broken,
+  and neither are rules in 'hard' mode: a move that adds a hard violation is rejected whatever
+  it gains elsewhere. Cells in `fixed` (see generateSchedule) are left alone like locks,
+  whoever holds them.
+*/
+
+export const PENALTY_WEIGHTS = {
+    unfilled: 100,
+    consecutiveDays: 50,
+    weeklyCap: 20,
+    consecutiveAnchors: 15,
+    consecutiveWeekends: 10,
+    holidayBalance: 5,
+    anchorBalance: 5,
+    totalBalance: 2,
+    // Below the cost of moving a shift away from an even split, so wishes never beat fairness
+    wishes: 3
+};
+
+// Penalties that follow a configurable constraint of the same name
+const CONSTRAINT_PENALTIES = ['consecutiveDays', 'weeklyCap', 'consecutiveAnchors', 'consecutiveWeekends'];
+
+// Hard rules outweigh everything else in the score; rules that are off cost nothing
+const MODE_FACTORS = { hard: 20, soft: 1, off: 0 };
+
+const ruleWeights = (rules) => CONSTRAINT_PENALTIES.reduce((acc, rule) => {
+    acc[rule] = PENALTY_WEIGHTS[rule] * MODE_FACTORS[rules.constraints[rule]];
+    return acc;
+}, { ...PENALTY_WEIGHTS });
+
+// Sum of squared deviations from each rider's weighted share of the total
+const spread = (values, targetShares) => {
+    const total = values.reduce((a, b) => a + b, 0);
+    return values.reduce((sum, v, i) => sum + (v - total * targetShares[i]) ** 2, 0);
+};
+
+// Dates in range that need shifts (closed days are skipped)
+const getOpenDates = (config) => {
+    const specialDays = getSpecialDays(config);
+    return generateDates(config.startDate, config.endDate)
+        .filter(date => !isClosedType(specialDays[formatDate(date)]));
+};
+
+const createScorer = ({ riders, config, locks = {}, fixed = {}, carryOver = {} }) => {
+    const shifts = config.shifts;
+    const rules = resolveRules(config.rules);
+    const weights = ruleWeights(rules);
+    const shares = computeTargets(riders, 1, config);
+    const targetShares = riders.map(r => shares[r.id]);
+    const specialDays = getSpecialDays(config);
+    const days = getOpenDates(config).map(date => ({
+        date,
+        dateStr: formatDate(date),
+        nextStr: formatDate(addDays(date, 1)),
+        weekKey: formatDate(getMonday(date)),
+        weekendKey: getWeekendKey(date, rules),
+        anchor: isAnchorDay(date, rules),
+        prevWeekStr: formatDate(addDays(date, -7)),
+        holiday: isHolidayType(specialDays[formatDate(date)]),
+        wishes: riders.reduce((acc, r) => ({ ...acc, [r.id]: getWish(r, formatDate(date)) }), {})
+    }));
+
+    // Open days each rider would like to work
+    const preferredDays = riders.reduce((acc, r) => {
+        acc[r.id] = days.filter(d => d.wishes[r.id] === 'preferred').length;
+        return acc;
+    }, {});
+
+    // Each weekend in range paired with the one after it
+    const weekendPairs = [...new Set(days.filter(d => d.weekendKey).map(d => d.weekendKey))]
+        .map(key => [key, formatDate(addDays(parseDate(key), 7))]);
+
+    return (schedule) => {
+        const counts = {
+            unfilled: 0,
+            consecutiveDays: 0,
+            weeklyCap: 0,
+            consecutiveAnchors: 0,
+            consecutiveWeekends: 0,
+            holidayBalance: 0,
+            anchorBalance: 0,
+            totalBalance: 0,
+            wishes: 0
+        };
+
+        const perRider = riders.reduce((acc, r) => {
+            acc[r.id] = { days: new Set(), weeks: {}, weekends: new Set(), holidays: 0, preferred: 0, slots: {} };
+            shifts.forEach(s => { acc[r.id].slots[s.id] = { total: 0, anchors: 0 }; });
+            return acc;
+        }, {});
+
+        days.forEach(day => {
+            shifts.forEach(shift => {
+                const riderId = getAssignment(schedule, day.dateStr, shift.id);
+                if (riderId === null) {
+                    if (!isLocked(locks, day.dateStr, shift.id) && !isLocked(fixed, day.dateStr, shift.id)) counts.unfilled++;
+                    return;
+                }
+                const r = perRider[riderId];
+                if (!r) return;
+                r.days.add(day.dateStr);
+                r.weeks[day.weekKey] = (r.weeks[day.weekKey] || 0) + 1;
+                if (day.weekendKey) r.weekends.add(day.weekendKey);
+                r.slots[shift.id].total++;
+                if (day.anchor) r.slots[shift.id].anchors++;
+                if (day.holiday) r.holidays++;
+                if (day.wishes[riderId] === 'preferred') r.preferred++;
+                if (day.wishes[riderId] === 'disliked') counts.wishes++;
+            });
+        });
+
+        // Each rider should get as many preferred days as their fair share allows
+        const filled = riders.reduce((sum, r) => sum + perRider[r.id].days.size, 0);
+        riders.forEach((r, i) => {
+            const wanted = Math.min(preferredDays[r.id], Math.floor(filled * targetShares[i]));
+            counts.wishes += Math.max(0, wanted - perRider[r.id].preferred);
+        });
+
+        Object.values(perRider).forEach(r => {
+            days.forEach(day => {
+                if (!r.days.has(day.dateStr)) return;
+                if (r.days.has(day.nextStr)) counts.consecutiveDays++;
+                // Same anchor weekday two weeks running, counted on the later one like the validator
+                if (day.anchor && r.days.has(day.prevWeekStr)) counts.consecutiveAnchors++;
+            });
+            Object.values(r.weeks).forEach(n => {
+                counts.weeklyCap += Math.max(0, n - rules.weeklyCap);
+            });
+            weekendPairs.forEach(([key, next]) => {
+                if (r.weekends.has(key) && r.weekends.has(next)) counts.consecutiveWeekends++;
+            });
+        });
+
+        // Balance includes the counts carried over from earlier periods
+        const riderStats = riders.map(r => perRider[r.id]);
+        const previous = riders.map(r => carryOver[r.id] || {});
+        counts.holidayBalance = spread(riderStats.map((r, i) => r.holidays + (previous[i].holidays || 0)), targetShares);
+
+        // Balance is measured per slot type, like the greedy passes
+        shifts.forEach(shift => {
+            const slotStats = riderStats.map((r, i) => {
+                const before = previous[i].slots?.[shift.id] || {};
+                return {
+                    anchors: r.slots[shift.id].anchors + (before.anchors || 0),
+                    total: r.slots[shift.id].total + (before.total || 0)
+                };
+            });
+            counts.anchorBalance += spread(slotStats.map(s => s.anchors), targetShares);
+            counts.totalBalance += spread(slotStats.map(s => s.total), targetShares);
+        });
+
+        const breakdown = Object.keys(weights).reduce((acc, rule) => {
+            const count = Math.round(counts[rule] * 100) / 100;
+            acc[rule] = { count, penalty: Math.round(count * weights[rule] * 100) / 100 };
+            return acc;
+        }, {});
+
+        const total = Object.values(breakdown).reduce((sum, b) => sum + b.penalty, 0);
+        // Violations of rules in hard mode, which the optimizer may never add to
+        const hard = CONSTRAINT_PENALTIES
+            .filter(rule => rules.constraints[rule] === 'hard')
+            .reduce((sum, rule) => sum + counts[rule], 0);
+        return { total: Math.round(total * 100) / 100, breakdown, hard };
+    };
+};
+
+// Pass the same locks and fixed cells as the optimizer got, so both agree on the score
+export const scoreSchedule = ({ schedule, riders, config, locks = {}, fixed = {}, carryOver = {} }) =>
+    createScorer({ riders, config, locks, fixed, carryOver })(schedule);
+
+export const optimizeSchedule = ({ schedule, riders, config, locks = {}, fixed = {}, carryOver = {}, iterations = 3000 }) => {
+    const score = createScorer({ riders, config, locks, fixed, carryOver });
+    // Separate stream from the greedy passes so both stay reproducible from the same seed
+    const random = createRandom((config.seed ?? 1) ^ 0x5bd1e995);
+
+    const cells = [];
+    getOpenDates(config).forEach(date => {
+        const dateStr = formatDate(date);
+        config.shifts.forEach(shift => {
+            if (!isLocked(locks, dateStr, shift.id) && !isLocked(fixed, dateStr, shift.id)) cells.push({ dateStr, slotId: shift.id });
+        });
+    });
+
+    let current = schedule;
+    let currentScore = score(current);
+    if (cells.length === 0 || riders.length === 0) return { schedule: current, score: currentScore };
+
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    // The rider may take this cell: not blocked and not on another slot that day
+    const canTake = (plan, riderId, cell) => {
+        const rider = riders.find(r => r.id === riderId);
+        if (!rider || isRiderBlocked(rider, cell.dateStr)) return false;
+        const holder = getAssignment(plan, cell.dateStr, cell.slotId);
+        return holder === riderId || !isWorkingOn(plan, cell.dateStr, riderId);
+    };
+
+    const reassign = (plan) => {
+        const cell = pick(cells);
+        const riderId = pick(riders).id;
+        if (getAssignment(plan, cell.dateStr, cell.slotId) === riderId) return null;
+        if (!canTake(plan, riderId, cell)) return null;
+        return setAssignment(plan, cell.dateStr, cell.slotId, riderId);
+    };
+
+    const swap = (plan) => {
+        const a = pick(cells);
+        const b = pick(cells);
+        const riderA = getAssignment(plan, a.dateStr, a.slotId);
+        const riderB = getAssignment(plan, b.dateStr, b.slotId);
+        if (riderA === riderB) return null;
+
+        // Clear both cells first so the same-day check only sees the other slots
+        let next = setAssignment(plan, a.dateStr, a.slotId, null);
+        next = setAssignment(next, b.dateStr, b.slotId, null);
+        if (riderB !== null && !canTake(next, riderB, a)) return null;
+        next = setAssignment(next, a.dateStr, a.slotId, riderB);
+        if (riderA !== null && !canTake(next, riderA, b)) return null;
+        return setAssignment(next, b.dateStr, b.slotId, riderA);
+    };
+
+    for (let i = 0; i < iterations; i++) {
+        const candidate = random() < 0.5 ? reassign(current) : swap(current);
+        if (!candidate) continue;
+        const candidateScore = score(candidate);
+        // Sideways moves are accepted too, so the search can walk across plateaus
+        if (candidateScore.hard <= currentScore.hard && candidateScore.total <= currentScore.total) {
+            current = candidate;
+            currentScore = candidateScore;
+        }
+    }
+
+    return { schedule: current, score: currentScore };
+};
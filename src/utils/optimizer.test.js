@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { scoreSchedule, optimizeSchedule, PENALTY_WEIGHTS } from './optimizer';
+import { generateSchedule, getRidersOnDate, computeStats, setAssignment } from './scheduler';
+import { generateDates, formatDate } from './dates';
+
+const riders = [1, 2, 3, 4, 5].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+const shifts = [{ id: 'vakt', name: 'Vakt' }];
+
+describe('scoreSchedule', () => {
+    const config = { startDate: '2023-10-02', endDate: '2023-10-08', shifts };
+
+    it('counts unfilled slots', () => {
+        const schedule = { '2023-10-02': { vakt: null } };
+        const { breakdown } = scoreSchedule({ schedule, riders, config });
+        // Missing days count as unfilled too
+        expect(breakdown.unfilled.count).toBe(7);
+        expect(breakdown.unfilled.penalty).toBe(7 * PENALTY_WEIGHTS.unfilled);
+    });
+
+    it('does not count locked empty slots as unfilled', () => {
+        const schedule = { '2023-10-02': { vakt: null } };
+        const locks = { '2023-10-02': { vakt: true } };
+        const { breakdown } = scoreSchedule({ schedule, riders, config, locks });
+        expect(breakdown.unfilled.count).toBe(6);
+    });
+
+    it('counts consecutive days and the weekly cap', () => {
+        const schedule = {};
+        ['02', '03', '04', '05'].forEach(d => { schedule[`2023-10-${d}`] = { vakt: 1 }; });
+        const { breakdown } = scoreSchedule({ schedule, riders, config });
+        expect(breakdown.consecutiveDays.count).toBe(3);
+        expect(breakdown.weeklyCap.count).toBe(1);
+    });
+
+    it('counts consecutive weekends', () => {
+        const twoWeeks = { ...config, endDate: '2023-10-15' };
+        const schedule = { '2023-10-07': { vakt: 1 }, '2023-10-13': { vakt: 1 } };
+        const { breakdown } = scoreSchedule({ schedule, riders, config: twoWeeks });
+        expect(breakdown.consecutiveWeekends.count).toBe(1);
+    });
+
+    it('counts shifts on disliked days and missing preferred days', () => {
+        const wishful = [
+            { id: 1, name: 'R1', blockedDates: [], wishes: { dislikedWeekdays: [1], preferredDates: ['2023-10-04'] } },
+            { id: 2, name: 'R2', blockedDates: [] }
+        ];
+        const schedule = { '2023-10-02': { vakt: 1 }, '2023-10-04': { vakt: 2 } };
+        const { breakdown } = scoreSchedule({ schedule, riders: wishful, config });
+        // Monday is disliked, and the one preferred day went to someone else
+        expect(breakdown.wishes.count).toBe(2);
+    });
+
+    it('includes carried-over counts in the balance', () => {
+        const pair = riders.slice(0, 2);
+        const schedule = { '2023-10-02': { vakt: 1 }, '2023-10-04': { vakt: 2 } };
+        const carryOver = { 1: { total: 4, anchors: 0, holidays: 0, weekends: 0, slots: { vakt: { total: 4, anchors: 0 } } } };
+        expect(scoreSchedule({ schedule, riders: pair, config }).breakdown.totalBalance.count).toBe(0);
+        expect(scoreSchedule({ schedule, riders: pair, config, carryOver }).breakdown.totalBalance.count).toBe(8);
+    });
+
+    it('counts the same anchor weekday two weeks running', () => {
+        const twoWeeks = { ...config, endDate: '2023-10-15' };
+        const schedule = { '2023-10-07': { vakt: 1 }, '2023-10-14': { vakt: 1 } };
+        const { breakdown } = scoreSchedule({ schedule, riders, config: twoWeeks });
+        expect(breakdown.consecutiveAnchors.count).toBe(1);
+        expect(breakdown.consecutiveAnchors.penalty).toBe(PENALTY_WEIGHTS.consecutiveAnchors);
+    });
+
+    it('does not count fixed empty slots as unfilled, like the optimizer', () => {
+        const schedule = { '2023-10-02': { vakt: null }, '2023-10-03': { vakt: 9 } };
+        const fixed = { '2023-10-02': { vakt: true }, '2023-10-03': { vakt: true } };
+        expect(scoreSchedule({ schedule, riders, config, fixed }).breakdown.unfilled.count).toBe(5);
+    });
+
+    it('sums the weighted penalties into the total', () => {
+        const schedule = { '2023-10-02': { vakt: 1 }, '2023-10-03': { vakt: 1 } };
+        const { total, breakdown } = scoreSchedule({ schedule, riders, config });
+        const sum = Object.values(breakdown).reduce((acc, b) => acc + b.penalty, 0);
+        expect(total).toBeCloseTo(sum);
+    });
+});
+
+describe('optimizeSchedule', () => {
+    const config = { startDate: '2023-10-01', endDate: '2023-11-30', shifts, seed: 11 };
+
+    it('never makes the greedy plan worse', () => {
+        const { schedule: greedy } = generateSchedule({ riders, config });
+        const before = scoreSchedule({ schedule: greedy, riders, config });
+        const { score } = optimizeSchedule({ schedule: greedy, riders, config });
+        expect(score.total).toBeLessThanOrEqual(before.total);
+    });
+
+    it('is deterministic for a given seed', () => {
+        const { schedule: greedy } = generateSchedule({ riders, config });
+        expect(optimizeSchedule({ schedule: greedy, riders, config }).schedule)
+            .toEqual(optimizeSchedule({ schedule: greedy, riders, config }).schedule);
+    });
+
+    it('keeps locked cells and blocked dates intact', () => {
+        const blocked = riders.map(r => r.id === 2 ? { ...r, blockedDates: ['2023-10-14', '2023-10-15'] } : r);
+        const { schedule: greedy } = generateSchedule({ riders: blocked, config });
+        const locks = { '2023-10-10': { vakt: true } };
+        const { schedule } = optimizeSchedule({ schedule: greedy, riders: blocked, config, locks });
+        expect(schedule['2023-10-10'].vakt).toBe(greedy['2023-10-10'].vakt);
+        expect(getRidersOnDate(schedule, '2023-10-14')).not.toContain(2);
+        expect(getRidersOnDate(schedule, '2023-10-15')).not.toContain(2);
+    });
+
+    it('grants wishes without unbalancing the totals', () => {
+        const config = { startDate: '2023-10-02', endDate: '2023-10-29', shifts, seed: 11, holidays: { norwegian: false } };
+        const wishful = [
+            { id: 1, name: 'R1', blockedDates: [], wishes: { preferredWeekdays: [2], dislikedWeekdays: [4] } },
+            ...[2, 3, 4].map(id => ({ id, name: `R${id}`, blockedDates: [] }))
+        ];
+        const { schedule } = generateSchedule({ riders: wishful, config });
+        const result = optimizeSchedule({ schedule, riders: wishful, config });
+        const tuesdays = ['2023-10-03', '2023-10-10', '2023-10-17', '2023-10-24'];
+        const thursdays = ['2023-10-05', '2023-10-12', '2023-10-19', '2023-10-26'];
+        expect(tuesdays.filter(d => result.schedule[d].vakt === 1).length).toBeGreaterThanOrEqual(2);
+        expect(thursdays.filter(d => result.schedule[d].vakt === 1)).toEqual([]);
+        const stats = computeStats(result.schedule, wishful, config);
+        const totals = wishful.map(r => stats[r.id].total);
+        expect(Math.max(...totals) - Math.min(...totals)).toBeLessThanOrEqual(1);
+    });
+
+    it('never adds a hard violation, even when balance would gain more', () => {
+        const config = {
+            startDate: '2023-10-02',
+            endDate: '2023-11-30',
+            shifts,
+            seed: 11,
+            holidays: { norwegian: false },
+            rules: {
+                anchorDays: [],
+                constraints: { consecutiveDays: 'off', weeklyCap: 'off', consecutiveAnchors: 'off', consecutiveWeekends: 'hard' }
+            }
+        };
+        const pair = riders.slice(0, 2);
+        // Rider 2 has the first weekend; everything else is rider 1's and locked, except the next Saturday
+        let schedule = {};
+        let locks = {};
+        generateDates(config.startDate, config.endDate).forEach(date => {
+            const dateStr = formatDate(date);
+            schedule = setAssignment(schedule, dateStr, 'vakt', ['2023-10-06', '2023-10-07', '2023-10-08'].includes(dateStr) ? 2 : 1);
+            if (dateStr !== '2023-10-14') locks = setAssignment(locks, dateStr, 'vakt', true);
+        });
+
+        // Giving the Saturday to rider 2 improves the total but breaks the hard rule
+        const before = scoreSchedule({ schedule, riders: pair, config, locks });
+        const moved = scoreSchedule({ schedule: setAssignment(schedule, '2023-10-14', 'vakt', 2), riders: pair, config, locks });
+        expect(moved.total).toBeLessThan(before.total);
+        expect(moved.hard).toBe(before.hard + 1);
+
+        const result = optimizeSchedule({ schedule, riders: pair, config, locks });
+        expect(result.schedule['2023-10-14'].vakt).toBe(1);
+        expect(result.score.hard).toBe(before.hard);
+    });
+});
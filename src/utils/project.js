@@ -0,0 +1,288 @@
+import { DEFAULT_SHIFTS, normalizeSchedule } from './scheduler';
+import { resolveRules, CONSTRAINT_MODES } from './rules';
+import { UNAVAILABILITY_TYPES } from './availability';
+import { resolveHolidays } from './holidays';
+import { resolveCalendar } from './icalGenerator';
+import { resolveEmail } from './email';
+import { DEFAULT_CARRY_OVER_MONTHS } from './history';
+
+/*
+  Project files: one JSON backup of everything the planner keeps.
+    { format: 'stallplan', version, savedAt, riders, config, schedule, locks, substitutions,
+      auditLog, publication, history, versions, eventName, eventDescription }
+  The version is also the one stored with the riders in localStorage. Older files and saves
+  are upgraded one version at a time through MIGRATIONS instead of being thrown away.
+
+  Versions:
+    1 - riders { id, name, color, blockedDates }, one rider per day in the schedule
+    2 - rider availability, wishes, weight and active period; named shift slots; calendar texts
+*/
+
+export const PROJECT_FORMAT = 'stallplan';
+export const SCHEMA_VERSION = 2;
+
+export const DEFAULT_EVENT_NAME = 'Stallvakt';
+export const DEFAULT_EVENT_DESCRIPTION = 'Du er satt opp på stallvakt i dag.';
+
+// Fields every rider has in the current version
+export const normalizeRider = (rider) => ({
+    ...rider,
+    blockedDates: rider.blockedDates || [],
+    unavailability: rider.unavailability || [],
+    wishes: rider.wishes || {},
+    weight: rider.weight ?? 1
+});
+
+// Each step upgrades a project from its key's version to the next
+const MIGRATIONS = {
+    1: (project) => {
+        const shifts = project.config?.shifts || DEFAULT_SHIFTS;
+        return {
+            ...project,
+            // Anything that is not a rider is left for validateProject to report
+            riders: (project.riders || []).map(r => (isPlainObject(r) ? normalizeRider(r) : r)),
+            config: project.config && { ...project.config, shifts },
+            schedule: normalizeSchedule(project.schedule, shifts),
+            eventName: project.eventName ?? DEFAULT_EVENT_NAME,
+            eventDescription: project.eventDescription ?? DEFAULT_EVENT_DESCRIPTION
+        };
+    }
+};
+
+// A file without a version predates versioning and is treated as version 1
+export const getProjectVersion = (project) => project.version ?? 1;
+
+export const migrateProject = (project) => {
+    let current = project;
+    for (let version = getProjectVersion(project); version < SCHEMA_VERSION; version++) {
+        current = MIGRATIONS[version](current);
+    }
+    return { ...current, version: SCHEMA_VERSION };
+};
+
+// Fills in everything an up-to-date project may still leave out
+const completeProject = (project) => ({
+    ...project,
+    riders: project.riders.map(normalizeRider),
+    config: {
+        seed: 1,
+        carryOverMonths: DEFAULT_CARRY_OVER_MONTHS,
+        ...project.config,
+        shifts: project.config.shifts || DEFAULT_SHIFTS,
+        rules: resolveRules(project.config.rules),
+        holidays: resolveHolidays(project.config.holidays),
+        calendar: resolveCalendar(project.config.calendar),
+        email: resolveEmail(project.config.email)
+    },
+    schedule: project.schedule || {},
+    locks: project.locks || {},
+    substitutions: project.substitutions || [],
+    auditLog: project.auditLog || [],
+    publication: project.publication || null,
+    history: project.history || [],
+    versions: project.versions || [],
+    eventName: project.eventName ?? DEFAULT_EVENT_NAME,
+    eventDescription: project.eventDescription ?? DEFAULT_EVENT_DESCRIPTION
+});
+
+export const createProjectFile = (state, savedAt = new Date().toISOString()) => ({
+    format: PROJECT_FORMAT,
+    version: SCHEMA_VERSION,
+    savedAt,
+    ...state
+});
+
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isWeekdayList = (value) => Array.isArray(value) && value.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+
+// Optional parts of a rider that the scheduler reads without checking
+const validateRiderDetails = (rider, name) => {
+    const errors = [];
+    const { unavailability, wishes, weight } = rider;
+    if (!Array.isArray(unavailability) ||
+        !unavailability.every(rule => isPlainObject(rule) && UNAVAILABILITY_TYPES.includes(rule.type) &&
+            (rule.weekdays === undefined || isWeekdayList(rule.weekdays)))) {
+        errors.push(`${name} har ugyldige faste fravær.`);
+    }
+    if (!isPlainObject(wishes)) errors.push(`${name} har ugyldige ønskedager.`);
+    if (typeof weight !== 'number' || !(weight >= 0)) errors.push(`${name} har ugyldig arbeidsmengde.`);
+    return errors;
+};
+
+// The nested settings the resolve* helpers fill in; they are optional but must have the right shape
+const validateConfigDetails = ({ rules, holidays, calendar }) => {
+    const errors = [];
+    if (rules !== undefined) {
+        if (!isPlainObject(rules)) {
+            errors.push('Reglene er ikke gyldige.');
+        } else {
+            if (rules.anchorDays !== undefined && !isWeekdayList(rules.anchorDays)) errors.push('Reglene har ugyldige ankerdager.');
+            if (rules.weekendDays !== undefined && !isWeekdayList(rules.weekendDays)) errors.push('Reglene har ugyldige helgedager.');
+            if (rules.weeklyCap !== undefined && !(typeof rules.weeklyCap === 'number' && rules.weeklyCap >= 0)) {
+                errors.push('Reglene har et ugyldig ukestak.');
+            }
+            if (rules.constraints !== undefined &&
+                (!isPlainObject(rules.constraints) || !Object.values(rules.constraints).every(mode => CONSTRAINT_MODES.includes(mode)))) {
+                errors.push('Reglene har ugyldige innstillinger for regelbrudd.');
+            }
+        }
+    }
+    if (holidays !== undefined &&
+        (!isPlainObject(holidays) ||
+            (holidays.customDays !== undefined &&
+                !(Array.isArray(holidays.customDays) && holidays.customDays.every(d => isPlainObject(d) && isDateString(d.date)))))) {
+        errors.push('Helligdagene og spesialdagene er ikke gyldige.');
+    }
+    if (calendar !== undefined &&
+        (!isPlainObject(calendar) || (calendar.reminders !== undefined && !Array.isArray(calendar.reminders)))) {
+        errors.push('Kalenderinnstillingene er ikke gyldige.');
+    }
+    return errors;
+};
+
+const isShiftList = (shifts) => Array.isArray(shifts) && shifts.length > 0 && shifts.every(s => isPlainObject(s) && s.id);
+
+// Saved versions are shown and restored as they are, so each needs a full plan
+const isVersion = (v) => isPlainObject(v) && isPlainObject(v.config) &&
+    isDateString(v.config.startDate) && isDateString(v.config.endDate) && isShiftList(v.config.shifts) &&
+    isPlainObject(v.schedule) && Array.isArray(v.riders) && v.riders.every(isPlainObject);
+
+// Readable problems with a migrated project, in Norwegian for the import dialog; empty when it is usable
+export const validateProject = (project) => {
+    const errors = [];
+
+    if (!Array.isArray(project.riders)) {
+        errors.push('Rytterlisten mangler.');
+    } else {
+        const ids = new Set();
+        project.riders.forEach((rider, i) => {
+            const label = `Rytter ${i + 1}`;
+            if (!isPlainObject(rider)) {
+                errors.push(`${label} er ikke et gyldig objekt.`);
+                return;
+            }
+            if (typeof rider.id !== 'number' && typeof rider.id !== 'string') errors.push(`${label} mangler id.`);
+            else if (ids.has(rider.id)) errors.push(`${label} har samme id som en annen rytter (${rider.id}).`);
+            ids.add(rider.id);
+            if (typeof rider.name !== 'string') errors.push(`${label} mangler navn.`);
+            if (!Array.isArray(rider.blockedDates) || !rider.blockedDates.every(isDateString)) {
+                errors.push(`${rider.name || label} har ugyldige blokkerte datoer.`);
+            }
+            errors.push(...validateRiderDetails(normalizeRider(rider), rider.name || label));
+        });
+    }
+
+    if (!isPlainObject(project.config)) {
+        errors.push('Innstillingene mangler.');
+    } else {
+        const { startDate, endDate, shifts } = project.config;
+        if (!isDateString(startDate)) errors.push('Startdatoen mangler eller er ugyldig.');
+        if (!isDateString(endDate)) errors.push('Sluttdatoen mangler eller er ugyldig.');
+        if (isDateString(startDate) && isDateString(endDate) && startDate > endDate) {
+            errors.push('Startdatoen er etter sluttdatoen.');
+        }
+        if (!isShiftList(shifts)) {
+            errors.push('Vaktlisten mangler eller har vakter uten id.');
+        }
+        errors.push(...validateConfigDetails(project.config));
+    }
+
+    if (project.schedule !== undefined && !isPlainObject(project.schedule)) {
+        errors.push('Vaktplanen er ikke gyldig.');
+    } else if (project.schedule) {
+        const badDates = Object.keys(project.schedule).filter(date => !isDateString(date));
+        if (badDates.length > 0) errors.push(`Vaktplanen har ugyldige datoer: ${badDates.slice(0, 3).join(', ')}.`);
+    }
+
+    if (project.locks !== undefined && !isPlainObject(project.locks)) errors.push('Låste vakter er ikke gyldige.');
+    ['substitutions', 'auditLog', 'history'].forEach(key => {
+        if (project[key] !== undefined && !Array.isArray(project[key])) errors.push('Loggen eller historikken er ikke gyldig.');
+    });
+
+    if (project.versions !== undefined) {
+        if (!Array.isArray(project.versions)) {
+            errors.push('De lagrede versjonene er ikke gyldige.');
+        } else {
+            project.versions.forEach((v, i) => {
+                if (!isVersion(v)) errors.push(`Versjon ${i + 1} (${v?.name || 'uten navn'}) mangler plan eller innstillinger.`);
+            });
+        }
+    }
+
+    return errors;
+};
+
+/*
+  Empties cells that point at riders who are not in the rider list, which is what a backup
+  holds after riders have been removed. Returns the cleaned schedule and locks and the ids dropped.
+*/
+export const dropUnknownRiders = ({ schedule = {}, locks = {}, riders }) => {
+    const riderIds = new Set(riders.map(r => r.id));
+    const unknown = new Set();
+    const nextLocks = { ...locks };
+    const nextSchedule = Object.entries(schedule).reduce((acc, [date, day]) => {
+        acc[date] = Object.entries(isPlainObject(day) ? day : {}).reduce((cells, [slotId, id]) => {
+            if (id !== null && !riderIds.has(id)) {
+                unknown.add(id);
+                cells[slotId] = null;
+                if (isPlainObject(nextLocks[date]) && slotId in nextLocks[date]) {
+                    nextLocks[date] = { ...nextLocks[date] };
+                    delete nextLocks[date][slotId];
+                }
+            } else {
+                cells[slotId] = id;
+            }
+            return cells;
+        }, {});
+        return acc;
+    }, {});
+    return { schedule: nextSchedule, locks: nextLocks, unknown: [...unknown] };
+};
+
+/*
+  Reads a project file: { project, errors, warnings }. The project is migrated to the current version
+  and completed with defaults; it is null whenever errors is not empty. Warnings describe what was
+  fixed on the way in, such as shifts held by riders who have since been removed.
+*/
+export const parseProjectFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { project: null, errors: ['Filen er ikke gyldig JSON.'], warnings: [] };
+    }
+    if (!isPlainObject(data) || data.format !== PROJECT_FORMAT) {
+        return { project: null, errors: ['Filen er ikke en prosjektfil fra stallvaktplanen.'], warnings: [] };
+    }
+    const version = getProjectVersion(data);
+    if (!Number.isInteger(version) || version < 1) {
+        return { project: null, errors: [`Ukjent filversjon: ${data.version}.`], warnings: [] };
+    }
+    if (version > SCHEMA_VERSION) {
+        return { project: null, errors: [`Filen er laget med en nyere versjon av appen (versjon ${version}).`], warnings: [] };
+    }
+
+    const migrated = migrateProject(data);
+    const errors = validateProject(migrated);
+    if (errors.length > 0) return { project: null, errors, warnings: [] };
+
+    const project = completeProject(migrated);
+    const { schedule, locks, unknown } = dropUnknownRiders(project);
+    const warnings = unknown.length > 0
+        ? [`Vaktplanen viste til ryttere som ikke finnes lenger (${unknown.join(', ')}); vaktene deres er tømt.`]
+        : [];
+    return { project: { ...project, schedule, locks }, errors: [], warnings };
+};
+
+/*
+  Riders saved in localStorage as { version, data }. Older versions go through the same
+  migrations as project files; only unreadable data falls back to null.
+*/
+export const loadStoredRiders = ({ version, data }) => {
+    if (!Array.isArray(data)) return null;
+    if (version > SCHEMA_VERSION) return data.map(normalizeRider);
+    return migrateProject({ version, riders: data }).riders;
+};
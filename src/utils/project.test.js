@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION, createProjectFile, parseProjectFile, migrateProject, validateProject, loadStoredRiders } from './project';
+import { generateSchedule, listAssignments } from './scheduler';
+
+const shifts = [{ id: 'vakt', name: 'Stallvakt', start: '08:00', end: '10:00' }];
+const state = {
+    riders: [{ id: 1, name: 'Elin', color: 'c', blockedDates: ['2023-10-03'], unavailability: [], wishes: {}, weight: 1 }],
+    config: { startDate: '2023-10-01', endDate: '2023-10-31', shifts, seed: 7 },
+    schedule: { '2023-10-02': { vakt: 1 } },
+    eventName: 'Morgenstell',
+    eventDescription: 'Husk vann.'
+};
+
+// The shape saved before the file format had a version
+const legacy = {
+    format: 'stallplan',
+    riders: [{ id: 1, name: 'Elin', color: 'c', blockedDates: [] }],
+    config: { startDate: '2023-10-01', endDate: '2023-10-31' },
+    schedule: { '2023-10-02': 1, '2023-10-03': null }
+};
+
+describe('project files', () => {
+    it('round-trips the current state', () => {
+        const text = JSON.stringify(createProjectFile(state, '2023-10-01T10:00:00.000Z'));
+        const { project, errors } = parseProjectFile(text);
+        expect(errors).toEqual([]);
+        expect(project.version).toBe(SCHEMA_VERSION);
+        expect(project.riders).toEqual(state.riders);
+        expect(project.schedule).toEqual(state.schedule);
+        expect(project.eventName).toBe('Morgenstell');
+        expect(project.eventDescription).toBe('Husk vann.');
+        expect(project.config.seed).toBe(7);
+        expect(project.config.rules.weeklyCap).toBeDefined();
+        expect(project.locks).toEqual({});
+    });
+
+    it('upgrades a file from before versioning', () => {
+        const { project, errors } = parseProjectFile(JSON.stringify(legacy));
+        expect(errors).toEqual([]);
+        expect(project.riders[0]).toMatchObject({ unavailability: [], wishes: {}, weight: 1 });
+        expect(project.schedule['2023-10-02']).toEqual({ vakt: 1 });
+        expect(project.config.shifts[0].id).toBe('vakt');
+        expect(project.eventName).toBe('Stallvakt');
+    });
+
+    it('rejects files that are not project files', () => {
+        expect(parseProjectFile('not json').errors).toEqual(['Filen er ikke gyldig JSON.']);
+        expect(parseProjectFile('{"riders": []}').errors[0]).toMatch(/ikke en prosjektfil/);
+        expect(parseProjectFile(JSON.stringify({ ...legacy, version: SCHEMA_VERSION + 1 })).errors[0]).toMatch(/nyere versjon/);
+    });
+
+    it('explains what is wrong with an invalid file', () => {
+        const broken = createProjectFile({
+            ...state,
+            riders: [{ id: 1, name: 'Elin', blockedDates: [] }, { id: 1, blockedDates: ['i morgen'] }],
+            config: { startDate: '2023-10-31', endDate: '2023-10-01', shifts },
+            schedule: { '2023-10-02': { vakt: 9 } }
+        });
+        const { project, errors } = parseProjectFile(JSON.stringify(broken));
+        expect(project).toBeNull();
+        expect(errors).toEqual([
+            'Rytter 2 har samme id som en annen rytter (1).',
+            'Rytter 2 mangler navn.',
+            'Rytter 2 har ugyldige blokkerte datoer.',
+            'Startdatoen er etter sluttdatoen.'
+        ]);
+    });
+
+    it('restores a backup taken after a rider was removed', () => {
+        const riders = [1, 2, 3].map(id => ({ id, name: `Rytter ${id}`, blockedDates: [], unavailability: [], wishes: {}, weight: 1 }));
+        const { schedule } = generateSchedule({ riders, config: state.config });
+        const lockedDate = listAssignments(schedule, shifts).find(a => a.riderId === 3).date;
+        const text = JSON.stringify(createProjectFile({
+            ...state,
+            riders: riders.filter(r => r.id !== 3),
+            schedule,
+            locks: { [lockedDate]: { vakt: true } }
+        }));
+
+        const { project, errors, warnings } = parseProjectFile(text);
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual(['Vaktplanen viste til ryttere som ikke finnes lenger (3); vaktene deres er tømt.']);
+        expect(listAssignments(project.schedule, shifts).some(a => a.riderId === 3)).toBe(false);
+        expect(project.schedule[lockedDate]).toEqual({ vakt: null });
+        expect(project.locks[lockedDate]).toEqual({});
+        expect(listAssignments(project.schedule, shifts).filter(a => a.riderId === 1))
+            .toEqual(listAssignments(schedule, shifts).filter(a => a.riderId === 1));
+    });
+
+    it('checks the nested settings, riders and versions', () => {
+        const broken = createProjectFile({
+            ...state,
+            riders: [{ ...state.riders[0], unavailability: 'onsdager', wishes: [] }],
+            config: { ...state.config, rules: { anchorDays: null, constraints: { weeklyCap: 'kanskje' } }, holidays: { customDays: {} } },
+            versions: [{ id: 'a', name: 'Utkast 1', schedule: {}, riders: [] }]
+        });
+        const { project, errors } = parseProjectFile(JSON.stringify(broken));
+        expect(project).toBeNull();
+        expect(errors).toEqual([
+            'Elin har ugyldige faste fravær.',
+            'Elin har ugyldige ønskedager.',
+            'Reglene har ugyldige ankerdager.',
+            'Reglene har ugyldige innstillinger for regelbrudd.',
+            'Helligdagene og spesialdagene er ikke gyldige.',
+            'Versjon 1 (Utkast 1) mangler plan eller innstillinger.'
+        ]);
+    });
+
+    it('reports riders that are not objects in an old file', () => {
+        const { errors } = parseProjectFile(JSON.stringify({ ...legacy, riders: [null] }));
+        expect(errors).toEqual(['Rytter 1 er ikke et gyldig objekt.']);
+    });
+});
+
+describe('migrateProject', () => {
+    it('leaves a current project as it is', () => {
+        const current = createProjectFile(state);
+        expect(migrateProject(current)).toEqual(current);
+        expect(validateProject(current)).toEqual([]);
+    });
+});
+
+describe('loadStoredRiders', () => {
+    it('upgrades riders saved with an older version instead of dropping them', () => {
+        const riders = loadStoredRiders({ version: 1, data: [{ id: 1, name: 'Elin', color: 'c', blockedDates: [] }] });
+        expect(riders).toEqual([{ id: 1, name: 'Elin', color: 'c', blockedDates: [], unavailability: [], wishes: {}, weight: 1 }]);
+    });
+
+    it('keeps riders from a newer version', () => {
+        expect(loadStoredRiders({ version: SCHEMA_VERSION + 1, data: [{ id: 1, name: 'Elin' }] })[0].name).toBe('Elin');
+    });
+
+    it('returns null for unreadable data', () => {
+        expect(loadStoredRiders({ version: 1, data: 'x' })).toBeNull();
+    });
+});
@@ -0,0 +1,92 @@
+import { diffSchedules } from './scheduler';
+
+/*
+  The plan as it was last sent out to the riders:
+    { sequence, publishedAt, schedule, issued? }
+  Exported events carry the sequence as SEQUENCE. It goes up by one as soon as the plan differs
+  from the published one, so calendars replace the events they already have.
+  Every file sent between publications (change files and full exports alike) is recorded as
+  issued: { sequence, schedule }. The next edit after one goes up by one again, so every file beats
+  the one before it. Before the first publication nothing has gone out and SEQUENCE stays 0.
+*/
+
+const hasChanged = (before, after, shifts) => diffSchedules(before, after, shifts).length > 0;
+
+export const getSequence = (publication, schedule, shifts) => {
+    if (!publication) return 0;
+    const last = publication.issued || publication;
+    return last.sequence + (hasChanged(last.schedule, schedule, shifts) ? 1 : 0);
+};
+
+export const createPublication = (previous, schedule, shifts, publishedAt = new Date().toISOString()) => ({
+    sequence: getSequence(previous, schedule, shifts),
+    publishedAt,
+    schedule
+});
+
+// Records that a file went out with the current plan's sequence
+export const recordIssue = (publication, schedule, shifts) => (publication
+    ? { ...publication, issued: { sequence: getSequence(publication, schedule, shifts), schedule } }
+    : publication);
+
+// The cells a rider gained and lost since the publication: { added: [{ date, slotId }], removed: [...] }
+export const getRiderChanges = (publication, schedule, shifts, riderId) => {
+    const changes = publication ? diffSchedules(publication.schedule, schedule, shifts) : [];
+    const cell = ({ date, slotId }) => ({ date, slotId });
+    return {
+        added: changes.filter(c => c.to === riderId).map(cell),
+        removed: changes.filter(c => c.from === riderId).map(cell)
+    };
+};
+
+/*
+  The publish folder, laid out to be copied into public/ so the gh-pages build serves it:
+    kalender/index.html     - the printable overview
+    kalender/abonner.html   - links to every feed, to subscribe to
+    kalender/stall.ics      - every shift, with the rider's name in the summary
+    kalender/rytter-<id>.ics - one feed per rider
+  File names follow the rider id, so a feed URL survives renaming the rider.
+*/
+
+export const PUBLISH_FOLDER = 'kalender';
+export const STABLE_FEED = 'stall.ics';
+
+export const getRiderFeedName = (rider) => `rytter-${rider.id}.ics`;
+
+// UID for a cell in the combined feed: reassigning the cell updates the event instead of adding one
+export const getStableUid = (date, slotId) => `${date}-${slotId}@stablescheduler`;
+
+// For names and other user text put into generated pages
+export const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const buildFeedIndex = (riders, title) => `<!DOCTYPE html>
+<html lang="no">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} – kalendere</title>
+  <style>body { font-family: system-ui, sans-serif; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; } li { margin: 0.4rem 0; }</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>Abonner på en kalender for å få endringer automatisk. Kopier lenken og legg den til som kalender fra URL i Google, Outlook eller iPhone.</p>
+  <ul>
+    <li><a href="${STABLE_FEED}">Hele stallen</a></li>
+${riders.map(r => `    <li><a href="${getRiderFeedName(r)}">${escapeHtml(r.name)}</a></li>`).join('\n')}
+  </ul>
+  <p><a href="index.html">Vaktplan som tabell</a></p>
+</body>
+</html>
+`;
+
+// [{ name, content }] for createZip, with paths under PUBLISH_FOLDER
+export const buildPublishFiles = ({ riders, title, stableCalendar, riderCalendars, html }) => [
+    { name: `${PUBLISH_FOLDER}/index.html`, content: html },
+    { name: `${PUBLISH_FOLDER}/abonner.html`, content: buildFeedIndex(riders, title) },
+    { name: `${PUBLISH_FOLDER}/${STABLE_FEED}`, content: stableCalendar },
+    ...riders.map(r => ({ name: `${PUBLISH_FOLDER}/${getRiderFeedName(r)}`, content: riderCalendars[r.id] }))
+];
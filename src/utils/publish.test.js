@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { getSequence, createPublication, recordIssue, getRiderChanges, buildPublishFiles, buildFeedIndex, getStableUid, escapeHtml } from './publish';
+
+const shifts = [{ id: 'vakt', name: 'Vakt' }];
+const published = { '2023-10-02': { vakt: 1 }, '2023-10-03': { vakt: 2 } };
+
+describe('getSequence', () => {
+    it('starts at 0 and goes up once the published plan changes', () => {
+        expect(getSequence(null, published, shifts)).toBe(0);
+        const publication = createPublication(null, published, shifts, '2023-10-01T10:00:00.000Z');
+        expect(getSequence(publication, published, shifts)).toBe(0);
+        expect(getSequence(publication, { ...published, '2023-10-03': { vakt: 1 } }, shifts)).toBe(1);
+    });
+
+    it('carries the raised sequence into the next publication', () => {
+        const first = createPublication(null, published, shifts);
+        const second = createPublication(first, { ...published, '2023-10-03': { vakt: 1 } }, shifts);
+        expect(second.sequence).toBe(1);
+        expect(createPublication(second, second.schedule, shifts).sequence).toBe(1);
+    });
+
+    it('goes up again for each file issued after an edit', () => {
+        const publication = createPublication(null, published, shifts);
+        const firstEdit = { ...published, '2023-10-03': { vakt: 1 } };
+        const afterFirst = recordIssue(publication, firstEdit, shifts);
+        expect(afterFirst.issued.sequence).toBe(1);
+
+        const secondEdit = { ...firstEdit, '2023-10-02': { vakt: 2 } };
+        expect(getSequence(afterFirst, firstEdit, shifts)).toBe(1);
+        expect(getSequence(afterFirst, secondEdit, shifts)).toBe(2);
+        const afterSecond = recordIssue(afterFirst, secondEdit, shifts);
+        expect(afterSecond.issued.sequence).toBe(2);
+
+        // Publishing continues from the last change file and starts a fresh round
+        const next = createPublication(afterSecond, secondEdit, shifts);
+        expect(next.sequence).toBe(2);
+        expect(next.issued).toBeUndefined();
+    });
+
+    it('issues nothing before the first publication', () => {
+        expect(recordIssue(null, published, shifts)).toBeNull();
+    });
+});
+
+describe('getRiderChanges', () => {
+    it('lists the cells a rider gained and lost', () => {
+        const publication = createPublication(null, published, shifts);
+        const schedule = { '2023-10-02': { vakt: 2 }, '2023-10-03': { vakt: 2 }, '2023-10-04': { vakt: 1 } };
+        expect(getRiderChanges(publication, schedule, shifts, 1)).toEqual({
+            added: [{ date: '2023-10-04', slotId: 'vakt' }],
+            removed: [{ date: '2023-10-02', slotId: 'vakt' }]
+        });
+        expect(getRiderChanges(publication, schedule, shifts, 2).added).toEqual([{ date: '2023-10-02', slotId: 'vakt' }]);
+    });
+
+    it('has nothing to send before the first publication', () => {
+        expect(getRiderChanges(null, published, shifts, 1)).toEqual({ added: [], removed: [] });
+    });
+});
+
+describe('buildPublishFiles', () => {
+    const riders = [{ id: 1, name: 'Elin' }, { id: 2, name: 'Anne & Co' }];
+
+    it('lays out the overview, the feed index and every feed under one folder', () => {
+        const files = buildPublishFiles({
+            riders,
+            title: 'Stallvakt',
+            stableCalendar: 'ALL',
+            riderCalendars: { 1: 'ELIN', 2: 'ANNE' },
+            html: '<html></html>'
+        });
+        expect(files.map(f => f.name)).toEqual([
+            'kalender/index.html',
+            'kalender/abonner.html',
+            'kalender/stall.ics',
+            'kalender/rytter-1.ics',
+            'kalender/rytter-2.ics'
+        ]);
+        expect(files[3].content).toBe('ELIN');
+    });
+
+    it('links every feed from the index, with names escaped', () => {
+        const index = buildFeedIndex(riders, 'Stallvakt');
+        expect(index).toContain('<a href="stall.ics">');
+        expect(index).toContain('<a href="rytter-2.ics">Anne &amp; Co</a>');
+    });
+
+    it('escapes markup in names put into the overview page', () => {
+        expect(escapeHtml('<script>alert("x")</script> & co')).toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; co');
+    });
+
+    it('keys combined feed events by cell only', () => {
+        expect(getStableUid('2023-10-02', 'vakt')).toBe('2023-10-02-vakt@stablescheduler');
+    });
+});
@@ -0,0 +1,26 @@
+// Seeded pseudo-random numbers, so a schedule can be regenerated exactly from its seed.
+
+// Mulberry32: small, fast 32-bit generator. Returns floats in [0, 1).
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Fisher-Yates shuffle; returns a new array and leaves the input untouched
+export const shuffle = (array, random) => {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Six-digit seeds are easy to read out loud and type back in
+export const newSeed = () => 100000 + Math.floor(Math.random() * 900000);
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, shuffle, newSeed } from './random';
+
+describe('createRandom', () => {
+    it('produces the same sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const seqA = Array.from({ length: 5 }, a);
+        const seqB = Array.from({ length: 5 }, b);
+        expect(seqA).toEqual(seqB);
+    });
+
+    it('produces different sequences for different seeds', () => {
+        expect(createRandom(1)()).not.toBe(createRandom(2)());
+    });
+
+    it('returns numbers in [0, 1)', () => {
+        const random = createRandom(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+});
+
+describe('shuffle', () => {
+    it('returns a permutation without modifying the input', () => {
+        const input = [1, 2, 3, 4, 5];
+        const result = shuffle(input, createRandom(3));
+        expect(input).toEqual([1, 2, 3, 4, 5]);
+        expect([...result].sort()).toEqual(input);
+    });
+
+    it('is deterministic for a given seed', () => {
+        expect(shuffle([1, 2, 3, 4, 5], createRandom(9))).toEqual(shuffle([1, 2, 3, 4, 5], createRandom(9)));
+    });
+
+    it('is unbiased: every position is equally likely', () => {
+        const random = createRandom(12345);
+        const runs = 30000;
+        const firstCounts = [0, 0, 0, 0];
+        for (let i = 0; i < runs; i++) {
+            firstCounts[shuffle([0, 1, 2, 3], random)[0]]++;
+        }
+        firstCounts.forEach(count => {
+            expect(Math.abs(count / runs - 0.25)).toBeLessThan(0.02);
+        });
+    });
+});
+
+describe('newSeed', () => {
+    it('returns a six-digit integer', () => {
+        const seed = newSeed();
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(seed).toBeGreaterThanOrEqual(100000);
+        expect(seed).toBeLessThan(1000000);
+    });
+});
@@ -0,0 +1,78 @@
+import { getAssignment, setAssignment, isWorkingOn, computeStats, createStats, addStats, computeTargets, getTargetWeight } from './scheduler';
+import { findNewViolations } from './validator';
+import { isRiderBlocked } from './availability';
+
+/*
+  Finding a stand-in when a rider calls in sick, and keeping fairness straight afterwards.
+
+  Substitutions are recorded as:
+    { date, slotId, sickRiderId, substituteId, recordedAt }
+  The substitute simply holds the cell, so they get credit through the schedule. The sick
+  rider is credited with the missed shift on top, so they are not handed extra shifts later.
+*/
+
+/*
+  Riders who could take the cell, best fit first. Each candidate lists the rules taking
+  the shift would bend: [{ rule, severity }], where severity follows the rule's mode.
+  Blocked, inactive and already-busy riders are left out.
+*/
+export const rankReplacements = ({ schedule, riders, config, date, slotId, carryOver = {} }) => {
+    const current = getAssignment(schedule, date, slotId);
+    const cleared = setAssignment(schedule, date, slotId, null);
+    const stats = addStats(computeStats(cleared, riders, config), carryOver);
+    const targets = computeTargets(riders, riders.reduce((sum, r) => sum + stats[r.id].total, 0), config);
+
+    return riders
+        .filter(r => r.id !== current && !isRiderBlocked(r, date) && !isWorkingOn(cleared, date, r.id))
+        .map(r => {
+            const added = findNewViolations({
+                before: cleared,
+                after: setAssignment(cleared, date, slotId, r.id),
+                riders: [r],
+                config
+            });
+            const bends = [...new Set(added.map(v => v.rule))]
+                .map(rule => ({ rule, severity: added.find(v => v.rule === rule).severity }));
+            return {
+                riderId: r.id,
+                bends,
+                total: stats[r.id].total,
+                target: targets[r.id],
+                load: stats[r.id].total / getTargetWeight(r, config)
+            };
+        })
+        .sort((a, b) => {
+            const errors = (c) => c.bends.filter(bend => bend.severity === 'error').length;
+            return errors(a) - errors(b) || a.bends.length - b.bends.length || a.load - b.load;
+        });
+};
+
+// Adds a substitution; recording the same rider off the same cell again replaces the entry
+export const recordSubstitution = (substitutions, substitution) => [
+    ...substitutions.filter(s =>
+        s.date !== substitution.date || s.slotId !== substitution.slotId || s.sickRiderId !== substitution.sickRiderId
+    ),
+    substitution
+];
+
+/*
+  Stats-shaped credits for the sick riders, for substitutions inside the configured range.
+  A substitution stops counting once the sick rider is back in the cell.
+*/
+export const computeSubstitutionCredits = (substitutions, schedule, riders, config) => substitutions
+    .filter(s => s.date >= config.startDate && s.date <= config.endDate)
+    .filter(s => getAssignment(schedule, s.date, s.slotId) !== s.sickRiderId)
+    .reduce(
+        (acc, s) => addStats(acc, computeStats({ [s.date]: { [s.slotId]: s.sickRiderId } }, riders, config)),
+        createStats(riders, config.shifts)
+    );
+
+/*
+  Fairness numbers shown per rider: this plan's counts with sick credits, and the same on top of
+  the carried-over history. The credits are counted once; carryOver must not already include them.
+*/
+export const computeFairnessStats = ({ schedule, riders, config, substitutions, carryOver }) => {
+    const credits = computeSubstitutionCredits(substitutions, schedule, riders, config);
+    const stats = addStats(computeStats(schedule, riders, config), credits);
+    return { stats, cumulative: addStats(stats, carryOver) };
+};
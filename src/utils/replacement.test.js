@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { rankReplacements, recordSubstitution, computeSubstitutionCredits, computeFairnessStats } from './replacement';
+import { createStats } from './scheduler';
+
+const shifts = [{ id: 'vakt', name: 'Vakt' }];
+const config = { startDate: '2023-10-02', endDate: '2023-10-15', shifts, holidays: { norwegian: false } };
+const riders = [1, 2, 3, 4].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+
+describe('rankReplacements', () => {
+    // R1 is sick on Wednesday; R2 worked Tuesday, R3 is blocked, R4 is free
+    const schedule = {
+        '2023-10-03': { vakt: 2 },
+        '2023-10-04': { vakt: 1 },
+        '2023-10-06': { vakt: 4 }
+    };
+
+    it('leaves out the sick rider and blocked riders', () => {
+        const blocked = riders.map(r => r.id === 3 ? { ...r, blockedDates: ['2023-10-04'] } : r);
+        const ranked = rankReplacements({ schedule, riders: blocked, config, date: '2023-10-04', slotId: 'vakt' });
+        expect(ranked.map(c => c.riderId)).toEqual([4, 2]);
+    });
+
+    it('lists the rules each candidate would bend', () => {
+        const ranked = rankReplacements({ schedule, riders, config, date: '2023-10-04', slotId: 'vakt' });
+        expect(ranked.find(c => c.riderId === 2).bends).toEqual([{ rule: 'consecutiveDays', severity: 'warning' }]);
+        expect(ranked.find(c => c.riderId === 4).bends).toEqual([]);
+        expect(ranked[ranked.length - 1].riderId).toBe(2);
+    });
+
+    it('ranks riders who bend nothing by load', () => {
+        const ranked = rankReplacements({ schedule, riders, config, date: '2023-10-04', slotId: 'vakt' });
+        // R3 has no shifts yet, R4 has one
+        expect(ranked.map(c => c.riderId)).toEqual([3, 4, 2]);
+    });
+
+    it('puts hard rule breaks last', () => {
+        const hard = { ...config, rules: { constraints: { consecutiveDays: 'hard' } } };
+        const busy = { ...schedule, '2023-10-05': { vakt: 3 } };
+        const ranked = rankReplacements({ schedule: busy, riders, config: hard, date: '2023-10-04', slotId: 'vakt' });
+        expect(ranked.map(c => c.riderId)).toEqual([4, 2, 3]);
+        expect(ranked[1].bends).toEqual([{ rule: 'consecutiveDays', severity: 'error' }]);
+    });
+});
+
+describe('substitution credits', () => {
+    const substitution = { date: '2023-10-07', slotId: 'vakt', sickRiderId: 1, substituteId: 2, recordedAt: 'now' };
+
+    it('credits the sick rider while the substitute holds the cell', () => {
+        const schedule = { '2023-10-07': { vakt: 2 } };
+        const credits = computeSubstitutionCredits([substitution], schedule, riders, config);
+        expect(credits[1]).toMatchObject({ total: 1, anchors: 1, weekends: 1 });
+        expect(credits[2].total).toBe(0);
+    });
+
+    it('stops crediting when the sick rider is back in the cell', () => {
+        const schedule = { '2023-10-07': { vakt: 1 } };
+        expect(computeSubstitutionCredits([substitution], schedule, riders, config)[1].total).toBe(0);
+    });
+
+    it('adds exactly one shift to the sick rider cumulative numbers', () => {
+        const schedule = { '2023-10-07': { vakt: 2 } };
+        const carryOver = createStats(riders, shifts);
+        carryOver[1].total = 3;
+        const without = computeFairnessStats({ schedule, riders, config, substitutions: [], carryOver });
+        const withSub = computeFairnessStats({ schedule, riders, config, substitutions: [substitution], carryOver });
+
+        expect(withSub.cumulative[1].total - without.cumulative[1].total).toBe(1);
+        expect(withSub.cumulative[1].total).toBe(4);
+        expect(withSub.cumulative[2].total).toBe(without.cumulative[2].total);
+    });
+
+    it('replaces a substitution recorded again for the same cell and rider', () => {
+        const list = recordSubstitution([substitution], { ...substitution, substituteId: 3 });
+        expect(list).toEqual([{ ...substitution, substituteId: 3 }]);
+    });
+});
@@ -0,0 +1,35 @@
+import { generateDates, formatDate } from './dates';
+import { generateSchedule, setLock, diffSchedules } from './scheduler';
+import { optimizeSchedule } from './optimizer';
+
+/*
+  Regenerates the schedule from `fromDate` onward and leaves every earlier cell untouched.
+  Earlier cells are fed to both passes as fixed input, riders who have left included, so
+  yesterday's worker and last weekend still count for the rules at the boundary.
+
+  Returns { schedule, trace, changes, changedRiderIds }, where changes lists every cell
+  that got a different rider and changedRiderIds every rider who gained or lost a shift.
+*/
+// Every cell in the period before fromDate, in the shape of locks
+export const getFixedBefore = (config, fromDate) => {
+    let fixed = {};
+    generateDates(config.startDate, config.endDate).forEach(date => {
+        const dateStr = formatDate(date);
+        if (dateStr >= fromDate) return;
+        config.shifts.forEach(shift => {
+            fixed = setLock(fixed, dateStr, shift.id, true);
+        });
+    });
+    return fixed;
+};
+
+export const replanFrom = ({ riders, config, schedule, locks = {}, carryOver = {}, fromDate }) => {
+    const fixed = getFixedBefore(config, fromDate);
+
+    const { schedule: greedy, trace } = generateSchedule({ riders, config, schedule, locks, fixed, carryOver });
+    const { schedule: result } = optimizeSchedule({ schedule: greedy, riders, config, locks, fixed, carryOver });
+
+    const changes = diffSchedules(schedule, result, config.shifts);
+    const changedRiderIds = [...new Set(changes.flatMap(c => [c.from, c.to]).filter(id => id !== null))];
+    return { schedule: result, trace, changes, changedRiderIds };
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { replanFrom } from './replan';
+import { generateSchedule } from './scheduler';
+import { optimizeSchedule } from './optimizer';
+
+const shifts = [{ id: 'vakt', name: 'Vakt' }];
+const config = { startDate: '2023-10-01', endDate: '2023-10-31', shifts, seed: 9, holidays: { norwegian: false } };
+const riders = [1, 2, 3, 4].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+
+const plan = () => {
+    const { schedule } = generateSchedule({ riders, config });
+    return optimizeSchedule({ schedule, riders, config }).schedule;
+};
+
+describe('replanFrom', () => {
+    it('keeps every cell before the date when a rider leaves', () => {
+        const schedule = plan();
+        const remaining = riders.filter(r => r.id !== 4);
+        const result = replanFrom({ riders: remaining, config, schedule, fromDate: '2023-10-16' });
+
+        Object.keys(schedule).filter(d => d < '2023-10-16').forEach(date => {
+            expect(result.schedule[date]).toEqual(schedule[date]);
+        });
+        Object.keys(result.schedule).filter(d => d >= '2023-10-16').forEach(date => {
+            expect(result.schedule[date].vakt).not.toBe(4);
+        });
+        expect(result.changes.every(c => c.date >= '2023-10-16')).toBe(true);
+        expect(result.changedRiderIds).toContain(4);
+    });
+
+    it('feeds a removed rider\'s shift the day before as fixed input to both passes', () => {
+        const schedule = { ...plan(), '2023-10-15': { vakt: 4 } };
+        const remaining = riders.filter(r => r.id !== 4);
+        const result = replanFrom({ riders: remaining, config, schedule, fromDate: '2023-10-16' });
+
+        expect(result.schedule['2023-10-15']).toEqual({ vakt: 4 });
+        expect(result.trace['2023-10-15'].vakt).toMatchObject({ pass: 'locked', chosen: 4 });
+        expect(result.changes.some(c => c.date === '2023-10-15')).toBe(false);
+    });
+
+    it('respects the consecutive-day rule across the boundary', () => {
+        const schedule = plan();
+        const yesterday = schedule['2023-10-15'].vakt;
+        const joined = [...riders, { id: 5, name: 'R5', blockedDates: [] }];
+        const result = replanFrom({ riders: joined, config, schedule, fromDate: '2023-10-16' });
+        expect(result.schedule['2023-10-16'].vakt).not.toBe(yesterday);
+    });
+
+    it('reports no changes when nothing needs to move', () => {
+        const schedule = plan();
+        const result = replanFrom({ riders, config, schedule, fromDate: '2023-11-01' });
+        expect(result.changes).toEqual([]);
+        expect(result.changedRiderIds).toEqual([]);
+    });
+});
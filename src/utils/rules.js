@@ -0,0 +1,62 @@
+import { addDays, formatDate, getMonday } from './dates';
+
+/*
+  Scheduling rules, stored in config.rules.
+  Weekdays use Date.getDay() numbering (0 = Sunday, 6 = Saturday).
+
+  Each constraint has a mode:
+    'hard' - never broken; the slot is left empty if nobody fits
+    'soft' - followed when possible, relaxed when nobody fits
+    'off'  - ignored
+*/
+
+export const CONSTRAINT_MODES = ['hard', 'soft', 'off'];
+
+export const DEFAULT_RULES = {
+    anchorDays: [6],
+    weeklyCap: 3,
+    weekendDays: [5, 6, 0],
+    constraints: {
+        consecutiveDays: 'soft',
+        consecutiveAnchors: 'soft',
+        weeklyCap: 'soft',
+        consecutiveWeekends: 'soft'
+    }
+};
+
+// Fills in anything missing from older saves
+export const resolveRules = (rules) => ({
+    ...DEFAULT_RULES,
+    ...(rules || {}),
+    constraints: { ...DEFAULT_RULES.constraints, ...(rules?.constraints || {}) }
+});
+
+export const isAnchorDay = (date, rules) => rules.anchorDays.includes(date.getDay());
+
+export const isWeekendDay = (date, rules) => rules.weekendDays.includes(date.getDay());
+
+// Weekends are identified by the Monday of their week, so the next weekend is always +7 days
+export const getWeekendKey = (date, rules) =>
+    isWeekendDay(date, rules) ? formatDate(getMonday(date)) : null;
+
+// All dates belonging to the weekend `offsetWeeks` away from the reference date's weekend
+export const getWeekendDates = (referenceDate, offsetWeeks, rules) => {
+    const monday = addDays(getMonday(referenceDate), offsetWeeks * 7);
+    const dates = [];
+    for (let i = 0; i < 7; i++) {
+        const date = addDays(monday, i);
+        if (isWeekendDay(date, rules)) dates.push(date);
+    }
+    return dates;
+};
+
+/*
+  Applies a constraint filter according to its mode.
+  Returns the remaining candidates and whether the rule had to be relaxed.
+*/
+export const applyConstraint = (candidates, mode, keep) => {
+    if (mode === 'off') return { candidates, relaxed: false };
+    const filtered = candidates.filter(keep);
+    if (filtered.length > 0 || mode === 'hard') return { candidates: filtered, relaxed: false };
+    return { candidates, relaxed: candidates.length > 0 };
+};
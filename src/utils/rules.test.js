@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RULES, resolveRules, isAnchorDay, isWeekendDay, getWeekendKey, getWeekendDates, applyConstraint } from './rules';
+import { formatDate } from './dates';
+
+describe('resolveRules', () => {
+    it('returns the defaults for older saves without rules', () => {
+        expect(resolveRules(undefined)).toEqual(DEFAULT_RULES);
+    });
+
+    it('keeps saved values and fills in missing constraints', () => {
+        const rules = resolveRules({ weeklyCap: 2, constraints: { weeklyCap: 'hard' } });
+        expect(rules.weeklyCap).toBe(2);
+        expect(rules.constraints.weeklyCap).toBe('hard');
+        expect(rules.constraints.consecutiveDays).toBe(DEFAULT_RULES.constraints.consecutiveDays);
+    });
+});
+
+describe('day classification', () => {
+    it('counts Friday as weekend with the default rules', () => {
+        expect(isWeekendDay(new Date(2023, 9, 6), DEFAULT_RULES)).toBe(true);
+        expect(isWeekendDay(new Date(2023, 9, 6), resolveRules({ weekendDays: [6, 0] }))).toBe(false);
+        expect(isWeekendDay(new Date(2023, 9, 5), DEFAULT_RULES)).toBe(false);
+    });
+
+    it('uses the configured anchor days', () => {
+        const rules = resolveRules({ anchorDays: [0, 6] });
+        expect(isAnchorDay(new Date(2023, 9, 7), rules)).toBe(true); // Saturday
+        expect(isAnchorDay(new Date(2023, 9, 8), rules)).toBe(true); // Sunday
+        expect(isAnchorDay(new Date(2023, 9, 6), rules)).toBe(false); // Friday
+    });
+
+    it('groups weekend days by the Monday of their week', () => {
+        const rules = resolveRules({});
+        expect(getWeekendKey(new Date(2023, 9, 6), rules)).toBe('2023-10-02');
+        expect(getWeekendKey(new Date(2023, 9, 8), rules)).toBe('2023-10-02');
+        expect(getWeekendKey(new Date(2023, 9, 4), rules)).toBeNull();
+    });
+
+    it('lists the dates of a neighbouring weekend', () => {
+        const rules = resolveRules({ weekendDays: [6, 0] });
+        const next = getWeekendDates(new Date(2023, 9, 7), 1, rules).map(formatDate);
+        expect(next).toEqual(['2023-10-14', '2023-10-15']);
+    });
+});
+
+describe('applyConstraint', () => {
+    const candidates = [1, 2, 3];
+
+    it('filters when someone is left', () => {
+        expect(applyConstraint(candidates, 'soft', c => c > 1)).toEqual({ candidates: [2, 3], relaxed: false });
+    });
+
+    it('relaxes a soft rule when nobody is left', () => {
+        expect(applyConstraint(candidates, 'soft', () => false)).toEqual({ candidates, relaxed: true });
+    });
+
+    it('never relaxes a hard rule', () => {
+        expect(applyConstraint(candidates, 'hard', () => false)).toEqual({ candidates: [], relaxed: false });
+    });
+
+    it('ignores rules that are off', () => {
+        expect(applyConstraint(candidates, 'off', () => false)).toEqual({ candidates, relaxed: false });
+    });
+});
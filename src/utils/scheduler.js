@@ -0,0 +1,497 @@
+import { createRandom, shuffle } from './random';
+import { generateDates, formatDate, addDays, getMonday, parseDate } from './dates';
+import { resolveRules, isAnchorDay, isWeekendDay, getWeekendDates, applyConstraint } from './rules';
+import { getSpecialDays, isHolidayType, isClosedType } from './holidays';
+import { isRiderBlocked, isActiveOn, getWish } from './availability';
+
+/*
+  The schedule maps each date to its shift slots:
+    { "2023-10-01": { morgen: 1, kveld: 2 }, ... }
+  A slot value is a rider id, or null when nobody could be assigned.
+*/
+
+export const DEFAULT_SHIFTS = [
+    { id: 'vakt', name: 'Stallvakt', start: '08:00', end: '10:00' }
+];
+
+// --- Schedule access helpers ---
+
+export const getAssignment = (schedule, dateStr, slotId) => {
+    const day = schedule[dateStr];
+    if (!day) return null;
+    return day[slotId] ?? null;
+};
+
+// All rider ids working any slot on the given date
+export const getRidersOnDate = (schedule, dateStr) => {
+    const day = schedule[dateStr];
+    if (!day) return [];
+    return Object.values(day).filter(id => id !== null && id !== undefined);
+};
+
+export const isWorkingOn = (schedule, dateStr, riderId) =>
+    getRidersOnDate(schedule, dateStr).includes(riderId);
+
+export const setAssignment = (schedule, dateStr, slotId, riderId) => ({
+    ...schedule,
+    [dateStr]: { ...(schedule[dateStr] || {}), [slotId]: riderId }
+});
+
+// Locks mirror the schedule shape: { "2023-10-01": { morgen: true } }
+export const isLocked = (locks, dateStr, slotId) => Boolean(locks?.[dateStr]?.[slotId]);
+
+export const setLock = (locks, dateStr, slotId, locked) => {
+    const day = { ...(locks[dateStr] || {}) };
+    if (locked) {
+        day[slotId] = true;
+    } else {
+        delete day[slotId];
+    }
+    const next = { ...locks, [dateStr]: day };
+    if (Object.keys(day).length === 0) delete next[dateStr];
+    return next;
+};
+
+// Older saves stored a single rider id per date; move those into the first slot
+export const normalizeSchedule = (schedule, shifts) => {
+    const firstSlotId = shifts[0]?.id;
+    return Object.entries(schedule || {}).reduce((acc, [dateStr, value]) => {
+        if (value !== null && typeof value === 'object') {
+            acc[dateStr] = value;
+        } else if (firstSlotId) {
+            acc[dateStr] = { [firstSlotId]: value ?? null };
+        }
+        return acc;
+    }, {});
+};
+
+// Flattens the schedule into one entry per assigned slot, in date and slot order
+export const listAssignments = (schedule, shifts) => {
+    const result = [];
+    Object.keys(schedule).sort().forEach(dateStr => {
+        shifts.forEach(shift => {
+            const riderId = getAssignment(schedule, dateStr, shift.id);
+            if (riderId !== null) result.push({ date: dateStr, slotId: shift.id, riderId });
+        });
+    });
+    return result;
+};
+
+// Cells whose rider differs between two schedules: [{ date, slotId, from, to }]
+export const diffSchedules = (before, after, shifts) => {
+    const dates = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    const changes = [];
+    dates.forEach(dateStr => {
+        shifts.forEach(shift => {
+            const from = getAssignment(before, dateStr, shift.id);
+            const to = getAssignment(after, dateStr, shift.id);
+            if (from !== to) changes.push({ date: dateStr, slotId: shift.id, from, to });
+        });
+    });
+    return changes;
+};
+
+// --- Workload ---
+
+// A rider's share of the work: 1 is a full share, 0.5 half, 1.5 extra shifts
+export const MIN_WEIGHT = 0.1;
+
+export const getWeight = (rider) => {
+    const weight = Number(rider?.weight ?? 1);
+    return Number.isFinite(weight) ? Math.max(MIN_WEIGHT, weight) : 1;
+};
+
+// Part of the configured range the rider is active (1 when no config or no active window is given)
+export const getActiveFraction = (rider, config) => {
+    if (!config || (!rider.activeFrom && !rider.activeTo)) return 1;
+    const dates = generateDates(config.startDate, config.endDate).map(formatDate);
+    if (dates.length === 0) return 1;
+    return dates.filter(d => isActiveOn(rider, d)).length / dates.length;
+};
+
+// Weight prorated by the days the rider is active
+export const getTargetWeight = (rider, config) => getWeight(rider) * getActiveFraction(rider, config);
+
+// Each rider's target number of shifts when `totalShifts` are split by (prorated) weight
+export const computeTargets = (riders, totalShifts, config) => {
+    const totalWeight = riders.reduce((sum, r) => sum + getTargetWeight(r, config), 0);
+    return riders.reduce((acc, r) => {
+        acc[r.id] = totalWeight > 0 ? totalShifts * getTargetWeight(r, config) / totalWeight : 0;
+        return acc;
+    }, {});
+};
+
+// How far a wish moves a rider in the fairness ordering, in (weighted) shifts
+export const WISH_BIAS = { preferred: -0.5, disliked: 0.5 };
+
+// --- Stats ---
+
+const emptyStats = (shifts) => ({
+    total: 0,
+    anchors: 0,
+    holidays: 0,
+    weekends: 0,
+    // Shifts on preferred / disliked days, and how many such days the period had
+    wishes: { preferred: 0, disliked: 0, preferredDays: 0, dislikedDays: 0 },
+    slots: shifts.reduce((acc, s) => {
+        acc[s.id] = { total: 0, anchors: 0 };
+        return acc;
+    }, {})
+});
+
+export const createStats = (riders, shifts) => riders.reduce((acc, r) => {
+    acc[r.id] = emptyStats(shifts);
+    return acc;
+}, {});
+
+// What kind of day a date is, as far as fairness is concerned
+const createDayClassifier = (config) => {
+    const rules = resolveRules(config.rules);
+    const specialDays = getSpecialDays(config);
+    return (date) => {
+        const specialDay = specialDays[formatDate(date)];
+        return {
+            anchor: isAnchorDay(date, rules),
+            weekend: isWeekendDay(date, rules),
+            holiday: isHolidayType(specialDay),
+            closed: isClosedType(specialDay)
+        };
+    };
+};
+
+const recordShift = (stats, riderId, slotId, day) => {
+    const riderStats = stats[riderId];
+    if (!riderStats) return;
+    const slotStats = riderStats.slots[slotId];
+    riderStats.total++;
+    if (slotStats) slotStats.total++;
+    if (day.anchor) {
+        riderStats.anchors++;
+        if (slotStats) slotStats.anchors++;
+    }
+    if (day.holiday) riderStats.holidays++;
+    if (day.weekend) riderStats.weekends++;
+};
+
+/*
+  Adds counts carried over from earlier periods to a stats object and returns a new one.
+  Only the riders in `stats` are kept; per-slot counts are added where the slot still exists.
+*/
+export const addStats = (stats, extra = {}) => Object.keys(stats).reduce((acc, riderId) => {
+    const base = stats[riderId];
+    const more = extra[riderId];
+    if (!more) {
+        acc[riderId] = base;
+        return acc;
+    }
+    acc[riderId] = {
+        ...base,
+        total: base.total + (more.total || 0),
+        anchors: base.anchors + (more.anchors || 0),
+        holidays: base.holidays + (more.holidays || 0),
+        weekends: base.weekends + (more.weekends || 0),
+        slots: Object.keys(base.slots).reduce((slots, slotId) => {
+            const slot = more.slots?.[slotId];
+            slots[slotId] = {
+                total: base.slots[slotId].total + (slot?.total || 0),
+                anchors: base.slots[slotId].anchors + (slot?.anchors || 0)
+            };
+            return slots;
+        }, {})
+    };
+    return acc;
+}, {});
+
+export const computeStats = (schedule, riders, config) => {
+    const shifts = config.shifts || DEFAULT_SHIFTS;
+    const classify = createDayClassifier(config);
+    const stats = createStats(riders, shifts);
+    const ridersById = riders.reduce((acc, r) => ({ ...acc, [r.id]: r }), {});
+    listAssignments(schedule, shifts).forEach(({ date, slotId, riderId }) => {
+        const day = classify(parseDate(date));
+        if (day.closed) return;
+        recordShift(stats, riderId, slotId, day);
+        const wish = ridersById[riderId] && getWish(ridersById[riderId], date);
+        if (wish) stats[riderId].wishes[wish]++;
+    });
+
+    // Wish days in the period, so the dashboard can show how many were granted
+    generateDates(config.startDate, config.endDate).forEach(date => {
+        if (classify(date).closed) return;
+        const dateStr = formatDate(date);
+        riders.forEach(r => {
+            const wish = getWish(r, dateStr);
+            if (wish) stats[r.id].wishes[`${wish}Days`]++;
+        });
+    });
+    return stats;
+};
+
+// --- The Scheduler ---
+
+/*
+  Returns { schedule, trace }.
+  Locked cells are copied from the current schedule and treated as fixed input
+  to both passes, so they count toward stats and every constraint check.
+  `fixed` has the same shape as locks and marks cells that already happened: they are
+  copied as they are even when the rider has since been removed (closed days included),
+  and only count toward stats for riders that still exist.
+  carryOver holds counts from earlier periods (see utils/history.js); fairness
+  sorting starts from them instead of zero.
+
+  The trace records every decision, keyed like the schedule:
+    trace["2023-10-01"].morgen = {
+      pass: 'holiday' | 'anchor' | 'fill' | 'locked',
+      blocked: [riderId],                    // blocked the date, singly or by a recurring rule
+      busy: [riderId],                       // already on another slot that day
+      filtered: [{ rule, riderIds }],        // removed by a rule
+      relaxed: [rule],                       // soft rules that nobody could satisfy
+      chosen: riderId | null
+    }
+*/
+export const generateSchedule = ({ riders, config, schedule = {}, locks = {}, fixed = {}, carryOver = {} }) => {
+    const shifts = config.shifts || DEFAULT_SHIFTS;
+    const rules = resolveRules(config.rules);
+    const { constraints } = rules;
+    const classify = createDayClassifier(config);
+    const newSchedule = {};
+    const trace = {};
+    generateDates(config.startDate, config.endDate).forEach(date => {
+        newSchedule[formatDate(date)] = {};
+        trace[formatDate(date)] = {};
+    });
+
+    // Closed days keep an empty entry and are never filled
+    const dates = generateDates(config.startDate, config.endDate).filter(d => !classify(d).closed);
+
+    // Stats tracking, overall and per slot type, starting from earlier periods' counts
+    const stats = addStats(createStats(riders, shifts), carryOver);
+
+    const fixedCells = new Set();
+    const isFixed = (dateStr, slotId) => fixedCells.has(`${dateStr}|${slotId}`);
+
+    // Cells that already happened are kept exactly, whoever held them
+    generateDates(config.startDate, config.endDate).forEach(date => {
+        const dateStr = formatDate(date);
+        const day = classify(date);
+        shifts.forEach(shift => {
+            if (!isLocked(fixed, dateStr, shift.id)) return;
+            const riderId = getAssignment(schedule, dateStr, shift.id);
+            fixedCells.add(`${dateStr}|${shift.id}`);
+            newSchedule[dateStr][shift.id] = riderId;
+            trace[dateStr][shift.id] = { pass: 'locked', blocked: [], busy: [], filtered: [], relaxed: [], chosen: riderId };
+            if (riderId !== null && !day.closed) recordShift(stats, riderId, shift.id, day);
+        });
+    });
+
+    // Locks pointing at a rider that has since been removed are ignored
+    dates.forEach(date => {
+        const dateStr = formatDate(date);
+        shifts.forEach(shift => {
+            if (isFixed(dateStr, shift.id) || !isLocked(locks, dateStr, shift.id)) return;
+            const riderId = getAssignment(schedule, dateStr, shift.id);
+            if (riderId !== null && !stats[riderId]) return;
+            fixedCells.add(`${dateStr}|${shift.id}`);
+            newSchedule[dateStr][shift.id] = riderId;
+            trace[dateStr][shift.id] = { pass: 'locked', blocked: [], busy: [], filtered: [], relaxed: [], chosen: riderId };
+            if (riderId !== null) recordShift(stats, riderId, shift.id, classify(date));
+        });
+    });
+
+    // Same seed, riders and config always give the same plan
+    const random = createRandom(config.seed ?? 1);
+
+    // --- Helpers ---
+
+    const workedOn = (date, candidateId) => isWorkingOn(newSchedule, formatDate(date), candidateId);
+
+    // Did the candidate work the weekend `offsetWeeks` away (Prev = -1, Next = 1)?
+    const checkWeekend = (referenceDate, offsetWeeks, candidateId) =>
+        getWeekendDates(referenceDate, offsetWeeks, rules).some(d => workedOn(d, candidateId));
+
+    const countShiftsInWeek = (currentDate, candidateId) => {
+        const monday = getMonday(currentDate);
+        let count = 0;
+        for (let i = 0; i < 7; i++) {
+            const day = newSchedule[formatDate(addDays(monday, i))];
+            if (!day) continue;
+            count += Object.values(day).filter(id => id === candidateId).length;
+        }
+        return count;
+    };
+
+    // Compares two riders' counts relative to their workload weight, prorated by active days.
+    // Riders who are never active are never candidates, so their zero weight is never divided by.
+    const targetWeights = riders.reduce((acc, r) => ({ ...acc, [r.id]: getTargetWeight(r, config) }), {});
+    const compareLoad = (a, b, pick) =>
+        pick(stats[a.id]) / targetWeights[a.id] - pick(stats[b.id]) / targetWeights[b.id];
+
+    // Same, with wishes counting as half a shift: enough to pick between
+    // riders who are level, never enough to pass someone a full shift behind
+    const wishBias = (rider, dateStr) => WISH_BIAS[getWish(rider, dateStr)] || 0;
+    const compareLoadWithWishes = (a, b, pick, dateStr) =>
+        compareLoad(a, b, pick) + wishBias(a, dateStr) - wishBias(b, dateStr);
+
+    const startTrace = (dateStr, slotId, pass) => {
+        const entry = { pass, blocked: [], busy: [], filtered: [], relaxed: [], chosen: null };
+        trace[dateStr][slotId] = entry;
+        return entry;
+    };
+
+    // A rider can only cover one slot per day
+    const availableFor = (dateStr, entry) => riders.filter(r => {
+        if (isRiderBlocked(r, dateStr)) {
+            entry.blocked.push(r.id);
+            return false;
+        }
+        if (isWorkingOn(newSchedule, dateStr, r.id)) {
+            entry.busy.push(r.id);
+            return false;
+        }
+        return true;
+    });
+
+    // Applies a rule according to its mode and writes the outcome to the trace
+    const applyRule = (entry, rule, candidates, keep) => {
+        const result = applyConstraint(candidates, constraints[rule], keep);
+        if (result.relaxed) {
+            entry.relaxed.push(rule);
+        } else if (result.candidates.length < candidates.length) {
+            entry.filtered.push({
+                rule,
+                riderIds: candidates.filter(r => !result.candidates.includes(r)).map(r => r.id)
+            });
+        }
+        return result.candidates;
+    };
+
+    const assign = (date, dateStr, slotId, chosen, entry) => {
+        newSchedule[dateStr][slotId] = chosen ? chosen.id : null;
+        entry.chosen = chosen ? chosen.id : null;
+        if (chosen) recordShift(stats, chosen.id, slotId, classify(date));
+    };
+
+    const filterConsecutiveDays = (entry, candidates, date) => {
+        const yesterday = addDays(date, -1);
+        const tomorrow = addDays(date, 1);
+        return applyRule(entry, 'consecutiveDays', candidates, r =>
+            !workedOn(yesterday, r.id) && !workedOn(tomorrow, r.id)
+        );
+    };
+
+    // --- PASS 1: HOLIDAYS AND ANCHOR DAYS (Saturdays by default) ---
+    // Holidays are the most contested shifts, so they are handed out first.
+
+    const isPassOneDay = (date) => {
+        const day = classify(date);
+        return day.holiday || day.anchor;
+    };
+    const holidayDates = dates.filter(d => classify(d).holiday);
+    const anchorDates = dates.filter(d => !classify(d).holiday && classify(d).anchor);
+
+    [...holidayDates, ...anchorDates].forEach(date => {
+        const dateStr = formatDate(date);
+        const { holiday } = classify(date);
+
+        shifts.forEach(shift => {
+            if (isFixed(dateStr, shift.id)) return;
+            const entry = startTrace(dateStr, shift.id, holiday ? 'holiday' : 'anchor');
+
+            // 1. Availability
+            let candidates = availableFor(dateStr, entry);
+
+            // 2. Constraint: Consecutive Days (only other anchors and locks are placed yet)
+            candidates = filterConsecutiveDays(entry, candidates, date);
+
+            // 3. Constraint: Avoid the same anchor weekday two weeks running
+            const prevAnchor = addDays(date, -7);
+            candidates = applyRule(entry, 'consecutiveAnchors', candidates, r =>
+                !workedOn(prevAnchor, r.id)
+            );
+
+            if (candidates.length === 0) {
+                assign(date, dateStr, shift.id, null, entry);
+                return;
+            }
+
+            // 4. Sort by holidays worked (on holidays), then STRICTLY by anchor count for this slot type.
+            //    All counts are relative to the rider's workload weight; wishes break near-ties.
+            candidates = shuffle(candidates, random).sort((a, b) => {
+                const byHolidays = compareLoadWithWishes(a, b, s => s.holidays, dateStr);
+                if (holiday && byHolidays !== 0) return byHolidays;
+                const bySlotAnchors = compareLoadWithWishes(a, b, s => s.slots[shift.id].anchors, dateStr);
+                if (bySlotAnchors !== 0) return bySlotAnchors;
+                const byAnchors = compareLoad(a, b, s => s.anchors);
+                if (byAnchors !== 0) return byAnchors;
+                return compareLoad(a, b, s => s.total);
+            });
+
+            assign(date, dateStr, shift.id, candidates[0], entry);
+        });
+    });
+
+    // --- PASS 2: ALL OTHER DAYS (The "Fill") ---
+
+    dates.filter(d => !isPassOneDay(d)).forEach(date => {
+        const dateStr = formatDate(date);
+
+        shifts.forEach(shift => {
+            if (isFixed(dateStr, shift.id)) return;
+            const entry = startTrace(dateStr, shift.id, 'fill');
+
+            // 1. Availability
+            let candidates = availableFor(dateStr, entry);
+
+            // 2. Constraint: Consecutive Days (Lookbehind AND Lookahead)
+            candidates = filterConsecutiveDays(entry, candidates, date);
+
+            // 2b. Constraint: Weekly Cap
+            // Priority: Try to find someone below the cap this week.
+            candidates = applyRule(entry, 'weeklyCap', candidates, r =>
+                countShiftsInWeek(date, r.id) < rules.weeklyCap
+            );
+
+            // 3. Constraint: Consecutive Weekends (Lookbehind AND Lookahead)
+            if (isWeekendDay(date, rules)) {
+                candidates = applyRule(entry, 'consecutiveWeekends', candidates, r =>
+                    !checkWeekend(date, -1, r.id) && !checkWeekend(date, 1, r.id)
+                );
+            }
+
+            if (candidates.length === 0) {
+                assign(date, dateStr, shift.id, null, entry);
+                return;
+            }
+
+            // 4. Sort by shifts of this slot type, then weekend shifts on weekend days,
+            //    then total shifts (relative to weight, nudged by wishes)
+            const weekend = isWeekendDay(date, rules);
+            candidates = shuffle(candidates, random).sort((a, b) => {
+                const bySlot = compareLoadWithWishes(a, b, s => s.slots[shift.id].total, dateStr);
+                if (bySlot !== 0) return bySlot;
+                const byWeekends = compareLoad(a, b, s => s.weekends);
+                if (weekend && byWeekends !== 0) return byWeekends;
+                return compareLoad(a, b, s => s.total);
+            });
+
+            assign(date, dateStr, shift.id, candidates[0], entry);
+        });
+    });
+
+    return { schedule: newSchedule, trace };
+};
+
+// Cells that ended up empty or needed a soft rule relaxed, in date and slot order
+export const listProblemCells = (trace, shifts) => {
+    const problems = [];
+    Object.keys(trace).sort().forEach(dateStr => {
+        shifts.forEach(shift => {
+            const entry = trace[dateStr][shift.id];
+            if (!entry || entry.pass === 'locked') return;
+            if (entry.chosen === null || entry.relaxed.length > 0) {
+                problems.push({ date: dateStr, slotId: shift.id, entry });
+            }
+        });
+    });
+    return problems;
+};
@@ -0,0 +1,390 @@
+import { describe, it, expect } from 'vitest';
+import { generateSchedule, normalizeSchedule, computeStats, getRidersOnDate, listAssignments, isLocked, setLock, listProblemCells, getWeight, computeTargets, addStats, diffSchedules } from './scheduler';
+import { optimizeSchedule } from './optimizer';
+
+describe('generateSchedule', () => {
+    const riders = [1, 2, 3, 4].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+    const shifts = [
+        { id: 'morgen', name: 'Morgen', start: '07:00', end: '09:00' },
+        { id: 'kveld', name: 'Kveld', start: '17:00', end: '19:00' }
+    ];
+    const config = { startDate: '2023-10-02', endDate: '2023-10-29', shifts };
+
+    it('fills every slot of every day', () => {
+        const { schedule } = generateSchedule({ riders, config });
+        expect(Object.keys(schedule)).toHaveLength(28);
+        Object.values(schedule).forEach(day => {
+            expect(day.morgen).not.toBeNull();
+            expect(day.kveld).not.toBeNull();
+        });
+    });
+
+    it('never gives one rider two slots on the same day', () => {
+        const { schedule } = generateSchedule({ riders, config });
+        Object.keys(schedule).forEach(dateStr => {
+            const ids = getRidersOnDate(schedule, dateStr);
+            expect(new Set(ids).size).toBe(ids.length);
+        });
+    });
+
+    it('balances each slot type across riders', () => {
+        const { schedule } = generateSchedule({ riders, config });
+        const stats = computeStats(schedule, riders, config);
+        shifts.forEach(shift => {
+            const counts = riders.map(r => stats[r.id].slots[shift.id].total);
+            expect(Math.max(...counts) - Math.min(...counts)).toBeLessThanOrEqual(2);
+        });
+    });
+
+    it('respects blocked dates', () => {
+        const blocked = riders.map(r => r.id === 1 ? { ...r, blockedDates: ['2023-10-07'] } : r);
+        const { schedule } = generateSchedule({ riders: blocked, config });
+        expect(getRidersOnDate(schedule, '2023-10-07')).not.toContain(1);
+    });
+
+    it('leaves a slot empty when nobody is available', () => {
+        const blocked = riders.map(r => ({ ...r, blockedDates: ['2023-10-10'] }));
+        const { schedule } = generateSchedule({ riders: blocked, config });
+        expect(schedule['2023-10-10']).toEqual({ morgen: null, kveld: null });
+    });
+});
+
+describe('normalizeSchedule', () => {
+    it('moves single-rider days from older saves into the first slot', () => {
+        const shifts = [{ id: 'morgen' }, { id: 'kveld' }];
+        expect(normalizeSchedule({ '2023-10-01': 2, '2023-10-02': null }, shifts)).toEqual({
+            '2023-10-01': { morgen: 2 },
+            '2023-10-02': { morgen: null }
+        });
+    });
+});
+
+describe('listAssignments', () => {
+    it('lists assigned slots in date and slot order', () => {
+        const schedule = {
+            '2023-10-02': { kveld: 1, morgen: null },
+            '2023-10-01': { morgen: 2, kveld: 3 }
+        };
+        expect(listAssignments(schedule, [{ id: 'morgen' }, { id: 'kveld' }])).toEqual([
+            { date: '2023-10-01', slotId: 'morgen', riderId: 2 },
+            { date: '2023-10-01', slotId: 'kveld', riderId: 3 },
+            { date: '2023-10-02', slotId: 'kveld', riderId: 1 }
+        ]);
+    });
+});
+
+describe('locked cells', () => {
+    const riders = [1, 2, 3].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+    const shifts = [{ id: 'vakt', name: 'Vakt' }];
+    const config = { startDate: '2023-10-02', endDate: '2023-10-15', shifts };
+
+    it('keeps locked assignments when regenerating', () => {
+        const schedule = { '2023-10-04': { vakt: 3 }, '2023-10-07': { vakt: 1 } };
+        const locks = { '2023-10-04': { vakt: true }, '2023-10-07': { vakt: true } };
+        const { schedule: result } = generateSchedule({ riders, config, schedule, locks });
+        expect(result['2023-10-04'].vakt).toBe(3);
+        expect(result['2023-10-07'].vakt).toBe(1);
+    });
+
+    it('treats locked assignments as input to the consecutive day rule', () => {
+        const schedule = { '2023-10-04': { vakt: 3 } };
+        const locks = { '2023-10-04': { vakt: true } };
+        const { schedule: result } = generateSchedule({ riders, config, schedule, locks });
+        expect(result['2023-10-03'].vakt).not.toBe(3);
+        expect(result['2023-10-05'].vakt).not.toBe(3);
+    });
+
+    it('counts locked assignments toward fairness', () => {
+        const schedule = {};
+        const locks = {};
+        ['2023-10-02', '2023-10-04', '2023-10-06'].forEach(d => {
+            schedule[d] = { vakt: 1 };
+            locks[d] = { vakt: true };
+        });
+        const { schedule: result } = generateSchedule({ riders, config, schedule, locks });
+        const stats = computeStats(result, riders, config);
+        expect(stats[1].total).toBeLessThanOrEqual(stats[2].total + 1);
+    });
+
+    it('ignores locks for riders that no longer exist', () => {
+        const schedule = { '2023-10-04': { vakt: 99 } };
+        const locks = { '2023-10-04': { vakt: true } };
+        const { schedule: result } = generateSchedule({ riders, config, schedule, locks });
+        expect(result['2023-10-04'].vakt).not.toBe(99);
+    });
+
+    it('keeps fixed cells even for riders that no longer exist', () => {
+        const schedule = { '2023-10-04': { vakt: 99 }, '2023-10-05': { vakt: 2 } };
+        const fixed = { '2023-10-04': { vakt: true }, '2023-10-05': { vakt: true } };
+        const { schedule: result } = generateSchedule({ riders, config, schedule, fixed });
+        expect(result['2023-10-04'].vakt).toBe(99);
+        expect(result['2023-10-05'].vakt).toBe(2);
+        expect(result['2023-10-06'].vakt).not.toBe(2);
+        const optimized = optimizeSchedule({ schedule: result, riders, config, fixed }).schedule;
+        expect(optimized['2023-10-04'].vakt).toBe(99);
+        expect(optimized['2023-10-05'].vakt).toBe(2);
+    });
+});
+
+describe('diffSchedules', () => {
+    it('lists cells that got a different rider', () => {
+        const before = { '2023-10-01': { morgen: 1, kveld: 2 }, '2023-10-02': { morgen: 3 } };
+        const after = { '2023-10-01': { morgen: 1, kveld: 3 }, '2023-10-03': { morgen: 2 } };
+        expect(diffSchedules(before, after, [{ id: 'morgen' }, { id: 'kveld' }])).toEqual([
+            { date: '2023-10-01', slotId: 'kveld', from: 2, to: 3 },
+            { date: '2023-10-02', slotId: 'morgen', from: 3, to: null },
+            { date: '2023-10-03', slotId: 'morgen', from: null, to: 2 }
+        ]);
+    });
+});
+
+describe('setLock', () => {
+    it('adds and removes locks without leaving empty days behind', () => {
+        const locked = setLock({}, '2023-10-01', 'vakt', true);
+        expect(isLocked(locked, '2023-10-01', 'vakt')).toBe(true);
+        expect(setLock(locked, '2023-10-01', 'vakt', false)).toEqual({});
+    });
+});
+
+describe('seeded generation', () => {
+    const riders = [1, 2, 3, 4, 5].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+    const config = { startDate: '2023-10-01', endDate: '2023-11-30', shifts: [{ id: 'vakt', name: 'Vakt' }] };
+
+    it('gives the same plan for the same seed', () => {
+        expect(generateSchedule({ riders, config: { ...config, seed: 2024 } }).schedule)
+            .toEqual(generateSchedule({ riders, config: { ...config, seed: 2024 } }).schedule);
+    });
+
+    it('gives a different plan for a different seed', () => {
+        expect(generateSchedule({ riders, config: { ...config, seed: 1 } }).schedule)
+            .not.toEqual(generateSchedule({ riders, config: { ...config, seed: 2 } }).schedule);
+    });
+});
+
+describe('configurable rules', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt' }];
+
+    it('leaves a slot empty instead of breaking a hard rule', () => {
+        const riders = [{ id: 1, name: 'R1', blockedDates: [] }];
+        const config = {
+            startDate: '2023-10-02',
+            endDate: '2023-10-04',
+            shifts,
+            rules: { constraints: { consecutiveDays: 'hard' } }
+        };
+        const { schedule } = generateSchedule({ riders, config });
+        expect(schedule['2023-10-03'].vakt).toBeNull();
+    });
+
+    it('relaxes a soft rule to fill the slot', () => {
+        const riders = [{ id: 1, name: 'R1', blockedDates: [] }];
+        const config = { startDate: '2023-10-02', endDate: '2023-10-04', shifts, rules: { weeklyCap: 7 } };
+        const { schedule } = generateSchedule({ riders, config });
+        expect(Object.values(schedule).map(d => d.vakt)).toEqual([1, 1, 1]);
+    });
+
+    it('respects the configured weekly cap', () => {
+        const riders = [1, 2, 3].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+        const config = {
+            startDate: '2023-10-02',
+            endDate: '2023-10-08',
+            shifts,
+            rules: { weeklyCap: 2, anchorDays: [], constraints: { weeklyCap: 'hard', consecutiveDays: 'off' } }
+        };
+        const stats = computeStats(generateSchedule({ riders, config }).schedule, riders, config);
+        riders.forEach(r => expect(stats[r.id].total).toBeLessThanOrEqual(2));
+    });
+
+    it('counts the configured anchor days', () => {
+        const riders = [1, 2].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+        const config = { startDate: '2023-10-07', endDate: '2023-10-08', shifts, rules: { anchorDays: [6, 0] } };
+        const stats = computeStats(generateSchedule({ riders, config }).schedule, riders, config);
+        expect(stats[1].anchors + stats[2].anchors).toBe(2);
+    });
+});
+
+describe('holidays', () => {
+    const riders = [1, 2, 3, 4].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+    const shifts = [{ id: 'vakt', name: 'Vakt' }];
+
+    it('leaves closed days without shifts', () => {
+        const config = {
+            startDate: '2024-05-13',
+            endDate: '2024-05-19',
+            shifts,
+            holidays: { norwegian: true, customDays: [{ date: '2024-05-15', name: 'Stengt', type: 'closed' }] }
+        };
+        const { schedule } = generateSchedule({ riders, config });
+        expect(schedule['2024-05-15']).toEqual({});
+        expect(schedule['2024-05-14'].vakt).not.toBeNull();
+    });
+
+    it('balances holidays worked across riders', () => {
+        const config = { startDate: '2024-03-25', endDate: '2024-05-26', shifts, seed: 3 };
+        const stats = computeStats(generateSchedule({ riders, config }).schedule, riders, config);
+        const holidays = riders.map(r => stats[r.id].holidays);
+        // 9 public holidays in the range
+        expect(holidays.reduce((a, b) => a + b, 0)).toBe(9);
+        expect(Math.max(...holidays) - Math.min(...holidays)).toBeLessThanOrEqual(1);
+    });
+});
+
+describe('decision trace', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt' }];
+
+    it('records blocked riders and the chosen rider', () => {
+        const riders = [
+            { id: 1, name: 'R1', blockedDates: ['2023-10-03'] },
+            { id: 2, name: 'R2', blockedDates: [] }
+        ];
+        const config = { startDate: '2023-10-03', endDate: '2023-10-03', shifts };
+        const { trace } = generateSchedule({ riders, config });
+        expect(trace['2023-10-03'].vakt).toMatchObject({ pass: 'fill', blocked: [1], chosen: 2, relaxed: [] });
+    });
+
+    it('records which rule filtered which riders', () => {
+        const riders = [1, 2].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+        const config = { startDate: '2023-10-02', endDate: '2023-10-04', shifts, seed: 1 };
+        const schedule = { '2023-10-02': { vakt: 1 } };
+        const locks = { '2023-10-02': { vakt: true } };
+        const { trace } = generateSchedule({ riders, config, schedule, locks });
+        expect(trace['2023-10-02'].vakt.pass).toBe('locked');
+        expect(trace['2023-10-03'].vakt.filtered).toEqual([{ rule: 'consecutiveDays', riderIds: [1] }]);
+    });
+
+    it('records relaxed soft rules and lists problem cells', () => {
+        const riders = [{ id: 1, name: 'R1', blockedDates: [] }];
+        const config = { startDate: '2023-10-02', endDate: '2023-10-03', shifts };
+        const { trace } = generateSchedule({ riders, config });
+        expect(trace['2023-10-03'].vakt.relaxed).toContain('consecutiveDays');
+        expect(listProblemCells(trace, shifts).map(p => p.date)).toContain('2023-10-03');
+    });
+
+    it('lists unfilled cells as problems', () => {
+        const riders = [{ id: 1, name: 'R1', blockedDates: ['2023-10-02'] }];
+        const config = { startDate: '2023-10-02', endDate: '2023-10-02', shifts };
+        const { trace } = generateSchedule({ riders, config });
+        expect(listProblemCells(trace, shifts)).toEqual([
+            { date: '2023-10-02', slotId: 'vakt', entry: expect.objectContaining({ chosen: null, blocked: [1] }) }
+        ]);
+    });
+});
+
+describe('workload weights', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt', start: '08:00', end: '10:00' }];
+
+    it('defaults to 1 and clamps invalid weights', () => {
+        expect(getWeight({})).toBe(1);
+        expect(getWeight({ weight: 0.5 })).toBe(0.5);
+        expect(getWeight({ weight: 0 })).toBe(0.1);
+        expect(getWeight({ weight: 'abc' })).toBe(1);
+    });
+
+    it('splits a total by weight', () => {
+        const riders = [{ id: 1, weight: 1 }, { id: 2, weight: 0.5 }, { id: 3, weight: 0.5 }];
+        expect(computeTargets(riders, 20)).toEqual({ 1: 10, 2: 5, 3: 5 });
+    });
+
+    it('gives a half-weight rider about half the shifts', () => {
+        const riders = [
+            { id: 1, name: 'R1', blockedDates: [], weight: 1 },
+            { id: 2, name: 'R2', blockedDates: [], weight: 1 },
+            { id: 3, name: 'R3', blockedDates: [], weight: 0.5 }
+        ];
+        const config = { startDate: '2023-10-01', endDate: '2023-11-09', shifts, seed: 3 };
+        const { schedule } = generateSchedule({ riders, config });
+        const stats = computeStats(schedule, riders, config);
+        expect(stats[3].total).toBeGreaterThanOrEqual(7);
+        expect(stats[3].total).toBeLessThanOrEqual(9);
+        expect(stats[1].total).toBeGreaterThan(stats[3].total + 4);
+    });
+});
+
+describe('recurring unavailability', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt', start: '08:00', end: '10:00' }];
+
+    it('never assigns a rider on a weekday they are always away', () => {
+        const riders = [
+            { id: 1, name: 'R1', blockedDates: [], unavailability: [{ type: 'weekday', weekdays: [3] }] },
+            { id: 2, name: 'R2', blockedDates: [] },
+            { id: 3, name: 'R3', blockedDates: [] }
+        ];
+        const config = { startDate: '2023-10-02', endDate: '2023-10-29', shifts, seed: 5 };
+        const { schedule, trace } = generateSchedule({ riders, config });
+        ['2023-10-04', '2023-10-11', '2023-10-18', '2023-10-25'].forEach(date => {
+            expect(schedule[date].vakt).not.toBe(1);
+            expect(trace[date].vakt.blocked).toContain(1);
+        });
+    });
+});
+
+describe('wishes', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt', start: '08:00', end: '10:00' }];
+    const config = { startDate: '2023-10-02', endDate: '2023-10-15', shifts, holidays: { norwegian: false } };
+    const riders = [
+        { id: 1, name: 'R1', blockedDates: [], wishes: { preferredWeekdays: [2], dislikedWeekdays: [4] } },
+        { id: 2, name: 'R2', blockedDates: [] }
+    ];
+
+    it('counts shifts on wish days and the wish days in the period', () => {
+        const schedule = { '2023-10-03': { vakt: 1 }, '2023-10-05': { vakt: 1 }, '2023-10-10': { vakt: 2 } };
+        const stats = computeStats(schedule, riders, config);
+        expect(stats[1].wishes).toEqual({ preferred: 1, disliked: 1, preferredDays: 2, dislikedDays: 2 });
+        expect(stats[2].wishes).toEqual({ preferred: 0, disliked: 0, preferredDays: 0, dislikedDays: 0 });
+    });
+
+    it('lets a wish decide between riders who are level', () => {
+        const oneDay = { ...config, startDate: '2023-10-03', endDate: '2023-10-03' };
+        [1, 2, 3, 4, 5].forEach(seed => {
+            const { schedule } = generateSchedule({ riders, config: { ...oneDay, seed } });
+            expect(schedule['2023-10-03'].vakt).toBe(1);
+        });
+    });
+});
+
+describe('carry-over from earlier periods', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt', start: '08:00', end: '10:00' }];
+
+    it('gives fewer anchor days to the rider who had more before', () => {
+        const riders = [1, 2, 3].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+        const config = { startDate: '2023-11-01', endDate: '2023-11-30', shifts, seed: 4, holidays: { norwegian: false } };
+        const carryOver = { 1: { total: 12, anchors: 5, holidays: 0, weekends: 6, slots: { vakt: { total: 12, anchors: 5 } } } };
+        const { schedule } = generateSchedule({ riders, config, carryOver });
+        const stats = computeStats(schedule, riders, config);
+        expect(stats[1].anchors).toBe(0);
+        expect(stats[1].total).toBeLessThan(stats[2].total);
+    });
+
+    it('adds carried counts to stats', () => {
+        const stats = { 1: { total: 1, anchors: 0, holidays: 0, weekends: 0, slots: { vakt: { total: 1, anchors: 0 } } } };
+        const combined = addStats(stats, { 1: { total: 2, anchors: 1, holidays: 1, weekends: 1, slots: { vakt: { total: 2, anchors: 1 }, old: { total: 3 } } } });
+        expect(combined[1]).toEqual({ total: 3, anchors: 1, holidays: 1, weekends: 1, slots: { vakt: { total: 3, anchors: 1 } } });
+        expect(stats[1].total).toBe(1);
+    });
+});
+
+describe('active periods', () => {
+    const shifts = [{ id: 'vakt', name: 'Vakt', start: '08:00', end: '10:00' }];
+    const config = { startDate: '2023-10-01', endDate: '2023-10-30', shifts, seed: 2, holidays: { norwegian: false } };
+    const riders = [
+        { id: 1, name: 'R1', blockedDates: [] },
+        { id: 2, name: 'R2', blockedDates: [] },
+        { id: 3, name: 'R3', blockedDates: [], activeFrom: '2023-10-16' }
+    ];
+
+    it('prorates targets by active days', () => {
+        // R3 is active 15 of 30 days, so half a share
+        expect(computeTargets(riders, 25, config)).toEqual({ 1: 10, 2: 10, 3: 5 });
+        expect(computeTargets(riders, 30)).toEqual({ 1: 10, 2: 10, 3: 10 });
+    });
+
+    it('never assigns a rider before they start and balances the rest', () => {
+        const { schedule } = generateSchedule({ riders, config });
+        Object.keys(schedule).filter(d => d < '2023-10-16').forEach(date => {
+            expect(schedule[date].vakt).not.toBe(3);
+        });
+        const stats = computeStats(schedule, riders, config);
+        expect(stats[3].total).toBeGreaterThanOrEqual(5);
+        expect(stats[3].total).toBeLessThanOrEqual(8);
+    });
+});
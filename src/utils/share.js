@@ -0,0 +1,118 @@
+import { listAssignments, setAssignment } from './scheduler';
+import { getSpecialDays } from './holidays';
+import { DEFAULT_RULES, resolveRules } from './rules';
+
+/*
+  Read-only share links. The plan is packed into the URL fragment, which never reaches the
+  server, so links work on the static gh-pages host:
+    https://<user>.github.io/Stall-plan/#plan=<deflate-raw, base64url>
+  The shared plan holds only what the calendar shows; contact details, blocked dates and wishes
+  stay in the planner's browser.
+    { v, title, startDate, endDate, shifts: [{ id, name, start, end }], weekendDays,
+      riders: [{ id, name, color }], schedule, specialDays: { date: { name, type } } }
+  weekendDays has the shape rules use, so isWeekendDay(date, plan) works on a shared plan.
+*/
+
+export const SHARE_VERSION = 1;
+export const SHARE_HASH_PREFIX = '#plan=';
+
+export const createSharePlan = ({ config, schedule, riders, title }) => {
+    const riderIds = new Set(riders.map(r => r.id));
+    // Only filled cells inside the period, with riders that still exist
+    const shared = listAssignments(schedule, config.shifts)
+        .filter(a => a.date >= config.startDate && a.date <= config.endDate && riderIds.has(a.riderId))
+        .reduce((acc, a) => setAssignment(acc, a.date, a.slotId, a.riderId), {});
+
+    return {
+        v: SHARE_VERSION,
+        title,
+        startDate: config.startDate,
+        endDate: config.endDate,
+        shifts: config.shifts.map(({ id, name, start, end }) => ({ id, name, start, end })),
+        weekendDays: resolveRules(config.rules).weekendDays,
+        riders: riders.map(({ id, name, color }) => ({ id, name, color })),
+        schedule: shared,
+        specialDays: getSpecialDays(config)
+    };
+};
+
+const transform = (bytes, stream) =>
+    new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(buffer => new Uint8Array(buffer));
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+};
+
+/*
+  Resolves to the fragment text for the plan. Rejects when the browser cannot compress
+  (no CompressionStream), also when that shows up as an error thrown while starting.
+*/
+export const encodeSharePlan = (plan) => Promise.resolve()
+    .then(() => transform(new TextEncoder().encode(JSON.stringify(plan)), new CompressionStream('deflate-raw')))
+    .then(toBase64Url);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const isId = (value) => typeof value === 'number' || typeof value === 'string';
+
+const isShift = (shift) => isPlainObject(shift) && isId(shift.id) &&
+    ['name', 'start', 'end'].every(key => shift[key] === undefined || typeof shift[key] === 'string');
+
+const isRider = (rider) => isPlainObject(rider) && isId(rider.id) && typeof rider.name === 'string' &&
+    (rider.color === undefined || typeof rider.color === 'string');
+
+const isSpecialDay = (day) => isPlainObject(day) && typeof day.name === 'string' && typeof day.type === 'string';
+
+/*
+  Everything the shared view renders is checked here, down to each rider, slot and cell,
+  so a damaged or hand-made link shows the error message instead of breaking the page.
+*/
+const isSharePlan = (plan) => isPlainObject(plan) &&
+    (plan.title === undefined || typeof plan.title === 'string') &&
+    isDateString(plan.startDate) && isDateString(plan.endDate) && plan.startDate <= plan.endDate &&
+    Array.isArray(plan.shifts) && plan.shifts.every(isShift) &&
+    Array.isArray(plan.riders) && plan.riders.every(isRider) &&
+    isPlainObject(plan.schedule) &&
+    Object.entries(plan.schedule).every(([date, day]) => isDateString(date) && isPlainObject(day) &&
+        Object.values(day).every(id => id === null || isId(id))) &&
+    (plan.weekendDays === undefined ||
+        (Array.isArray(plan.weekendDays) && plan.weekendDays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) &&
+    (plan.specialDays === undefined || (isPlainObject(plan.specialDays) && Object.values(plan.specialDays).every(isSpecialDay)));
+
+/*
+  Resolves to { plan, error }: the shared plan, or a readable reason the link could not be opened.
+  Damaged or cut-off links end up here instead of rejecting.
+*/
+export const decodeSharePlan = (text) => {
+    const failed = { plan: null, error: 'Lenken er ufullstendig eller skadet. Be om en ny lenke.' };
+    let bytes;
+    try {
+        bytes = fromBase64Url(text);
+    } catch {
+        return Promise.resolve(failed);
+    }
+    return Promise.resolve()
+        .then(() => transform(bytes, new DecompressionStream('deflate-raw')))
+        .then(data => {
+            const plan = JSON.parse(new TextDecoder().decode(data));
+            if (isPlainObject(plan) && plan.v > SHARE_VERSION) {
+                return { plan: null, error: 'Lenken er laget med en nyere versjon av appen.' };
+            }
+            return isSharePlan(plan) ? { plan: { specialDays: {}, weekendDays: DEFAULT_RULES.weekendDays, ...plan }, error: null } : failed;
+        })
+        .catch(() => failed);
+};
+
+// The encoded plan in a location hash, or null when the page is not a share link
+export const readShareHash = (hash) => (hash.startsWith(SHARE_HASH_PREFIX) ? hash.slice(SHARE_HASH_PREFIX.length) : null);
+
+export const getShareUrl = (href, encoded) => `${href.split('#')[0]}${SHARE_HASH_PREFIX}${encoded}`;
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { SHARE_HASH_PREFIX, createSharePlan, encodeSharePlan, decodeSharePlan, readShareHash, getShareUrl } from './share';
+
+const config = {
+    startDate: '2023-12-24',
+    endDate: '2023-12-27',
+    shifts: [
+        { id: 'morning', name: 'Morgen', start: '07:00', end: '09:00' },
+        { id: 'evening', name: 'Kveld', start: '18:00', end: '20:00' }
+    ]
+};
+
+const riders = [
+    { id: 1, name: 'Åse', color: 'bg-blue-100', email: 'ase@stall.no', phone: '99999999', blockedDates: ['2023-12-25'], wishes: { '2023-12-26': 'avoid' } },
+    { id: 2, name: 'Bjørn', color: 'bg-green-100', blockedDates: [] }
+];
+
+const schedule = {
+    '2023-12-24': { morning: 1, evening: 2 },
+    '2023-12-25': { morning: 2, evening: null },
+    '2023-12-28': { morning: 1, evening: 1 }, // outside the period
+    '2023-12-26': { morning: 9, evening: 1 } // 9 was removed
+};
+
+describe('createSharePlan', () => {
+    const plan = createSharePlan({ config, schedule, riders, title: 'Stallvakt' });
+
+    it('keeps names and colours but no contact details or availability', () => {
+        expect(plan.riders).toEqual([
+            { id: 1, name: 'Åse', color: 'bg-blue-100' },
+            { id: 2, name: 'Bjørn', color: 'bg-green-100' }
+        ]);
+    });
+
+    it('keeps the filled cells in the period with known riders', () => {
+        expect(plan.schedule).toEqual({
+            '2023-12-24': { morning: 1, evening: 2 },
+            '2023-12-25': { morning: 2 },
+            '2023-12-26': { evening: 1 }
+        });
+    });
+
+    it('includes the period, slots and holidays', () => {
+        expect(plan).toMatchObject({ v: 1, title: 'Stallvakt', startDate: '2023-12-24', endDate: '2023-12-27' });
+        expect(plan.shifts.map(s => s.id)).toEqual(['morning', 'evening']);
+        expect(plan.weekendDays).toEqual([5, 6, 0]);
+        expect(createSharePlan({ config: { ...config, rules: { weekendDays: [6, 0] } }, schedule, riders, title: '' }).weekendDays).toEqual([6, 0]);
+        expect(plan.specialDays['2023-12-25']).toEqual({ name: 'Første juledag', type: 'holiday' });
+    });
+});
+
+describe('share links', () => {
+    it('round-trips a plan through the fragment', async () => {
+        const plan = createSharePlan({ config, schedule, riders, title: 'Stallvakt på Øvre gård' });
+        const encoded = await encodeSharePlan(plan);
+
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(await decodeSharePlan(encoded)).toEqual({ plan, error: null });
+    });
+
+    it('compresses the plan', async () => {
+        const days = Array.from({ length: 28 }, (_, i) => `2024-02-${String(i + 1).padStart(2, '0')}`);
+        const plan = createSharePlan({
+            config: { ...config, startDate: days[0], endDate: days[27] },
+            schedule: Object.fromEntries(days.map((d, i) => [d, { morning: 1 + (i % 2), evening: 2 - (i % 2) }])),
+            riders,
+            title: 'Stallvakt'
+        });
+        const encoded = await encodeSharePlan(plan);
+        expect(encoded.length).toBeLessThan(JSON.stringify(plan).length / 2);
+    });
+
+    it('reports damaged links instead of failing', async () => {
+        const encoded = await encodeSharePlan(createSharePlan({ config, schedule, riders, title: 'Stallvakt' }));
+
+        expect((await decodeSharePlan(encoded.slice(0, 20))).plan).toBeNull();
+        expect((await decodeSharePlan('ikke%20base64!')).error).toMatch(/ufullstendig/);
+        expect((await decodeSharePlan(await encodeSharePlan({ hello: 'world' }))).plan).toBeNull();
+    });
+
+    it('reports links whose riders, slots or cells are malformed', async () => {
+        const plan = createSharePlan({ config, schedule, riders, title: 'Stallvakt' });
+        const broken = [
+            { ...plan, weekendDays: 'fredag' },
+            { ...plan, weekendDays: [5, 9] },
+            { ...plan, riders: [null] },
+            { ...plan, riders: [{ id: 1, name: { first: 'Åse' }, color: 'bg-blue-100' }] },
+            { ...plan, shifts: [{ name: 'Morgen' }] },
+            { ...plan, schedule: { '2023-12-24': 1 } },
+            { ...plan, schedule: { '2023-12-24': { morning: { id: 1 } } } },
+            { ...plan, specialDays: { '2023-12-25': 'jul' } },
+            { ...plan, startDate: 'i går' }
+        ];
+        for (const link of broken) {
+            expect(await decodeSharePlan(await encodeSharePlan(link))).toEqual({ plan: null, error: expect.stringMatching(/ufullstendig/) });
+        }
+    });
+
+    it('rejects instead of throwing when the browser cannot compress', async () => {
+        const original = globalThis.CompressionStream;
+        globalThis.CompressionStream = undefined;
+        try {
+            await expect(encodeSharePlan(createSharePlan({ config, schedule, riders, title: 'Stallvakt' }))).rejects.toThrow();
+        } finally {
+            globalThis.CompressionStream = original;
+        }
+    });
+
+    it('refuses links from a newer version', async () => {
+        const encoded = await encodeSharePlan({ ...createSharePlan({ config, schedule, riders, title: 'Stallvakt' }), v: 99 });
+        expect((await decodeSharePlan(encoded)).error).toMatch(/nyere versjon/);
+    });
+
+    it('builds and reads the fragment', () => {
+        const url = getShareUrl('https://example.github.io/Stall-plan/#plan=old', 'abc');
+        expect(url).toBe(`https://example.github.io/Stall-plan/${SHARE_HASH_PREFIX}abc`);
+        expect(readShareHash(new URL(url).hash)).toBe('abc');
+        expect(readShareHash('')).toBeNull();
+        expect(readShareHash('#other')).toBeNull();
+    });
+});
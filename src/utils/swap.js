@@ -0,0 +1,55 @@
+import { getAssignment, setAssignment, diffSchedules } from './scheduler';
+import { findNewViolations } from './validator';
+
+/*
+  Shift trades between riders.
+    { type: 'swap', a: { date, slotId }, b: { date, slotId } }      - the two cells exchange riders
+    { type: 'giveaway', a: { date, slotId }, toRiderId }             - cell a goes to another rider
+
+  Every applied trade is kept in an audit log:
+    { timestamp, type, reason, changes: [{ date, slotId, from, to }] }
+*/
+
+export const SWAP_TYPES = ['swap', 'giveaway'];
+
+export const applySwap = (schedule, swap) => {
+    const riderA = getAssignment(schedule, swap.a.date, swap.a.slotId);
+    if (swap.type === 'giveaway') return setAssignment(schedule, swap.a.date, swap.a.slotId, swap.toRiderId);
+    const riderB = getAssignment(schedule, swap.b.date, swap.b.slotId);
+    const next = setAssignment(schedule, swap.a.date, swap.a.slotId, riderB);
+    return setAssignment(next, swap.b.date, swap.b.slotId, riderA);
+};
+
+// The riders on each side of the trade, without empty cells
+export const getSwapRiders = (schedule, swap) => {
+    const ids = [getAssignment(schedule, swap.a.date, swap.a.slotId)];
+    ids.push(swap.type === 'giveaway' ? swap.toRiderId : getAssignment(schedule, swap.b.date, swap.b.slotId));
+    return [...new Set(ids.filter(id => id !== null && id !== undefined))];
+};
+
+/*
+  Checks both sides of a trade before it is applied.
+  Returns { ok, problems }, where problems are the violations the trade would add for the riders
+  involved. Blocked dates, inactive riders, double shifts and hard rules make it not ok; soft
+  rules are only reported.
+*/
+export const validateSwap = ({ schedule, riders, config, swap }) => {
+    const involved = riders.filter(r => getSwapRiders(schedule, swap).includes(r.id));
+    if (involved.length === 0) return { ok: false, problems: [] };
+    // Trading a cell with itself, or giving a shift to the rider who already has it, changes nothing
+    if (swap.type === 'swap' && swap.a.date === swap.b.date && swap.a.slotId === swap.b.slotId) {
+        return { ok: false, problems: [] };
+    }
+    if (swap.type === 'giveaway' && (swap.toRiderId == null || swap.toRiderId === getAssignment(schedule, swap.a.date, swap.a.slotId))) {
+        return { ok: false, problems: [] };
+    }
+    const problems = findNewViolations({ before: schedule, after: applySwap(schedule, swap), riders: involved, config });
+    return { ok: problems.every(p => p.severity !== 'error'), problems };
+};
+
+export const createAuditEntry = ({ before, after, shifts, swap, reason, timestamp = new Date().toISOString() }) => ({
+    timestamp,
+    type: swap.type,
+    reason,
+    changes: diffSchedules(before, after, shifts)
+});
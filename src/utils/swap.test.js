@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { applySwap, getSwapRiders, validateSwap, createAuditEntry } from './swap';
+
+const shifts = [{ id: 'vakt', name: 'Vakt' }];
+const config = { startDate: '2023-10-02', endDate: '2023-10-15', shifts, holidays: { norwegian: false } };
+const riders = [1, 2, 3].map(id => ({ id, name: `R${id}`, blockedDates: [] }));
+const schedule = {
+    '2023-10-02': { vakt: 1 },
+    '2023-10-04': { vakt: 2 },
+    '2023-10-06': { vakt: 3 }
+};
+
+describe('applySwap', () => {
+    it('exchanges the riders of two cells', () => {
+        const swap = { type: 'swap', a: { date: '2023-10-02', slotId: 'vakt' }, b: { date: '2023-10-04', slotId: 'vakt' } };
+        const result = applySwap(schedule, swap);
+        expect(result['2023-10-02'].vakt).toBe(2);
+        expect(result['2023-10-04'].vakt).toBe(1);
+        expect(getSwapRiders(schedule, swap)).toEqual([1, 2]);
+    });
+
+    it('gives a shift away', () => {
+        const swap = { type: 'giveaway', a: { date: '2023-10-02', slotId: 'vakt' }, toRiderId: 3 };
+        expect(applySwap(schedule, swap)['2023-10-02'].vakt).toBe(3);
+    });
+});
+
+describe('validateSwap', () => {
+    it('accepts a clean trade', () => {
+        const swap = { type: 'swap', a: { date: '2023-10-02', slotId: 'vakt' }, b: { date: '2023-10-04', slotId: 'vakt' } };
+        expect(validateSwap({ schedule, riders, config, swap })).toEqual({ ok: true, problems: [] });
+    });
+
+    it('rejects a trade onto a blocked date', () => {
+        const blocked = riders.map(r => r.id === 2 ? { ...r, blockedDates: ['2023-10-02'] } : r);
+        const swap = { type: 'swap', a: { date: '2023-10-02', slotId: 'vakt' }, b: { date: '2023-10-04', slotId: 'vakt' } };
+        const result = validateSwap({ schedule, riders: blocked, config, swap });
+        expect(result.ok).toBe(false);
+        expect(result.problems.map(p => [p.riderId, p.rule])).toEqual([[2, 'blocked']]);
+    });
+
+    it('reports soft rules without rejecting', () => {
+        // R3 already works the 6th; taking the 5th puts them on back-to-back days
+        const busy = { ...schedule, '2023-10-05': { vakt: 1 } };
+        const swap = { type: 'giveaway', a: { date: '2023-10-05', slotId: 'vakt' }, toRiderId: 3 };
+        const result = validateSwap({ schedule: busy, riders, config, swap });
+        expect(result.ok).toBe(true);
+        expect(result.problems.map(p => p.rule)).toContain('consecutiveDays');
+    });
+
+    it('rejects hard rule breaks and trading a cell with itself', () => {
+        const hard = { ...config, rules: { constraints: { consecutiveDays: 'hard' } } };
+        const busy = { ...schedule, '2023-10-05': { vakt: 1 } };
+        const giveaway = { type: 'giveaway', a: { date: '2023-10-05', slotId: 'vakt' }, toRiderId: 3 };
+        expect(validateSwap({ schedule: busy, riders, config: hard, swap: giveaway }).ok).toBe(false);
+        const self = { type: 'swap', a: { date: '2023-10-02', slotId: 'vakt' }, b: { date: '2023-10-02', slotId: 'vakt' } };
+        expect(validateSwap({ schedule, riders, config, swap: self }).ok).toBe(false);
+        const toSelf = { type: 'giveaway', a: { date: '2023-10-02', slotId: 'vakt' }, toRiderId: 1 };
+        expect(validateSwap({ schedule, riders, config, swap: toSelf }).ok).toBe(false);
+    });
+});
+
+describe('createAuditEntry', () => {
+    it('records the changed cells with reason and time', () => {
+        const swap = { type: 'giveaway', a: { date: '2023-10-02', slotId: 'vakt' }, toRiderId: 3 };
+        const entry = createAuditEntry({
+            before: schedule,
+            after: applySwap(schedule, swap),
+            shifts,
+            swap,
+            reason: 'Bortreist',
+            timestamp: '2023-10-01T10:00:00.000Z'
+        });
+        expect(entry).toEqual({
+            timestamp: '2023-10-01T10:00:00.000Z',
+            type: 'giveaway',
+            reason: 'Bortreist',
+            changes: [{ date: '2023-10-02', slotId: 'vakt', from: 1, to: 3 }]
+        });
+    });
+});
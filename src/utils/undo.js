@@ -0,0 +1,49 @@
+/*
+  Undo/redo history over snapshots of the editable state ({ schedule, riders, locks, config }).
+    { past: [snapshot], present: snapshot, future: [snapshot], changedAt }
+  Config is part of every snapshot, so undoing a change of period or shifts (restoring a version,
+  say) brings back the schedule together with the dates and shifts it was made for.
+  Snapshots are compared by reference, so recording the state that is already present is a no-op.
+  Edits that follow each other within `mergeWithinMs` (typing a name, say) become one step.
+*/
+
+export const UNDO_LIMIT = 50;
+
+export const createUndoState = (present) => ({ past: [], present, future: [], changedAt: 0 });
+
+const sameSnapshot = (a, b) => Object.keys(b).every(key => a[key] === b[key]);
+
+export const recordChange = (state, snapshot, now = Date.now(), mergeWithinMs = 1000) => {
+    if (sameSnapshot(state.present, snapshot)) return state;
+    const merge = state.past.length > 0 && now - state.changedAt < mergeWithinMs;
+    return {
+        past: merge ? state.past : [...state.past, state.present].slice(-UNDO_LIMIT),
+        present: snapshot,
+        future: [],
+        changedAt: now
+    };
+};
+
+export const canUndo = (state) => state.past.length > 0;
+
+export const canRedo = (state) => state.future.length > 0;
+
+export const undo = (state) => {
+    if (!canUndo(state)) return state;
+    return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        changedAt: 0
+    };
+};
+
+export const redo = (state) => {
+    if (!canRedo(state)) return state;
+    return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        changedAt: 0
+    };
+};
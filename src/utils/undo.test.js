@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { createUndoState, recordChange, undo, redo, canUndo, canRedo, UNDO_LIMIT } from './undo';
+
+const snapshot = (n) => ({ schedule: { n }, riders: [], locks: {} });
+
+describe('undo history', () => {
+    it('steps back and forward through recorded edits', () => {
+        const first = snapshot(1);
+        let state = createUndoState(first);
+        state = recordChange(state, snapshot(2), 10000);
+        state = recordChange(state, snapshot(3), 20000);
+        expect(canUndo(state)).toBe(true);
+
+        state = undo(state);
+        expect(state.present.schedule.n).toBe(2);
+        state = undo(state);
+        expect(state.present).toBe(first);
+        expect(canUndo(state)).toBe(false);
+
+        state = redo(state);
+        expect(state.present.schedule.n).toBe(2);
+        expect(canRedo(state)).toBe(true);
+    });
+
+    it('ignores the state that is already present', () => {
+        const first = snapshot(1);
+        const state = createUndoState(first);
+        expect(recordChange(state, { ...first }, 10000)).toBe(state);
+    });
+
+    it('drops the redo steps after a new edit', () => {
+        let state = createUndoState(snapshot(1));
+        state = recordChange(state, snapshot(2), 10000);
+        state = undo(state);
+        state = recordChange(state, snapshot(3), 20000);
+        expect(canRedo(state)).toBe(false);
+        expect(undo(state).present.schedule.n).toBe(1);
+    });
+
+    it('merges edits made right after each other into one step', () => {
+        let state = createUndoState(snapshot(1));
+        state = recordChange(state, snapshot(2), 10000);
+        state = recordChange(state, snapshot(3), 10300);
+        expect(state.past).toHaveLength(1);
+        expect(undo(state).present.schedule.n).toBe(1);
+    });
+
+    it('keeps at most UNDO_LIMIT steps', () => {
+        let state = createUndoState(snapshot(0));
+        for (let i = 1; i <= UNDO_LIMIT + 5; i++) state = recordChange(state, snapshot(i), i * 10000);
+        expect(state.past).toHaveLength(UNDO_LIMIT);
+        expect(state.past[0].schedule.n).toBe(5);
+    });
+
+    it('undoes a version restore as one step, config included', () => {
+        const before = { schedule: { '2023-10-02': { vakt: 1 } }, riders: [], locks: {}, config: { startDate: '2023-10-01', endDate: '2023-10-31' } };
+        const restored = { schedule: { '2023-11-06': { vakt: 2 } }, riders: [], locks: {}, config: { startDate: '2023-11-01', endDate: '2023-11-30' } };
+        let state = createUndoState(before);
+        state = recordChange(state, restored, 10000);
+
+        state = undo(state);
+        expect(state.present.schedule).toBe(before.schedule);
+        expect(state.present.config).toBe(before.config);
+        state = redo(state);
+        expect(state.present.config).toBe(restored.config);
+    });
+
+    it('records a settings change on its own', () => {
+        const first = { ...snapshot(1), config: { seed: 1 } };
+        const state = recordChange(createUndoState(first), { ...first, config: { seed: 2 } }, 10000);
+        expect(undo(state).present.config.seed).toBe(1);
+    });
+});
@@ -0,0 +1,122 @@
+import { generateDates, formatDate, addDays, getMonday, parseDate } from './dates';
+import { resolveRules, isAnchorDay, getWeekendKey } from './rules';
+import { getSpecialDays, isClosedType } from './holidays';
+import { getAssignment } from './scheduler';
+import { isRiderBlocked, isActiveOn } from './availability';
+
+/*
+  Checks an existing schedule against the same rules the generator uses.
+  Returns one violation per offending cell:
+    { date, slotId, riderId, rule, severity: 'error' | 'warning', detail }
+
+  Inactive riders, blocked dates and double shifts are always errors; the configurable rules are
+  errors when hard, warnings when soft and skipped when off.
+*/
+
+const severityFor = (mode) => (mode === 'hard' ? 'error' : 'warning');
+
+export const validateSchedule = ({ schedule, riders, config }) => {
+    const rules = resolveRules(config.rules);
+    const { constraints } = rules;
+    const specialDays = getSpecialDays(config);
+    const riderIds = new Set(riders.map(r => r.id));
+    const violations = [];
+
+    // Every assigned cell in range, grouped by rider, in date and slot order
+    const cellsByRider = {};
+    generateDates(config.startDate, config.endDate).forEach(date => {
+        const dateStr = formatDate(date);
+        if (isClosedType(specialDays[dateStr])) return;
+        config.shifts.forEach(shift => {
+            const riderId = getAssignment(schedule, dateStr, shift.id);
+            if (riderId === null || !riderIds.has(riderId)) return;
+            if (!cellsByRider[riderId]) cellsByRider[riderId] = [];
+            cellsByRider[riderId].push({ date, dateStr, slotId: shift.id, riderId });
+        });
+    });
+
+    const flag = (cell, rule, severity, detail = null) => {
+        violations.push({ date: cell.dateStr, slotId: cell.slotId, riderId: cell.riderId, rule, severity, detail });
+    };
+
+    riders.forEach(rider => {
+        const cells = cellsByRider[rider.id] || [];
+        const workedDates = new Set(cells.map(c => c.dateStr));
+
+        // Outside the active window, blocked dates and recurring unavailability
+        cells.forEach(cell => {
+            if (!isActiveOn(rider, cell.dateStr)) flag(cell, 'inactive', 'error');
+            else if (isRiderBlocked(rider, cell.dateStr)) flag(cell, 'blocked', 'error');
+        });
+
+        // More than one slot on the same day
+        const seenDates = new Set();
+        cells.forEach(cell => {
+            if (seenDates.has(cell.dateStr)) flag(cell, 'doubleShift', 'error');
+            seenDates.add(cell.dateStr);
+        });
+
+        // Back-to-back days: both days are flagged
+        if (constraints.consecutiveDays !== 'off') {
+            cells.forEach(cell => {
+                const before = formatDate(addDays(cell.date, -1));
+                const after = formatDate(addDays(cell.date, 1));
+                if (workedDates.has(before) || workedDates.has(after)) {
+                    flag(cell, 'consecutiveDays', severityFor(constraints.consecutiveDays));
+                }
+            });
+        }
+
+        // Weekly cap: every shift beyond the cap is flagged
+        if (constraints.weeklyCap !== 'off') {
+            const perWeek = {};
+            cells.forEach(cell => {
+                const week = formatDate(getMonday(cell.date));
+                perWeek[week] = (perWeek[week] || 0) + 1;
+                if (perWeek[week] > rules.weeklyCap) {
+                    flag(cell, 'weeklyCap', severityFor(constraints.weeklyCap), { count: perWeek[week], cap: rules.weeklyCap });
+                }
+            });
+        }
+
+        // Consecutive weekends: shifts in the second weekend are flagged
+        if (constraints.consecutiveWeekends !== 'off') {
+            const weekends = new Set(cells.map(c => getWeekendKey(c.date, rules)).filter(Boolean));
+            cells.forEach(cell => {
+                const key = getWeekendKey(cell.date, rules);
+                if (!key) return;
+                if (weekends.has(formatDate(addDays(parseDate(key), -7)))) {
+                    flag(cell, 'consecutiveWeekends', severityFor(constraints.consecutiveWeekends));
+                }
+            });
+        }
+
+        // Same anchor weekday two weeks running: the later one is flagged
+        if (constraints.consecutiveAnchors !== 'off') {
+            cells.forEach(cell => {
+                if (!isAnchorDay(cell.date, rules)) return;
+                if (workedDates.has(formatDate(addDays(cell.date, -7)))) {
+                    flag(cell, 'consecutiveAnchors', severityFor(constraints.consecutiveAnchors));
+                }
+            });
+        }
+    });
+
+    return violations.sort((a, b) => a.date.localeCompare(b.date) || a.riderId - b.riderId);
+};
+
+// Violations grouped by cell: { "2023-10-01": { morgen: [violation, ...] } }
+export const groupViolationsByCell = (violations) => violations.reduce((acc, v) => {
+    if (!acc[v.date]) acc[v.date] = {};
+    if (!acc[v.date][v.slotId]) acc[v.date][v.slotId] = [];
+    acc[v.date][v.slotId].push(v);
+    return acc;
+}, {});
+
+const violationKey = (v) => `${v.date}|${v.slotId}|${v.riderId}|${v.rule}`;
+
+// Violations in `after` that were not there in `before`, for the given riders only
+export const findNewViolations = ({ before, after, riders, config }) => {
+    const existing = new Set(validateSchedule({ schedule: before, riders, config }).map(violationKey));
+    return validateSchedule({ schedule: after, riders, config }).filter(v => !existing.has(violationKey(v)));
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { validateSchedule, groupViolationsByCell } from './validator';
+
+const riders = [
+    { id: 1, name: 'R1', blockedDates: ['2023-10-05'] },
+    { id: 2, name: 'R2', blockedDates: [] }
+];
+const shifts = [{ id: 'morgen', name: 'Morgen' }, { id: 'kveld', name: 'Kveld' }];
+const config = { startDate: '2023-10-02', endDate: '2023-10-15', shifts, holidays: { norwegian: false } };
+
+const rulesOf = (violations) => violations.map(v => `${v.date}:${v.slotId}:${v.rule}`);
+
+describe('validateSchedule', () => {
+    it('returns nothing for a clean schedule', () => {
+        const schedule = { '2023-10-02': { morgen: 1, kveld: 2 }, '2023-10-04': { morgen: 2, kveld: 1 } };
+        expect(validateSchedule({ schedule, riders, config })).toEqual([]);
+    });
+
+    it('flags blocked dates as errors', () => {
+        const schedule = { '2023-10-05': { morgen: 1 } };
+        expect(validateSchedule({ schedule, riders, config })).toEqual([
+            { date: '2023-10-05', slotId: 'morgen', riderId: 1, rule: 'blocked', severity: 'error', detail: null }
+        ]);
+    });
+
+    it('flags dates blocked by a recurring rule', () => {
+        const away = [{ id: 1, name: 'R1', blockedDates: [], unavailability: [{ type: 'range', startDate: '2023-10-09', endDate: '2023-10-10' }] }];
+        const schedule = { '2023-10-10': { morgen: 1 } };
+        expect(rulesOf(validateSchedule({ schedule, riders: away, config }))).toEqual(['2023-10-10:morgen:blocked']);
+    });
+
+    it('flags two slots on the same day', () => {
+        const schedule = { '2023-10-02': { morgen: 2, kveld: 2 } };
+        expect(rulesOf(validateSchedule({ schedule, riders, config }))).toEqual(['2023-10-02:kveld:doubleShift']);
+    });
+
+    it('flags both days of a back-to-back pair', () => {
+        const schedule = { '2023-10-02': { morgen: 2 }, '2023-10-03': { morgen: 2 } };
+        expect(rulesOf(validateSchedule({ schedule, riders, config }))).toEqual([
+            '2023-10-02:morgen:consecutiveDays',
+            '2023-10-03:morgen:consecutiveDays'
+        ]);
+    });
+
+    it('flags shifts beyond the weekly cap', () => {
+        const schedule = {
+            '2023-10-02': { morgen: 2 },
+            '2023-10-04': { morgen: 2 },
+            '2023-10-06': { kveld: 2 },
+            '2023-10-08': { kveld: 2 }
+        };
+        const violations = validateSchedule({ schedule, riders, config }).filter(v => v.rule === 'weeklyCap');
+        expect(violations).toHaveLength(1);
+        expect(violations[0]).toMatchObject({ date: '2023-10-08', detail: { count: 4, cap: 3 } });
+    });
+
+    it('flags consecutive weekends and anchor days', () => {
+        const schedule = { '2023-10-07': { morgen: 2 }, '2023-10-14': { morgen: 2 } };
+        expect(rulesOf(validateSchedule({ schedule, riders, config }))).toEqual([
+            '2023-10-14:morgen:consecutiveWeekends',
+            '2023-10-14:morgen:consecutiveAnchors'
+        ]);
+    });
+
+    it('uses the rule mode for severity and skips rules that are off', () => {
+        const schedule = { '2023-10-02': { morgen: 2 }, '2023-10-03': { morgen: 2 } };
+        const hard = { ...config, rules: { constraints: { consecutiveDays: 'hard' } } };
+        expect(validateSchedule({ schedule, riders, config: hard }).every(v => v.severity === 'error')).toBe(true);
+        const off = { ...config, rules: { constraints: { consecutiveDays: 'off' } } };
+        expect(validateSchedule({ schedule, riders, config: off })).toEqual([]);
+    });
+});
+
+describe('groupViolationsByCell', () => {
+    it('groups violations by date and slot', () => {
+        const violations = [
+            { date: '2023-10-02', slotId: 'morgen', rule: 'a' },
+            { date: '2023-10-02', slotId: 'morgen', rule: 'b' },
+            { date: '2023-10-03', slotId: 'kveld', rule: 'c' }
+        ];
+        const grouped = groupViolationsByCell(violations);
+        expect(grouped['2023-10-02'].morgen).toHaveLength(2);
+        expect(grouped['2023-10-03'].kveld[0].rule).toBe('c');
+    });
+});
@@ -0,0 +1,36 @@
+import { diffSchedules } from './scheduler';
+
+/*
+  Named snapshots of a plan ("Utkast 1", "Publisert mars"), kept in localStorage:
+    { id, name, savedAt, config, schedule, riders, locks }
+  Restoring one brings back all four; comparing two lines their days up side by side.
+*/
+
+export const createVersion = ({ name, config, schedule, riders, locks, savedAt = new Date().toISOString() }) => ({
+    id: `${savedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    savedAt,
+    config,
+    schedule,
+    riders,
+    locks
+});
+
+/*
+  Every date in either version, in order: [{ date, a: { slotId: riderId }, b: { ... }, changed }]
+  Slots are taken from both configs, so a slot that only exists in one version still shows up.
+*/
+export const compareVersions = (a, b) => {
+    const shifts = [...a.config.shifts, ...b.config.shifts.filter(s => !a.config.shifts.some(x => x.id === s.id))];
+    const changedDates = new Set(diffSchedules(a.schedule, b.schedule, shifts).map(c => c.date));
+    const dates = [...new Set([...Object.keys(a.schedule), ...Object.keys(b.schedule)])].sort();
+    return {
+        shifts,
+        rows: dates.map(date => ({
+            date,
+            a: a.schedule[date] || {},
+            b: b.schedule[date] || {},
+            changed: changedDates.has(date)
+        }))
+    };
+};
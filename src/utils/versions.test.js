@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createVersion, compareVersions } from './versions';
+
+const config = { startDate: '2023-10-02', endDate: '2023-10-04', shifts: [{ id: 'vakt', name: 'Vakt' }] };
+
+const version = (name, schedule, extra = {}) =>
+    createVersion({ name, config: { ...config, ...extra }, schedule, riders: [], locks: {}, savedAt: '2023-10-01T10:00:00.000Z' });
+
+describe('createVersion', () => {
+    it('keeps the name and the state', () => {
+        const v = version('Utkast 1', { '2023-10-02': { vakt: 1 } });
+        expect(v.name).toBe('Utkast 1');
+        expect(v.savedAt).toBe('2023-10-01T10:00:00.000Z');
+        expect(v.schedule['2023-10-02'].vakt).toBe(1);
+        expect(v.id).not.toBe(version('Utkast 1', {}).id);
+    });
+});
+
+describe('compareVersions', () => {
+    it('lines up every date and marks the changed ones', () => {
+        const a = version('A', { '2023-10-02': { vakt: 1 }, '2023-10-03': { vakt: 2 } });
+        const b = version('B', { '2023-10-02': { vakt: 1 }, '2023-10-03': { vakt: 3 }, '2023-10-04': { vakt: 1 } });
+        const { rows } = compareVersions(a, b);
+        expect(rows.map(r => r.date)).toEqual(['2023-10-02', '2023-10-03', '2023-10-04']);
+        expect(rows.map(r => r.changed)).toEqual([false, true, true]);
+        expect(rows[2].a).toEqual({});
+    });
+
+    it('includes slots that only one version has', () => {
+        const a = version('A', { '2023-10-02': { vakt: 1 } });
+        const b = version('B', { '2023-10-02': { vakt: 1, kveld: 2 } }, {
+            shifts: [{ id: 'vakt', name: 'Vakt' }, { id: 'kveld', name: 'Kveld' }]
+        });
+        const { shifts, rows } = compareVersions(a, b);
+        expect(shifts.map(s => s.id)).toEqual(['vakt', 'kveld']);
+        expect(rows[0].changed).toBe(true);
+    });
+});
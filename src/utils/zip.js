@@ -0,0 +1,102 @@
+/*
+  Minimal zip writer: files are stored without compression (method 0), which every unzip tool
+  reads. Enough for a handful of calendar and HTML files without pulling in a library.
+    createZip([{ name: 'kalender/stall.ics', content: '...' }]) -> Uint8Array
+  Names are written as UTF-8 (general purpose flag bit 11), so æøå in file names survive.
+*/
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields, in local time with two-second precision
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+export const createZip = (files, modified = new Date()) => {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const entries = files.map(file => {
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        return { name: encoder.encode(file.name), data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+
+    const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+    const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+    const bytes = (value) => { buffer.set(value, offset); offset += value.length; };
+
+    // Local file header and data for each file
+    const offsets = entries.map(e => {
+        const start = offset;
+        u32(0x04034b50);
+        u16(20); // version needed: 2.0
+        u16(0x0800); // UTF-8 names
+        u16(0); // stored
+        u16(time);
+        u16(date);
+        u32(e.crc);
+        u32(e.data.length);
+        u32(e.data.length);
+        u16(e.name.length);
+        u16(0);
+        bytes(e.name);
+        bytes(e.data);
+        return start;
+    });
+
+    // Central directory
+    const centralStart = offset;
+    entries.forEach((e, i) => {
+        u32(0x02014b50);
+        u16(20); // version made by
+        u16(20);
+        u16(0x0800);
+        u16(0);
+        u16(time);
+        u16(date);
+        u32(e.crc);
+        u32(e.data.length);
+        u32(e.data.length);
+        u16(e.name.length);
+        u16(0); // extra field
+        u16(0); // comment
+        u16(0); // disk number
+        u16(0); // internal attributes
+        u32(0); // external attributes
+        u32(offsets[i]);
+        bytes(e.name);
+    });
+
+    // End of central directory
+    const centralLength = offset - centralStart;
+    u32(0x06054b50);
+    u16(0);
+    u16(0);
+    u16(entries.length);
+    u16(entries.length);
+    u32(centralLength);
+    u32(centralStart);
+    u16(0);
+
+    return buffer;
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from './zip';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Reads the entries back through the central directory, the way unzip tools do
+const readZip = (buffer) => {
+    const view = new DataView(buffer.buffer);
+    const end = buffer.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    // The directory runs right up to the end record
+    expect(view.getUint32(end + 12, true)).toBe(end - offset);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        expect(view.getUint32(offset, true)).toBe(0x02014b50);
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const local = view.getUint32(offset + 42, true);
+        const name = decoder.decode(buffer.slice(offset + 46, offset + 46 + nameLength));
+        expect(view.getUint32(local, true)).toBe(0x04034b50);
+        const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        entries.push({ name, crc, content: decoder.decode(buffer.slice(dataStart, dataStart + size)) });
+        offset += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe('crc32', () => {
+    it('matches the standard check values', () => {
+        expect(crc32(encoder.encode('123456789'))).toBe(0xcbf43926);
+        expect(crc32(new Uint8Array())).toBe(0);
+    });
+});
+
+describe('createZip', () => {
+    it('stores every file so it can be read back', () => {
+        const zip = createZip([
+            { name: 'kalender/stall.ics', content: 'BEGIN:VCALENDAR' },
+            { name: 'kalender/rytter-ø.ics', content: 'æøå' }
+        ], new Date(2023, 9, 1, 12, 30));
+        const entries = readZip(zip);
+        expect(entries.map(e => e.name)).toEqual(['kalender/stall.ics', 'kalender/rytter-ø.ics']);
+        expect(entries[1].content).toBe('æøå');
+        expect(entries[1].crc).toBe(crc32(encoder.encode('æøå')));
+    });
+
+    it('writes an empty archive', () => {
+        expect(readZip(createZip([]))).toEqual([]);
+    });
+});